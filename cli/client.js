@@ -0,0 +1,460 @@
+/**
+ * LogTrace CLI - Node.js 客户端
+ *
+ * 直接复用插件的 extension/lib/crypto.js 与 socket.js：
+ * - 密钥派生、挑战应答、消息信封与签名与插件完全一致，CLI 与插件可以在同一数据流中互通
+ * - 身份密钥保存在本地文件（默认 ~/.logtrace/identity.json），封禁、任免与加入审批都按身份生效
+ * - socket.js 的单槽回调转为事件，按请求等待各自的结果
+ *
+ * 对外事件（events）：
+ * - log：解密后的消息 { streamId, id, seq, timestamp, nodeId, level, direct, body, verified, fingerprint, attachment }，
+ *   掩护流量不会触发；无法解密时 body 为 null
+ * - lost：不再是某个数据流的成员 { streamId, message }（关闭、被踢出或封禁、会话无法恢复、密钥轮换后未收到新密钥）
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { io } = require('socket.io-client');
+
+// socket.js 使用全局 io（插件中由 socket.io.min.js 提供）；Node 18 默认没有全局 Web Crypto
+globalThis.io = io;
+if (!globalThis.crypto) {
+  globalThis.crypto = require('crypto').webcrypto;
+}
+
+const LogCrypto = require('../extension/lib/crypto.js');
+const LogSocket = require('../extension/lib/socket.js');
+
+const DEFAULT_IDENTITY = path.join(os.homedir(), '.logtrace', 'identity.json');
+
+// 等待服务端结果的超时（毫秒）；等待审批不受此限制
+const RESULT_TIMEOUT = 15000;
+// 推送被拒后的重试：密钥刚轮换时等待新密钥，断线时等待自动重连恢复（服务端宽限期默认 30 秒）
+const STALE_EPOCH_RETRIES = 3;
+const RECONNECT_RETRIES = 30;
+const RETRY_DELAY = 1000;
+// 每个数据流记住的最近消息序号（去除历史与实时消息的重叠）
+const SEEN_LIMIT = 1000;
+
+const events = new EventEmitter();
+const callbacks = new EventEmitter();
+const streams = new Map();
+
+let identity = null;
+let receiveQueue = Promise.resolve();
+
+for (const name of [
+  'onStreamCreated', 'onJoinChallenge', 'onStreamJoined', 'onJoinPending', 'onHistoryLoaded',
+  'onStreamResumed', 'onStreamClosed', 'onModerated', 'onRekey', 'onLogReceived', 'onDirectReceived',
+  'onReconnectFailed'
+]) {
+  LogSocket.on(name, (data) => callbacks.emit(name, data));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 将失败结果转换为 Error（message 为本地化提示，见 LogSocket.setLocale）
+ */
+function resultError(data) {
+  const error = new Error(LogSocket.describeError(data));
+  error.code = data.code;
+  return error;
+}
+
+/**
+ * 等待任一回调收到符合条件的数据
+ * @param {string[]} names - socket.js 回调名
+ * @param {Function} match - 过滤条件
+ * @param {number} [timeout] - 省略时一直等待
+ * @returns {Promise<{name: string, data: Object}>}
+ */
+function waitFor(names, match, timeout) {
+  return new Promise((resolve, reject) => {
+    const listeners = new Map();
+    let timer = null;
+
+    const done = () => {
+      clearTimeout(timer);
+      listeners.forEach((listener, name) => callbacks.off(name, listener));
+    };
+
+    for (const name of names) {
+      const listener = (data) => {
+        if (!match(data)) return;
+        done();
+        resolve({ name, data });
+      };
+      listeners.set(name, listener);
+      callbacks.on(name, listener);
+    }
+
+    if (timeout) {
+      timer = setTimeout(() => {
+        done();
+        reject(resultError({ code: 'timeout' }));
+      }, timeout);
+    }
+  });
+}
+
+/**
+ * 读取本机身份，不存在时生成并保存（仅当前用户可读）
+ * @param {string} [file] - 身份文件路径
+ */
+async function loadIdentity(file = DEFAULT_IDENTITY) {
+  let record = null;
+  try {
+    record = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+
+  const upgraded = record ? await LogCrypto.ensureExchangeKeys(record) : await LogCrypto.generateIdentity();
+  if (upgraded !== record) {
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(file, JSON.stringify(upgraded), { mode: 0o600 });
+  }
+  return LogCrypto.importIdentity(upgraded);
+}
+
+/**
+ * 连接中继服务器
+ * @param {string} serverUrl - 服务器地址
+ * @param {Object} [options] - { identityFile }
+ * @returns {Promise<Object>} - 导入后的本机身份（含 fingerprint）
+ */
+async function connect(serverUrl, options = {}) {
+  identity = await loadIdentity(options.identityFile);
+  await LogSocket.connect(serverUrl);
+  return identity;
+}
+
+/**
+ * 断开连接（先离开所有数据流，不保留会话）
+ */
+function close() {
+  LogSocket.leaveStream();
+  LogSocket.disconnect();
+  streams.clear();
+}
+
+function applyEpoch(stream, epoch, key) {
+  stream.keyring.set(epoch, key);
+  stream.epoch = epoch;
+  stream.cryptoKey = key;
+}
+
+function lose(streamId, message) {
+  if (streams.delete(streamId)) {
+    events.emit('lost', { streamId, message });
+  }
+}
+
+/**
+ * 创建数据流，本机身份即为创建者
+ * @param {string} streamName - 名称
+ * @param {string} password - 访问密钥
+ * @param {Object} [options] - 同 LogSocket.createStream
+ * @returns {Promise<string>} - 数据流 ID
+ */
+async function createStream(streamName, password, options = {}) {
+  const kdf = LogCrypto.generateKdfParams();
+  const keys = await LogCrypto.deriveKeys(password, kdf);
+
+  const identityProof = await LogCrypto.computeCreateProof(identity, keys.authKey);
+
+  const result = waitFor(['onStreamCreated'], () => true, RESULT_TIMEOUT);
+  LogSocket.createStream(streamName, kdf, keys.authKey, {
+    identityKey: identity.publicKey,
+    identityProof
+  }, options);
+
+  const { data } = await result;
+  if (!data.success) {
+    throw resultError(data);
+  }
+  return data.streamId;
+}
+
+/**
+ * 加入数据流
+ * @param {string} target - 数据流 ID 或邀请链接（链接自带访问密钥）
+ * @param {string} [password] - 访问密钥
+ * @param {Object} [options] - { onPending(data) }：需要审批时回调，之后继续等待管理员处理
+ * @returns {Promise<Object>} - 本地的数据流状态 { streamId, streamName, role, epoch, ... }
+ */
+async function joinStream(target, password, options = {}) {
+  const invite = LogSocket.parseInviteLink(target);
+  const matches = invite ? (data) => data.invite === invite.token : (data) => data.streamId === target;
+  const secret = invite ? invite.password : password;
+
+  const challenged = waitFor(['onJoinChallenge', 'onStreamJoined'], matches, RESULT_TIMEOUT);
+  if (invite) {
+    LogSocket.joinByInvite(invite.token);
+  } else {
+    LogSocket.joinStream(target);
+  }
+
+  const challenge = await challenged;
+  if (challenge.name === 'onStreamJoined') {
+    throw resultError(challenge.data);
+  }
+
+  const { streamId, kdf, nonce } = challenge.data;
+  const keys = await LogCrypto.deriveKeys(secret, kdf);
+  const proof = await LogCrypto.computeJoinProof(keys.authKey, streamId, nonce);
+  const identityProof = await LogCrypto.computeIdentityProof(identity, streamId, nonce);
+
+  const answered = waitFor(['onStreamJoined', 'onJoinPending'], (data) => data.streamId === streamId && !data.invite,
+    RESULT_TIMEOUT);
+  LogSocket.answerJoinChallenge(streamId, proof, {
+    identityKey: identity.publicKey,
+    identityProof,
+    exchangeKeySig: identity.exchangeKeySignature
+  }, identity.exchangePublicKey);
+
+  let result = await answered;
+  if (result.name === 'onJoinPending') {
+    if (options.onPending) {
+      options.onPending(result.data);
+    }
+    result = await waitFor(['onStreamJoined'], (data) => data.streamId === streamId && !data.invite);
+  }
+
+  if (!result.data.success) {
+    throw resultError(result.data);
+  }
+
+  const stream = {
+    streamId,
+    streamName: result.data.streamName,
+    role: result.data.role,
+    retention: result.data.retention,
+    password: secret,
+    keyring: new Map(),
+    epoch: 0,
+    cryptoKey: null,
+    seen: new Set()
+  };
+  applyEpoch(stream, result.data.epoch, keys.encKey);
+  streams.set(streamId, stream);
+  return stream;
+}
+
+/**
+ * 推送一条消息
+ * 每次尝试都用当前密钥重新加密：被限流时等待后重发，密钥刚轮换或断线重连期间稍后重试
+ * @param {Object} stream - joinStream 返回的数据流状态
+ * @param {string} body - 明文
+ * @returns {Promise<{streamId: string, id: string, seq: number, timestamp: number}>}
+ */
+async function push(stream, body) {
+  let staleEpoch = 0;
+  let reconnect = 0;
+
+  for (;;) {
+    const payload = await LogCrypto.sealMessage(body, stream.cryptoKey, identity, {
+      streamId: stream.streamId,
+      nodeId: LogSocket.getNodeId(),
+      epoch: stream.epoch
+    });
+
+    try {
+      return await LogSocket.pushLog(stream.streamId, payload, LogCrypto.randomLevel(), stream.epoch);
+    } catch (error) {
+      if (!streams.has(stream.streamId)) {
+        throw error;
+      }
+      if (error.code === 'rate_limited') {
+        await sleep(error.retryAfter);
+      } else if (error.code === 'stale_epoch' && staleEpoch++ < STALE_EPOCH_RETRIES) {
+        await sleep(RETRY_DELAY);
+      } else if ((error.code === 'not_connected' || error.code === 'not_joined') && reconnect++ < RECONNECT_RETRIES) {
+        await sleep(RETRY_DELAY);
+      } else {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * 记录消息序号，已处理过的返回 false
+ */
+function markSeen(stream, seq) {
+  if (stream.seen.has(seq)) {
+    return false;
+  }
+  stream.seen.add(seq);
+  if (stream.seen.size > SEEN_LIMIT) {
+    stream.seen.delete(stream.seen.values().next().value);
+  }
+  return true;
+}
+
+/**
+ * 解密服务端转发的消息
+ * @returns {Promise<Object|null>} - 掩护流量返回 null
+ */
+async function openLog(stream, data, direct) {
+  const context = { streamId: data.streamId, nodeId: data.nodeId, keyId: data.keyId || 0 };
+
+  let opened = null;
+  try {
+    opened = direct
+      ? await LogCrypto.openDirect(data.payload, data.epk, identity, context)
+      : await LogCrypto.openMessage(data.payload, stream.keyring, context);
+  } catch (error) {
+    opened = null;
+  }
+
+  if (opened && opened.chaff) {
+    return null;
+  }
+
+  return {
+    streamId: data.streamId,
+    id: data.id,
+    seq: direct ? null : data.seq,
+    timestamp: data.timestamp,
+    nodeId: data.nodeId,
+    level: data.level,
+    direct,
+    body: opened ? opened.body : null,
+    verified: opened ? opened.verified : false,
+    fingerprint: opened ? opened.fingerprint : null,
+    attachment: opened ? opened.attachment : null
+  };
+}
+
+/**
+ * 处理实时消息（按到达顺序逐条解密）
+ */
+function receive(data, direct) {
+  receiveQueue = receiveQueue.then(async () => {
+    const stream = streams.get(data.streamId);
+    if (!stream || (!direct && !markSeen(stream, data.seq))) return;
+
+    const log = await openLog(stream, data, direct);
+    if (log) {
+      events.emit('log', log);
+    }
+  });
+}
+
+/**
+ * 读取最近的密文历史并解密（仅开启了历史保留的数据流）
+ * @param {Object} stream - joinStream 返回的数据流状态
+ * @param {number} count - 最多读取的条数
+ * @returns {Promise<Object[]>} - 按序号从旧到新排列，格式同 log 事件
+ */
+async function loadHistory(stream, count) {
+  const entries = [];
+  let before;
+
+  while (entries.length < count) {
+    const page = waitFor(['onHistoryLoaded'], (data) => data.streamId === stream.streamId, RESULT_TIMEOUT);
+    LogSocket.requestHistory(stream.streamId, before, count - entries.length);
+
+    const { data } = await page;
+    if (!data.success) {
+      throw resultError(data);
+    }
+
+    entries.unshift(...data.entries);
+    if (!data.hasMore || data.entries.length === 0) {
+      break;
+    }
+    before = data.entries[0].seq;
+  }
+
+  const logs = [];
+  for (const entry of entries.slice(-count)) {
+    if (!markSeen(stream, entry.seq)) continue;
+
+    const log = await openLog(stream, entry, false);
+    if (log) {
+      logs.push(log);
+    }
+  }
+  return logs;
+}
+
+callbacks.on('onLogReceived', (data) => receive(data, false));
+callbacks.on('onDirectReceived', (data) => receive(data, true));
+
+// 创建者轮换了密钥：用本机交换私钥解开新的访问密钥
+callbacks.on('onRekey', async (data) => {
+  const stream = streams.get(data.streamId);
+  if (!stream) return;
+
+  const secret = data.wrapped
+    ? await LogCrypto.unwrapSecret(data.wrapped, stream.cryptoKey, identity)
+    : null;
+
+  if (!secret) {
+    lose(data.streamId, LogSocket.describeError({ code: 'key_rotated' }));
+    return;
+  }
+
+  const keys = await LogCrypto.deriveKeys(secret, data.kdf);
+  applyEpoch(stream, data.epoch, keys.encKey);
+  stream.password = secret;
+});
+
+// 会话过期时用原来的访问密钥重新加入，其他恢复失败视为离开
+callbacks.on('onStreamResumed', async (data) => {
+  const stream = streams.get(data.streamId);
+  if (!stream || data.success) return;
+
+  if (data.code !== 'session_expired') {
+    lose(data.streamId, LogSocket.describeError(data));
+    return;
+  }
+
+  // 沿用原来的状态对象，调用方持有的引用继续有效
+  try {
+    const rejoined = await joinStream(data.streamId, stream.password);
+    Object.assign(stream, rejoined, { seen: stream.seen });
+    streams.set(data.streamId, stream);
+  } catch (error) {
+    lose(data.streamId, error.message);
+  }
+});
+
+callbacks.on('onStreamClosed', (data) => {
+  lose(data.streamId, LogSocket.describeError({ code: 'stream_closed' }));
+});
+
+callbacks.on('onModerated', (data) => {
+  const by = data.by || '管理员';
+  if (data.action === 'kick') {
+    lose(data.streamId, `你已被 ${by} 移出数据流`);
+  } else if (data.action === 'ban') {
+    lose(data.streamId, `你已被 ${by} 封禁，无法再加入数据流`);
+  }
+});
+
+// 自动重连次数用尽
+callbacks.on('onReconnectFailed', () => {
+  for (const streamId of Array.from(streams.keys())) {
+    lose(streamId, LogSocket.describeError({ code: 'not_connected' }));
+  }
+});
+
+module.exports = {
+  LogCrypto,
+  LogSocket,
+  events,
+  connect,
+  close,
+  createStream,
+  joinStream,
+  push,
+  loadHistory
+};
@@ -0,0 +1,323 @@
+#!/usr/bin/env node
+/**
+ * LogTrace CLI - 命令行客户端
+ *
+ * 与插件使用相同的加密与协议，可以和插件加入同一数据流：
+ * - create：创建数据流并输出数据流 ID（本机身份成为创建者）
+ * - join：加入数据流，输出成员状态后退出（检查访问密钥、邀请链接或等待审批）
+ * - tail：持续输出解密后的消息，可先回填密文历史
+ * - push：推送命令行参数或逐行推送标准输入，如 tail -f app.log | logtrace push <数据流ID>
+ *
+ * 运行: node cli/logtrace.js --help
+ */
+
+const readline = require('readline');
+const { parseArgs } = require('util');
+
+const USAGE = `用法: logtrace <命令> [参数] [选项]
+
+命令:
+  create [名称]                       创建数据流并输出数据流 ID
+  join <数据流ID|邀请链接>             加入数据流，输出成员状态后退出
+  tail <数据流ID|邀请链接>             持续输出解密后的消息
+  push <数据流ID|邀请链接> [消息...]    推送消息；省略消息时逐行推送标准输入
+
+选项:
+  -s, --server <地址>      中继服务器（默认 $LOGTRACE_SERVER 或 http://localhost:3000）
+  -k, --key <访问密钥>      访问密钥（默认 $LOGTRACE_KEY；邀请链接自带访问密钥）
+      --identity <文件>    身份文件（默认 $LOGTRACE_IDENTITY 或 ~/.logtrace/identity.json）
+      --lang <zh-CN|en>    错误提示的语言
+  -v, --verbose            在标准错误输出连接日志
+  -h, --help               显示帮助
+
+create 选项:
+      --retention <时长>   保留密文历史，如 1h、24h
+      --expires <时长>     有效期，到期自动关闭，如 1h、7d
+      --approval           新成员加入需审批
+      --tail               创建后继续输出消息
+
+join 选项:
+      --json               每个状态输出一行 JSON
+
+tail 选项:
+  -n, --history <条数>     先输出最近的历史消息（数据流须开启历史保留）
+      --json               每条消息输出一行 JSON
+`;
+
+const OPTIONS = {
+  server: { type: 'string', short: 's' },
+  key: { type: 'string', short: 'k' },
+  identity: { type: 'string' },
+  lang: { type: 'string' },
+  verbose: { type: 'boolean', short: 'v' },
+  help: { type: 'boolean', short: 'h' },
+  retention: { type: 'string' },
+  expires: { type: 'string' },
+  approval: { type: 'boolean' },
+  tail: { type: 'boolean' },
+  history: { type: 'string', short: 'n' },
+  json: { type: 'boolean' }
+};
+
+// 加入申请未获批准时的错误码与 join 命令输出的状态
+const KNOCK_STATES = {
+  join_declined: 'declined',
+  knock_expired: 'expired',
+  approval_unavailable: 'unavailable'
+};
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * 参数错误：输出用法并以状态码 2 退出
+ */
+class UsageError extends Error {}
+
+/**
+ * 解析时长（如 90s、30m、24h、7d；不带单位按秒计）
+ * @returns {number} - 毫秒
+ */
+function parseDuration(text, name) {
+  const match = /^(\d+)([smhd]?)$/.exec(text);
+  if (!match || Number(match[1]) === 0) {
+    throw new UsageError(`--${name} 格式错误: ${text}`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2] || 's'];
+}
+
+function status(message) {
+  process.stderr.write(`[logtrace] ${message}\n`);
+}
+
+/**
+ * 格式化时间戳（同插件）
+ */
+function formatTimestamp(ts) {
+  const date = new Date(ts);
+  const pad = (n) => n.toString().padStart(2, '0');
+  const pad3 = (n) => n.toString().padStart(3, '0');
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad3(date.getMilliseconds())}`;
+}
+
+/**
+ * 输出一条消息：时间、级别、节点、签名验证标记（同插件的 ✓ / ? 与指纹前缀）
+ */
+function printLog(log, json) {
+  if (json) {
+    const { id, seq, timestamp, nodeId, level, direct, verified, fingerprint, body, attachment } = log;
+    process.stdout.write(JSON.stringify({ id, seq, timestamp, nodeId, level, direct, verified, fingerprint, body, attachment }) + '\n');
+    return;
+  }
+
+  const shortFp = log.fingerprint ? log.fingerprint.slice(0, 9) : '----';
+  const mark = log.verified ? `✓ ${shortFp}` : `? ${shortFp}`;
+  const text = log.body === null ? '[无法解密]' : log.body;
+  process.stdout.write(
+    `${formatTimestamp(log.timestamp)} ${log.level} ${log.nodeId} ${mark} ${log.direct ? '[私信] ' : ''}${text}\n`
+  );
+}
+
+/**
+ * 加入数据流，需要审批时提示本机身份指纹
+ */
+function join(client, target, options, identity) {
+  return client.joinStream(target, options.key, {
+    onPending: () => status(`等待创建者或管理员审批，本机身份指纹: ${identity.fingerprint}`)
+  });
+}
+
+/**
+ * 输出 join 命令的一个状态：pending（等待审批）、joined（已加入）或申请未获批准
+ */
+function printMembership(state, identity, json) {
+  if (json) {
+    process.stdout.write(JSON.stringify({ ...state, fingerprint: identity.fingerprint }) + '\n');
+    return;
+  }
+
+  let text;
+  if (state.state === 'pending') {
+    text = `等待审批 ${state.streamName} (${state.streamId})，申请于 ${formatTimestamp(state.expiresAt)} 过期`;
+  } else if (state.state === 'joined') {
+    text = `已加入 ${state.streamName} (${state.streamId})，角色: ${state.role}，密钥纪元: ${state.epoch}`;
+  } else {
+    text = `未加入: ${state.message}`;
+  }
+  process.stdout.write(`${text}，本机身份指纹: ${identity.fingerprint}\n`);
+}
+
+/**
+ * 加入数据流并输出成员状态，需要审批时先输出等待状态再等待处理
+ * @returns {Promise<number>} - 退出状态，申请被拒绝、超时或无人审批时为 1
+ */
+async function joinOnly(client, target, options, identity) {
+  const json = !!options.json;
+
+  try {
+    const stream = await client.joinStream(target, options.key, {
+      onPending: (data) => printMembership({
+        state: 'pending',
+        streamId: data.streamId,
+        streamName: data.streamName,
+        expiresAt: data.expiresAt
+      }, identity, json)
+    });
+
+    printMembership({
+      state: 'joined',
+      streamId: stream.streamId,
+      streamName: stream.streamName,
+      role: stream.role,
+      epoch: stream.epoch,
+      retention: stream.retention || null
+    }, identity, json);
+    return 0;
+  } catch (error) {
+    if (!KNOCK_STATES[error.code]) throw error;
+
+    printMembership({ state: KNOCK_STATES[error.code], code: error.code, message: error.message }, identity, json);
+    return 1;
+  }
+}
+
+/**
+ * 持续输出消息，直到中断或不再是数据流成员
+ */
+async function tail(client, stream, options) {
+  const json = !!options.json;
+
+  if (options.history) {
+    if (stream.retention) {
+      for (const log of await client.loadHistory(stream, options.history)) {
+        printLog(log, json);
+      }
+    } else {
+      status(client.LogSocket.describeError({ code: 'history_disabled' }));
+    }
+  }
+
+  client.events.on('log', (log) => printLog(log, json));
+  return new Promise(() => {});
+}
+
+/**
+ * 推送命令行参数（合并为一条）或逐行推送标准输入
+ * @returns {Promise<number>} - 退出状态，有推送失败时为 1
+ */
+async function push(client, stream, messages) {
+  if (messages.length > 0) {
+    await client.push(stream, messages.join(' '));
+    return 0;
+  }
+
+  let code = 0;
+  const lines = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line) continue;
+    try {
+      await client.push(stream, line);
+    } catch (error) {
+      status(`推送失败: ${error.message}`);
+      code = 1;
+    }
+  }
+  return code;
+}
+
+async function main(argv) {
+  const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, ...args] = positionals;
+
+  if (options.help || !command) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (!['create', 'join', 'tail', 'push'].includes(command)) {
+    throw new UsageError(`未知命令: ${command}`);
+  }
+  if (command !== 'create' && !args[0]) {
+    throw new UsageError('请指定数据流 ID 或邀请链接');
+  }
+
+  const createOptions = {
+    retention: options.retention ? { ttl: parseDuration(options.retention, 'retention') } : null,
+    expiresIn: options.expires ? parseDuration(options.expires, 'expires') : null,
+    approval: !!options.approval
+  };
+  if (options.history !== undefined) {
+    options.history = Number(options.history);
+    if (!Number.isInteger(options.history) || options.history < 1) {
+      throw new UsageError('--history 须为正整数');
+    }
+  }
+
+  // 插件模块的调试日志只在 --verbose 时输出，且不混入标准输出
+  const log = options.verbose ? console.error.bind(console) : () => {};
+  console.log = console.info = console.warn = console.debug = console.error = log;
+
+  const client = require('./client');
+  if (options.lang) {
+    client.LogSocket.setLocale(options.lang);
+  }
+
+  const invite = command === 'create' ? null : client.LogSocket.parseInviteLink(args[0]);
+  options.key = options.key || process.env.LOGTRACE_KEY;
+  if (!invite && !options.key) {
+    throw new UsageError('请通过 --key 或环境变量 LOGTRACE_KEY 提供访问密钥');
+  }
+
+  // 邀请令牌只在签发它的服务器上有效
+  const serverUrl = options.server || (invite && invite.serverUrl) ||
+    process.env.LOGTRACE_SERVER || 'http://localhost:3000';
+  const identity = await client.connect(serverUrl, {
+    identityFile: options.identity || process.env.LOGTRACE_IDENTITY
+  });
+
+  client.events.on('lost', ({ message }) => {
+    status(message);
+    process.exit(1);
+  });
+  process.on('SIGINT', () => {
+    client.close();
+    process.exit(0);
+  });
+
+  let code = 0;
+  if (command === 'create') {
+    const streamName = args[0] || 'cli-' + Date.now().toString(36);
+    const streamId = await client.createStream(streamName, options.key, createOptions);
+    process.stdout.write(streamId + '\n');
+    if (options.tail) {
+      await tail(client, await join(client, streamId, options, identity), options);
+    }
+  } else if (command === 'join') {
+    code = await joinOnly(client, args[0], options, identity);
+  } else {
+    const stream = await join(client, args[0], options, identity);
+    status(`已加入数据流 ${stream.streamName} (${stream.streamId})`);
+    if (command === 'tail') {
+      await tail(client, stream, options);
+    } else {
+      code = await push(client, stream, args.slice(1));
+    }
+  }
+
+  client.close();
+  return code;
+}
+
+// 输出被管道截断（如 | head）时正常退出
+process.stdout.on('error', (error) => {
+  process.exit(error.code === 'EPIPE' ? 0 : 1);
+});
+
+main(process.argv.slice(2)).then((code) => {
+  process.exit(code);
+}, (error) => {
+  if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION') {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    process.exit(2);
+  }
+  status(error.message);
+  process.exit(1);
+});
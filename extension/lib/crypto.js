@@ -3,8 +3,12 @@
  *
  * 使用 Web Crypto API 实现端到端加密
  * - AES-GCM 用于消息加密/解密
- * - PBKDF2 用于从密码派生密钥
- * - SHA-256 用于密码哈希（服务端验证）
+ * - PBKDF2 用于从密码派生主密钥（每个数据流独立的随机盐与迭代参数）
+ * - HKDF 将主密钥拆分为加密密钥与认证密钥
+ * - HMAC-SHA256 用于加入数据流时的挑战-应答（服务端只持有认证密钥）
+ * - ECDSA P-256 身份密钥对消息签名（签名与发送者公钥均位于密文内部）
+ * - 版本化二进制信封：版本、算法套件、密钥纪元、IV 与密文
+ * - ECDH P-256 交换密钥用于密钥轮换时向单个成员分发新密钥，交换公钥由身份密钥签名
  */
 
 const LogCrypto = (function () {
@@ -16,16 +20,88 @@ const LogCrypto = (function () {
     keyLength: 256,
     ivLength: 12,        // AES-GCM 推荐 12 字节 IV
     tagLength: 128,      // 认证标签长度
-    pbkdf2Iterations: 100000,
-    saltLength: 16
+    pbkdf2Iterations: 310000,
+    pbkdf2Hash: 'SHA-256',
+    saltLength: 16,
+    kdfVersion: 2,
+    minIterations: 100000,   // 拒绝低于此值的参数（防止服务端下发弱参数）
+    maxIterations: 10000000,
+    chunkSize: 63 * 1024,          // 附件分块大小（填充后恰好落入 64 KiB 分桶）
+    maxAttachmentSize: 5 * 1024 * 1024
   };
 
-  // 固定盐（Demo 阶段，生产环境应每次随机生成）
+  // HKDF 上下文标签：同一主密钥派生出互相独立的子密钥
+  const HKDF_INFO = {
+    enc: 'logtrace/v1/enc',
+    auth: 'logtrace/v1/auth',
+    wrap: 'logtrace/v1/wrap',
+    direct: 'logtrace/v1/direct'
+  };
+
+  // 身份密钥参数
+  const IDENTITY = {
+    algorithm: { name: 'ECDSA', namedCurve: 'P-256' },
+    signature: { name: 'ECDSA', hash: 'SHA-256' },
+    exchange: { name: 'ECDH', namedCurve: 'P-256' },
+    fingerprintBytes: 10   // 指纹取公钥 SHA-256 的前 10 字节
+  };
+
+  /**
+   * 消息信封格式（version 1，二进制，大端序）
+   *
+   *   偏移  长度  字段
+   *   0     1     version      信封版本，当前为 1
+   *   1     1     suite        算法套件，1 = AES-256-GCM + ECDSA-P256-SHA256
+   *   2     1     flags        bit0：旧版信封签名（见下）；bit1：明文已填充
+   *   3     4     epoch        密钥纪元（uint32）
+   *   7     12    iv           AES-GCM IV
+   *   19    4     ctLength     密文长度（uint32，含 GCM 标签）
+   *   23    n     ciphertext   密文
+   *
+   * AAD = version | suite | flags | epoch | "|" streamId "|" nodeId，头部由 GCM 认证，无需另行签名
+   * 填充（bit1）：明文末尾追加 0x80 与若干 0x00 至分桶长度，位于密文内部
+   * 身份签名与发送者公钥都在密文内部（见 sealMessage），中继无法验证签名，也就无法关联发送者
+   * 旧版消息（记录 v2）在密文之后附带 sigLength(2) 与签名（bit0），仅为读取历史而保留解析
+   */
+  const ENVELOPE = {
+    version: 1,
+    suite: 1,
+    flagSigned: 0x01,
+    flagPadded: 0x02,
+    headerLength: 7 + 12   // 固定头部 + IV
+  };
+
+  // 明文长度填充：隐藏消息长度，避免中继或旁观者区分短消息与长段落
+  // - pow2：填充到 2 的幂（不小于 minSize）
+  // - block：填充到 blockSize 的整数倍（不小于 minSize）
+  // - none：不填充
+  const PADDING_SCHEMES = ['pow2', 'block', 'none'];
+  const padding = {
+    scheme: 'pow2',
+    minSize: 256,
+    blockSize: 256
+  };
+
+  // 密文内部消息记录的格式版本
+  // v1：签名位于记录内部（旧版 Base64 密文）；v2：签名位于信封明文部分（已停用，仅验证）；
+  // v3：签名位于记录内部，覆盖数据流、发送节点、密钥纪元与整条记录
+  const MESSAGE_VERSION = 3;
+
+  // 允许的 PBKDF2 哈希算法
+  const KDF_HASHES = ['SHA-256', 'SHA-384', 'SHA-512'];
+
+  // 旧版（v1）固定盐，仅用于兼容未携带 KDF 参数的旧数据流
   const FIXED_SALT = new Uint8Array([
     0x4c, 0x6f, 0x67, 0x54, 0x72, 0x61, 0x63, 0x65,
     0x50, 0x61, 0x6e, 0x65, 0x6c, 0x53, 0x61, 0x6c
   ]); // "LogTracePanelSal"
 
+  const LEGACY_KDF = {
+    salt: FIXED_SALT,
+    iterations: 100000,
+    hash: 'SHA-256'
+  };
+
   /**
    * 将字符串转换为 ArrayBuffer
    */
@@ -75,40 +151,104 @@ const LogCrypto = (function () {
   }
 
   /**
-   * 生成密码的 SHA-256 哈希（用于服务端验证）
-   * @param {string} password - 原始密码
-   * @returns {Promise<string>} - 十六进制哈希值
+   * 为新数据流生成 KDF 参数（随机盐 + 迭代次数 + 哈希算法）
+   * 参数随数据流保存在服务端，加入时下发给客户端
+   * @returns {{version: number, salt: string, iterations: number, hash: string}}
+   */
+  function generateKdfParams() {
+    const salt = crypto.getRandomValues(new Uint8Array(CONFIG.saltLength));
+    return {
+      version: CONFIG.kdfVersion,
+      salt: bufferToBase64(salt.buffer),
+      iterations: CONFIG.pbkdf2Iterations,
+      hash: CONFIG.pbkdf2Hash
+    };
+  }
+
+  /**
+   * 解析并校验 KDF 参数
+   * - 缺省或 version 1：旧版固定盐参数
+   * - version 2：每个数据流独立的随机盐
+   * @param {Object|null} kdf - 服务端下发的 KDF 参数
+   * @returns {{salt: Uint8Array, iterations: number, hash: string}}
    */
-  async function hashPassword(password) {
-    const data = stringToBuffer(password);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    return bufferToHex(hashBuffer);
+  function resolveKdfParams(kdf) {
+    if (!kdf || kdf.version === 1) {
+      return LEGACY_KDF;
+    }
+
+    if (kdf.version !== 2) {
+      throw new Error('Unsupported KDF version: ' + kdf.version);
+    }
+
+    const salt = new Uint8Array(base64ToBuffer(kdf.salt));
+    if (salt.length < CONFIG.saltLength) {
+      throw new Error('KDF salt too short');
+    }
+    if (!Number.isInteger(kdf.iterations) ||
+        kdf.iterations < CONFIG.minIterations ||
+        kdf.iterations > CONFIG.maxIterations) {
+      throw new Error('Invalid KDF iterations: ' + kdf.iterations);
+    }
+    if (!KDF_HASHES.includes(kdf.hash)) {
+      throw new Error('Unsupported KDF hash: ' + kdf.hash);
+    }
+
+    return { salt, iterations: kdf.iterations, hash: kdf.hash };
   }
 
   /**
-   * 使用 PBKDF2 从密码派生 AES 密钥
+   * 从密码派生数据流的密钥对
+   * PBKDF2 输出作为主密钥，再经 HKDF 拆分：
+   * - encKey：AES-GCM 消息加密密钥，仅留在客户端
+   * - authKey：HMAC 认证密钥，创建数据流时交给服务端用于挑战-应答
+   * 服务端持有 authKey 既不能解密消息，也无法反推出密码
    * @param {string} password - 原始密码
-   * @returns {Promise<CryptoKey>} - AES-GCM 密钥
+   * @param {Object} [kdf] - 数据流的 KDF 参数（缺省时使用旧版参数）
+   * @returns {Promise<{encKey: CryptoKey, authKey: string}>} - authKey 为 Base64
    */
-  async function deriveKey(password) {
+  async function deriveKeys(password, kdf) {
+    const params = resolveKdfParams(kdf);
+
     // 导入密码作为原始密钥
     const passwordKey = await crypto.subtle.importKey(
       'raw',
       stringToBuffer(password),
       { name: 'PBKDF2' },
       false,
-      ['deriveKey']
+      ['deriveBits']
     );
 
-    // 使用 PBKDF2 派生 AES 密钥
-    const aesKey = await crypto.subtle.deriveKey(
+    // 使用 PBKDF2 派生主密钥
+    const masterBits = await crypto.subtle.deriveBits(
       {
         name: 'PBKDF2',
-        salt: FIXED_SALT,
-        iterations: CONFIG.pbkdf2Iterations,
-        hash: 'SHA-256'
+        salt: params.salt,
+        iterations: params.iterations,
+        hash: params.hash
       },
       passwordKey,
+      CONFIG.keyLength
+    );
+
+    const masterKey = await crypto.subtle.importKey(
+      'raw',
+      masterBits,
+      { name: 'HKDF' },
+      false,
+      ['deriveKey', 'deriveBits']
+    );
+
+    const hkdfParams = (info) => ({
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: new Uint8Array(0),
+      info: stringToBuffer(info)
+    });
+
+    const encKey = await crypto.subtle.deriveKey(
+      hkdfParams(HKDF_INFO.enc),
+      masterKey,
       {
         name: CONFIG.algorithm,
         length: CONFIG.keyLength
@@ -117,83 +257,906 @@ const LogCrypto = (function () {
       ['encrypt', 'decrypt']
     );
 
-    return aesKey;
+    const authBits = await crypto.subtle.deriveBits(
+      hkdfParams(HKDF_INFO.auth),
+      masterKey,
+      CONFIG.keyLength
+    );
+
+    return {
+      encKey,
+      authKey: bufferToBase64(authBits)
+    };
+  }
+
+  /**
+   * 计算加入数据流的挑战应答
+   * proof = HMAC-SHA256(authKey, "logtrace-join|<streamId>|<nonce>")
+   * nonce 由服务端一次性下发，应答无法被重放
+   * @param {string} authKey - Base64 认证密钥
+   * @param {string} streamId - 数据流 ID
+   * @param {string} nonce - 服务端下发的随机数
+   * @returns {Promise<string>} - Base64 编码的 HMAC
+   */
+  async function computeJoinProof(authKey, streamId, nonce) {
+    const hmacKey = await crypto.subtle.importKey(
+      'raw',
+      base64ToBuffer(authKey),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['sign']
+    );
+
+    const signature = await crypto.subtle.sign(
+      'HMAC',
+      hmacKey,
+      stringToBuffer(`logtrace-join|${streamId}|${nonce}`)
+    );
+
+    return bufferToBase64(signature);
+  }
+
+  /**
+   * 将 ArrayBuffer / TypedArray / Buffer 统一为 Uint8Array
+   */
+  function toBytes(data) {
+    if (data instanceof ArrayBuffer) {
+      return new Uint8Array(data);
+    }
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+
+  /**
+   * 编码消息信封（不再写入旧版信封签名）
+   * @param {{epoch: number, flags?: number, iv: Uint8Array, ciphertext: Uint8Array}} envelope
+   * @returns {Uint8Array}
+   */
+  function encodeEnvelope(envelope) {
+    const { epoch, iv, ciphertext } = envelope;
+    const flags = (envelope.flags || 0) & ~ENVELOPE.flagSigned;
+    const bytes = new Uint8Array(ENVELOPE.headerLength + 4 + ciphertext.length);
+    const view = new DataView(bytes.buffer);
+
+    bytes.set(envelopeHeader(epoch, flags), 0);
+    bytes.set(iv, ENVELOPE.headerLength - CONFIG.ivLength);
+    view.setUint32(ENVELOPE.headerLength, ciphertext.length);
+    bytes.set(ciphertext, ENVELOPE.headerLength + 4);
+
+    return bytes;
+  }
+
+  /**
+   * 解码消息信封
+   * @param {ArrayBuffer|Uint8Array} data - 二进制信封
+   * @returns {{version: number, suite: number, flags: number, epoch: number, header: Uint8Array, iv: Uint8Array, ciphertext: Uint8Array, signature: Uint8Array|null}}
+   */
+  function decodeEnvelope(data) {
+    const bytes = toBytes(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (bytes.length < ENVELOPE.headerLength + 4) {
+      throw new Error('Envelope too short');
+    }
+
+    const version = bytes[0];
+    const suite = bytes[1];
+    const flags = bytes[2];
+
+    if (version !== ENVELOPE.version) {
+      throw new Error('Unsupported envelope version: ' + version);
+    }
+    if (suite !== ENVELOPE.suite) {
+      throw new Error('Unsupported cipher suite: ' + suite);
+    }
+
+    const ctLength = view.getUint32(ENVELOPE.headerLength);
+    const ctEnd = ENVELOPE.headerLength + 4 + ctLength;
+    if (ctEnd > bytes.length) {
+      throw new Error('Truncated envelope');
+    }
+
+    let signature = null;
+    if (flags & ENVELOPE.flagSigned) {
+      const sigLength = view.getUint16(ctEnd);
+      signature = bytes.slice(ctEnd + 2, ctEnd + 2 + sigLength);
+      if (signature.length !== sigLength) {
+        throw new Error('Truncated envelope signature');
+      }
+    }
+
+    return {
+      version,
+      suite,
+      flags,
+      epoch: view.getUint32(3),
+      header: bytes.slice(0, ENVELOPE.headerLength - CONFIG.ivLength),
+      iv: bytes.slice(ENVELOPE.headerLength - CONFIG.ivLength, ENVELOPE.headerLength),
+      ciphertext: bytes.slice(ENVELOPE.headerLength + 4, ctEnd),
+      signature
+    };
   }
 
   /**
-   * 加密消息
-   * @param {string} plaintext - 明文消息
+   * 信封固定头部：version | suite | flags | epoch（不含 IV）
+   */
+  function envelopeHeader(epoch, flags) {
+    const header = new Uint8Array(ENVELOPE.headerLength - CONFIG.ivLength);
+    const view = new DataView(header.buffer);
+    header[0] = ENVELOPE.version;
+    header[1] = ENVELOPE.suite;
+    header[2] = flags;
+    view.setUint32(3, epoch >>> 0);
+    return header;
+  }
+
+  /**
+   * 构造附加认证数据：信封头部 + 数据流 ID + 发送节点
+   * 密文被挪到其他数据流或冒充其他节点时解密失败
+   */
+  function buildAad(header, context) {
+    const binding = stringToBuffer(`|${context.streamId || ''}|${context.nodeId || ''}`);
+    const aad = new Uint8Array(header.length + binding.length);
+    aad.set(header, 0);
+    aad.set(binding, header.length);
+    return aad;
+  }
+
+  /**
+   * 旧版（记录 v2）信封签名覆盖的数据：AAD || IV || 密文
+   */
+  function envelopeSigningInput(envelope, context) {
+    const aad = buildAad(envelope.header, context);
+    const data = new Uint8Array(aad.length + envelope.iv.length + envelope.ciphertext.length);
+    data.set(aad, 0);
+    data.set(envelope.iv, aad.length);
+    data.set(envelope.ciphertext, aad.length + envelope.iv.length);
+    return data;
+  }
+
+  /**
+   * 配置明文填充方式
+   * @param {{scheme?: string, minSize?: number, blockSize?: number}} options
+   */
+  function setPadding(options = {}) {
+    if (options.scheme !== undefined) {
+      if (!PADDING_SCHEMES.includes(options.scheme)) {
+        throw new Error('Unsupported padding scheme: ' + options.scheme);
+      }
+      padding.scheme = options.scheme;
+    }
+    if (Number.isInteger(options.minSize) && options.minSize > 0) {
+      padding.minSize = options.minSize;
+    }
+    if (Number.isInteger(options.blockSize) && options.blockSize > 0) {
+      padding.blockSize = options.blockSize;
+    }
+  }
+
+  /**
+   * 计算填充后的长度（至少保留 1 字节用于 0x80 标记）
+   */
+  function paddedLength(length) {
+    const needed = Math.max(length + 1, padding.minSize);
+
+    if (padding.scheme === 'block') {
+      return Math.ceil(needed / padding.blockSize) * padding.blockSize;
+    }
+
+    let size = padding.minSize;
+    while (size < needed) {
+      size *= 2;
+    }
+    return size;
+  }
+
+  /**
+   * 填充明文：data || 0x80 || 0x00...
+   */
+  function padPlaintext(data) {
+    const padded = new Uint8Array(paddedLength(data.length));
+    padded.set(data, 0);
+    padded[data.length] = 0x80;
+    return padded;
+  }
+
+  /**
+   * 去除填充
+   */
+  function unpadPlaintext(data) {
+    let end = data.length - 1;
+    while (end >= 0 && data[end] === 0x00) {
+      end--;
+    }
+    if (end < 0 || data[end] !== 0x80) {
+      throw new Error('Invalid padding');
+    }
+    return data.subarray(0, end);
+  }
+
+  /**
+   * 从密钥或密钥环中选择密钥
+   */
+  function selectKey(key, keyId) {
+    return key instanceof Map ? key.get(keyId) || null : key;
+  }
+
+  /**
+   * 加密消息，输出二进制信封
+   * @param {string|Uint8Array} plaintext - 明文消息或二进制数据
    * @param {CryptoKey} key - AES 密钥
-   * @returns {Promise<string>} - Base64 编码的密文（包含 IV）
+   * @param {Object} [options]
+   * @param {number} [options.epoch=0] - 密钥纪元
+   * @param {{streamId: string, nodeId: string}} [options.context] - 绑定到 AAD 的数据流与发送者
+   * @returns {Promise<Uint8Array>} - 二进制信封
    */
-  async function encrypt(plaintext, key) {
+  async function encrypt(plaintext, key, options = {}) {
+    const { epoch = 0, context = {} } = options;
+    const padded = padding.scheme !== 'none';
+    const data = typeof plaintext === 'string' ? stringToBuffer(plaintext) : toBytes(plaintext);
+    const flags = padded ? ENVELOPE.flagPadded : 0;
+
     // 生成随机 IV
     const iv = crypto.getRandomValues(new Uint8Array(CONFIG.ivLength));
+    const header = envelopeHeader(epoch, flags);
 
-    // 加密
+    // 加密（头部与上下文作为附加认证数据）
     const ciphertext = await crypto.subtle.encrypt(
       {
         name: CONFIG.algorithm,
         iv: iv,
+        additionalData: buildAad(header, context),
         tagLength: CONFIG.tagLength
       },
       key,
-      stringToBuffer(plaintext)
+      padded ? padPlaintext(data) : data
     );
 
-    // 将 IV 和密文合并
-    const combined = new Uint8Array(iv.length + ciphertext.byteLength);
-    combined.set(iv, 0);
-    combined.set(new Uint8Array(ciphertext), iv.length);
-
-    // 返回 Base64 编码
-    return bufferToBase64(combined.buffer);
+    return encodeEnvelope({
+      epoch,
+      flags,
+      iv,
+      ciphertext: new Uint8Array(ciphertext)
+    });
   }
 
   /**
-   * 解密消息
-   * @param {string} encryptedBase64 - Base64 编码的密文（包含 IV）
-   * @param {CryptoKey} key - AES 密钥
-   * @returns {Promise<string>} - 明文消息
+   * 解开信封并解密
+   * @returns {Promise<{data: Uint8Array, envelope: Object|null}|null>}
    */
-  async function decrypt(encryptedBase64, key) {
+  async function openEnvelope(payload, key, context = {}) {
     try {
-      // 解码 Base64
-      const combined = new Uint8Array(base64ToBuffer(encryptedBase64));
+      // 旧格式：Base64(IV || 密文)，无头部与 AAD
+      if (typeof payload === 'string') {
+        const cryptoKey = selectKey(key, context.keyId || 0);
+        if (!cryptoKey) return null;
 
-      // 提取 IV 和密文
-      const iv = combined.slice(0, CONFIG.ivLength);
-      const ciphertext = combined.slice(CONFIG.ivLength);
+        const combined = new Uint8Array(base64ToBuffer(payload));
+        const plaintext = await crypto.subtle.decrypt(
+          {
+            name: CONFIG.algorithm,
+            iv: combined.slice(0, CONFIG.ivLength),
+            tagLength: CONFIG.tagLength
+          },
+          cryptoKey,
+          combined.slice(CONFIG.ivLength)
+        );
+        return { data: new Uint8Array(plaintext), envelope: null };
+      }
+
+      const envelope = decodeEnvelope(payload);
+      const cryptoKey = selectKey(key, envelope.epoch);
+      if (!cryptoKey) return null;
 
-      // 解密
       const plaintext = await crypto.subtle.decrypt(
         {
           name: CONFIG.algorithm,
-          iv: iv,
+          iv: envelope.iv,
+          additionalData: buildAad(envelope.header, context),
           tagLength: CONFIG.tagLength
         },
-        key,
-        ciphertext
+        cryptoKey,
+        envelope.ciphertext
       );
 
-      return bufferToString(plaintext);
+      const data = new Uint8Array(plaintext);
+      return {
+        data: envelope.flags & ENVELOPE.flagPadded ? unpadPlaintext(data) : data,
+        envelope
+      };
     } catch (error) {
       console.error('[CRYPTO] Decryption failed:', error);
       return null;
     }
   }
 
+  /**
+   * 解密消息
+   * @param {Uint8Array|ArrayBuffer|string} payload - 二进制信封（或旧版 Base64 密文）
+   * @param {CryptoKey|Map<number, CryptoKey>} key - AES 密钥，或按密钥纪元索引的密钥环
+   * @param {{streamId?: string, nodeId?: string, keyId?: number}} [context] - AAD 绑定的上下文
+   * @returns {Promise<string|null>} - 明文消息，失败返回 null
+   */
+  async function decrypt(payload, key, context = {}) {
+    const opened = await openEnvelope(payload, key, context);
+    return opened ? bufferToString(opened.data) : null;
+  }
+
+  /**
+   * 解密二进制数据（附件分块）
+   * @param {Uint8Array|ArrayBuffer} payload - 二进制信封
+   * @param {CryptoKey|Map<number, CryptoKey>} key - AES 密钥或密钥环
+   * @param {{streamId?: string, nodeId?: string}} [context] - AAD 绑定的上下文
+   * @returns {Promise<Uint8Array|null>}
+   */
+  async function decryptBytes(payload, key, context = {}) {
+    const opened = await openEnvelope(payload, key, context);
+    return opened ? opened.data : null;
+  }
+
+  /**
+   * 加密附件并切分为分块
+   * 每个分块是独立的信封；完整文件的 SHA-256 写入签名的附件清单，接收方重组后校验
+   * @param {ArrayBuffer|Uint8Array} file - 文件内容
+   * @param {CryptoKey} key - AES 密钥
+   * @param {{streamId: string, nodeId: string, epoch?: number}} context - 发送上下文
+   * @returns {Promise<{chunks: Uint8Array[], size: number, sha256: string}>}
+   */
+  async function encryptFile(file, key, context) {
+    const bytes = toBytes(file);
+
+    if (bytes.length > CONFIG.maxAttachmentSize) {
+      throw new Error('Attachment too large');
+    }
+
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    const chunks = [];
+
+    for (let offset = 0; offset < bytes.length || chunks.length === 0; offset += CONFIG.chunkSize) {
+      const slice = bytes.subarray(offset, offset + CONFIG.chunkSize);
+      chunks.push(await encrypt(slice, key, { epoch: context.epoch || 0, context }));
+    }
+
+    return {
+      chunks,
+      size: bytes.length,
+      sha256: bufferToHex(digest)
+    };
+  }
+
+  /**
+   * 解密并重组附件分块
+   * @param {Array<Uint8Array|ArrayBuffer>} chunks - 按顺序排列的分块信封
+   * @param {CryptoKey|Map<number, CryptoKey>} key - AES 密钥或密钥环
+   * @param {{streamId: string, nodeId: string}} context - 发送者上下文
+   * @param {string} sha256 - 附件清单中的文件摘要
+   * @returns {Promise<Uint8Array|null>} - 解密失败或摘要不符返回 null
+   */
+  async function decryptFile(chunks, key, context, sha256) {
+    const parts = [];
+    let size = 0;
+
+    for (const chunk of chunks) {
+      const data = await decryptBytes(chunk, key, context);
+      if (!data) return null;
+      parts.push(data);
+      size += data.length;
+    }
+
+    const file = new Uint8Array(size);
+    let offset = 0;
+    for (const part of parts) {
+      file.set(part, offset);
+      offset += part.length;
+    }
+
+    const digest = await crypto.subtle.digest('SHA-256', file);
+    if (bufferToHex(digest) !== sha256) {
+      console.error('[CRYPTO] Attachment digest mismatch');
+      return null;
+    }
+
+    return file;
+  }
+
+  /**
+   * 生成 ECDH 交换密钥对
+   * @returns {Promise<{exchangePublicKey: string, exchangePrivateKey: Object}>}
+   */
+  async function generateExchangeKeys() {
+    const keyPair = await crypto.subtle.generateKey(
+      IDENTITY.exchange,
+      true,
+      ['deriveBits']
+    );
+
+    const publicRaw = await crypto.subtle.exportKey('raw', keyPair.publicKey);
+    const privateJwk = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+
+    return {
+      exchangePublicKey: bufferToBase64(publicRaw),
+      exchangePrivateKey: privateJwk
+    };
+  }
+
+  /**
+   * 生成本机身份密钥对（ECDSA P-256 签名 + ECDH P-256 交换）
+   * 返回可序列化的记录，由调用方保存到 chrome.storage.local
+   * @returns {Promise<Object>} - 公钥为 Base64 raw，私钥为 JWK
+   */
+  async function generateIdentity() {
+    const keyPair = await crypto.subtle.generateKey(
+      IDENTITY.algorithm,
+      true,
+      ['sign', 'verify']
+    );
+
+    const publicRaw = await crypto.subtle.exportKey('raw', keyPair.publicKey);
+    const privateJwk = await crypto.subtle.exportKey('jwk', keyPair.privateKey);
+
+    return {
+      publicKey: bufferToBase64(publicRaw),
+      privateKey: privateJwk,
+      ...(await generateExchangeKeys())
+    };
+  }
+
+  /**
+   * 为旧版身份记录补充 ECDH 交换密钥
+   * @param {Object} record - 已保存的身份记录
+   * @returns {Promise<Object>} - 无需升级时返回原对象
+   */
+  async function ensureExchangeKeys(record) {
+    if (record.exchangePublicKey && record.exchangePrivateKey) {
+      return record;
+    }
+    return { ...record, ...(await generateExchangeKeys()) };
+  }
+
+  /**
+   * 创建数据流时证明持有身份私钥，服务端据此直接绑定创建者身份
+   * signature = ECDSA-P256-SHA256(identity, "logtrace-create|<authKey>")
+   * 认证密钥由访问密钥与随机盐派生，每个数据流各不相同
+   * @param {Object} identity - importIdentity 返回的身份
+   * @param {string} authKey - deriveKeys 返回的认证密钥（Base64）
+   * @returns {Promise<string>} - Base64 编码的签名（IEEE P1363 r||s）
+   */
+  async function computeCreateProof(identity, authKey) {
+    const signature = await crypto.subtle.sign(
+      IDENTITY.signature,
+      identity.signingKey,
+      stringToBuffer(`logtrace-create|${authKey}`)
+    );
+
+    return bufferToBase64(signature);
+  }
+
+  /**
+   * 交换公钥签名的原文：交换公钥由中继转发，签名把它绑定到身份公钥
+   */
+  function exchangeKeySigningInput(exchangePublicKey) {
+    return stringToBuffer(`logtrace-exchange|${exchangePublicKey}`);
+  }
+
+  /**
+   * 导入已保存的身份记录
+   * 同时签名交换公钥，加入数据流时随交换公钥提交，其他成员据此确认交换公钥属于该身份
+   * @param {Object} record - generateIdentity 的返回值
+   * @returns {Promise<{publicKey: string, signingKey: CryptoKey, exchangePublicKey: string, exchangeKey: CryptoKey, exchangeKeySignature: string, fingerprint: string}>}
+   */
+  async function importIdentity(record) {
+    const signingKey = await crypto.subtle.importKey(
+      'jwk',
+      record.privateKey,
+      IDENTITY.algorithm,
+      false,
+      ['sign']
+    );
+
+    const exchangeKey = await crypto.subtle.importKey(
+      'jwk',
+      record.exchangePrivateKey,
+      IDENTITY.exchange,
+      false,
+      ['deriveBits']
+    );
+
+    const exchangeKeySignature = await crypto.subtle.sign(
+      IDENTITY.signature,
+      signingKey,
+      exchangeKeySigningInput(record.exchangePublicKey)
+    );
+
+    return {
+      publicKey: record.publicKey,
+      signingKey,
+      exchangePublicKey: record.exchangePublicKey,
+      exchangeKey,
+      exchangeKeySignature: bufferToBase64(exchangeKeySignature),
+      fingerprint: await fingerprint(record.publicKey)
+    };
+  }
+
+  /**
+   * 验证成员的交换公钥由其身份密钥签名
+   * 向成员包装密钥或发送私信前调用，防止中继替换交换公钥后解开内容
+   * @param {{identityKey: string, exchangeKey: string, exchangeKeySig: string}} member - 服务端转发的成员信息
+   * @returns {Promise<string|null>} - 验证通过时返回由身份公钥计算的指纹，否则返回 null
+   */
+  async function verifyExchangeKey(member) {
+    const { identityKey, exchangeKey, exchangeKeySig } = member || {};
+    if (!identityKey || !exchangeKey || !exchangeKeySig) {
+      return null;
+    }
+
+    try {
+      const publicKey = await crypto.subtle.importKey(
+        'raw',
+        base64ToBuffer(identityKey),
+        IDENTITY.algorithm,
+        false,
+        ['verify']
+      );
+      const valid = await crypto.subtle.verify(
+        IDENTITY.signature,
+        publicKey,
+        base64ToBuffer(exchangeKeySig),
+        exchangeKeySigningInput(exchangeKey)
+      );
+      return valid ? fingerprint(identityKey) : null;
+    } catch (error) {
+      console.error('[CRYPTO] Exchange key verification failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 加入数据流时证明持有身份私钥
+   * signature = ECDSA-P256-SHA256(identity, "logtrace-identity|<streamId>|<nonce>")
+   * 服务端据此按身份（而非连接）记录角色与封禁
+   * @param {Object} identity - importIdentity 返回的身份
+   * @param {string} streamId - 数据流 ID
+   * @param {string} nonce - 服务端下发的随机数
+   * @returns {Promise<string>} - Base64 编码的签名（IEEE P1363 r||s）
+   */
+  async function computeIdentityProof(identity, streamId, nonce) {
+    const signature = await crypto.subtle.sign(
+      IDENTITY.signature,
+      identity.signingKey,
+      stringToBuffer(`logtrace-identity|${streamId}|${nonce}`)
+    );
+
+    return bufferToBase64(signature);
+  }
+
+  /**
+   * 由 ECDH 共享秘密派生 AES 密钥
+   * @param {string} [info] - HKDF 上下文标签，默认用于秘密包装
+   */
+  async function deriveWrapKey(privateKey, publicKeyBase64, info = HKDF_INFO.wrap) {
+    const publicKey = await crypto.subtle.importKey(
+      'raw',
+      base64ToBuffer(publicKeyBase64),
+      IDENTITY.exchange,
+      false,
+      []
+    );
+
+    const sharedBits = await crypto.subtle.deriveBits(
+      { name: 'ECDH', public: publicKey },
+      privateKey,
+      CONFIG.keyLength
+    );
+
+    const sharedKey = await crypto.subtle.importKey(
+      'raw',
+      sharedBits,
+      { name: 'HKDF' },
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      {
+        name: 'HKDF',
+        hash: 'SHA-256',
+        salt: new Uint8Array(0),
+        info: stringToBuffer(info)
+      },
+      sharedKey,
+      {
+        name: CONFIG.algorithm,
+        length: CONFIG.keyLength
+      },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * 将秘密（如新的访问密钥）包装给单个成员
+   * 先用当前数据流密钥加密（证明发送者是成员，中继无法伪造），
+   * 再用一次性 ECDH 密钥对接收者的交换公钥加密（只有该成员能解开）
+   * 交换公钥须先经 verifyExchangeKey 验证
+   * @param {string} secret - 待分发的秘密
+   * @param {CryptoKey} groupKey - 当前数据流密钥
+   * @param {string} recipientPublicKey - 接收者的 ECDH 公钥（Base64 raw）
+   * @returns {Promise<string>} - JSON 字符串 { epk, ct }（ct 为 Base64 信封）
+   */
+  async function wrapSecret(secret, groupKey, recipientPublicKey) {
+    const inner = await encrypt(secret, groupKey);
+
+    const ephemeral = await crypto.subtle.generateKey(
+      IDENTITY.exchange,
+      true,
+      ['deriveBits']
+    );
+    const wrapKey = await deriveWrapKey(ephemeral.privateKey, recipientPublicKey);
+    const epk = await crypto.subtle.exportKey('raw', ephemeral.publicKey);
+    const outer = await encrypt(bufferToBase64(inner), wrapKey);
+
+    return JSON.stringify({
+      epk: bufferToBase64(epk),
+      ct: bufferToBase64(outer)
+    });
+  }
+
+  /**
+   * 解开 wrapSecret 包装的秘密
+   * @param {string} wrapped - wrapSecret 的返回值
+   * @param {CryptoKey} groupKey - 当前数据流密钥
+   * @param {Object} identity - importIdentity 的返回值
+   * @returns {Promise<string|null>} - 失败返回 null
+   */
+  async function unwrapSecret(wrapped, groupKey, identity) {
+    try {
+      const { epk, ct } = JSON.parse(wrapped);
+      const wrapKey = await deriveWrapKey(identity.exchangeKey, epk);
+      const inner = await decrypt(base64ToBuffer(ct), wrapKey);
+      return inner === null ? null : decrypt(base64ToBuffer(inner), groupKey);
+    } catch (error) {
+      console.error('[CRYPTO] Unwrap failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 签名并加密一条私信
+   * 用一次性 ECDH 密钥对接收者的交换公钥派生密钥，只有接收者能解开；
+   * 消息仍由发送者身份签名，接收者可验证来源
+   * 交换公钥须先经 verifyExchangeKey 验证
+   * @param {string} body - 明文消息
+   * @param {Object} identity - importIdentity 的返回值
+   * @param {string} recipientPublicKey - 接收者的 ECDH 公钥（Base64 raw）
+   * @param {{streamId: string, nodeId: string}} context - 发送上下文
+   * @returns {Promise<{payload: Uint8Array, epk: string}>} - epk 为一次性公钥，随消息发送
+   */
+  async function sealDirect(body, identity, recipientPublicKey, context) {
+    const ephemeral = await crypto.subtle.generateKey(
+      IDENTITY.exchange,
+      true,
+      ['deriveBits']
+    );
+    const key = await deriveWrapKey(ephemeral.privateKey, recipientPublicKey, HKDF_INFO.direct);
+    const epk = await crypto.subtle.exportKey('raw', ephemeral.publicKey);
+
+    return {
+      payload: await sealMessage(body, key, identity, { ...context, epoch: 0 }),
+      epk: bufferToBase64(epk)
+    };
+  }
+
+  /**
+   * 解密并验证发给本机的私信
+   * @param {Uint8Array|ArrayBuffer} payload - 二进制信封
+   * @param {string} epk - 发送者的一次性公钥
+   * @param {Object} identity - importIdentity 的返回值
+   * @param {{streamId: string, nodeId: string}} context - 服务端转发的来源信息
+   * @returns {Promise<Object|null>} - 同 openMessage，失败返回 null
+   */
+  async function openDirect(payload, epk, identity, context) {
+    try {
+      const key = await deriveWrapKey(identity.exchangeKey, epk, HKDF_INFO.direct);
+      return await openMessage(payload, key, context);
+    } catch (error) {
+      console.error('[CRYPTO] Direct message open failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * 计算公钥指纹（安全码），形如 "3f2a 91c0 77de 0b45 e812"
+   * @param {string} publicKey - Base64 raw 公钥
+   * @returns {Promise<string>}
+   */
+  async function fingerprint(publicKey) {
+    const digest = await crypto.subtle.digest('SHA-256', base64ToBuffer(publicKey));
+    const hex = bufferToHex(digest.slice(0, IDENTITY.fingerprintBytes));
+    return hex.match(/.{4}/g).join(' ');
+  }
+
+  /**
+   * 构造 v1 记录的签名原文（仅用于验证旧版消息）
+   */
+  function legacySigningInput(context, ts, body) {
+    return stringToBuffer(`logtrace-msg|${context.streamId}|${context.nodeId}|${ts}|${body}`);
+  }
+
+  /**
+   * 构造 v3 记录的签名原文：数据流、发送节点、密钥纪元与不含 sig 的记录 JSON
+   * 签名放在记录末尾，接收方去掉 sig 后按原顺序重新序列化即可得到同样的 JSON
+   */
+  function messageSigningInput(context, epoch, unsigned) {
+    return stringToBuffer(
+      `logtrace-msg|v3|${context.streamId || ''}|${context.nodeId || ''}|${epoch}|${JSON.stringify(unsigned)}`
+    );
+  }
+
+  /**
+   * 签名并加密消息
+   * 密文内部格式：JSON { v, ts, body, pub, chaff, attachment?, sig }，签名与发送者公钥都在密文内部
+   * @param {string} body - 明文消息
+   * @param {CryptoKey} key - AES 密钥
+   * @param {Object} identity - importIdentity 的返回值
+   * @param {{streamId: string, nodeId: string, epoch?: number}} context - 发送上下文
+   * @param {{chaff?: boolean, attachment?: Object}} [options] - chaff 为 true 时标记为掩护流量；
+   *   attachment 为附件清单 { id, name, type, size, chunks, sha256 }
+   * @returns {Promise<Uint8Array>} - 二进制信封
+   */
+  async function sealMessage(body, key, identity, context, options = {}) {
+    // chaff 字段始终存在，真实消息与掩护流量的记录结构一致
+    const record = {
+      v: MESSAGE_VERSION,
+      ts: Date.now(),
+      body,
+      pub: identity.publicKey,
+      chaff: !!options.chaff
+    };
+
+    if (options.attachment) {
+      record.attachment = options.attachment;
+    }
+
+    const epoch = context.epoch || 0;
+    const signature = await crypto.subtle.sign(
+      IDENTITY.signature,
+      identity.signingKey,
+      messageSigningInput(context, epoch, record)
+    );
+    record.sig = bufferToBase64(signature);
+
+    return encrypt(JSON.stringify(record), key, { epoch, context });
+  }
+
+  /**
+   * 校验附件清单字段
+   * @returns {Object|null}
+   */
+  function normalizeAttachment(attachment) {
+    if (!attachment || typeof attachment !== 'object') return null;
+
+    const { id, name, type, size, chunks, sha256 } = attachment;
+    if (typeof id !== 'string' || typeof name !== 'string' || typeof sha256 !== 'string' ||
+        !Number.isInteger(size) || !Number.isInteger(chunks) || chunks < 1) {
+      return null;
+    }
+
+    return { id, name, type: typeof type === 'string' ? type : '', size, chunks, sha256 };
+  }
+
+  /**
+   * 解密并验证消息签名
+   * 未签名的旧格式消息按原文返回，标记为未验证
+   * @param {Uint8Array|ArrayBuffer|string} payload - 二进制信封（或旧版 Base64 密文）
+   * @param {CryptoKey|Map<number, CryptoKey>} key - AES 密钥或密钥环
+   * @param {{streamId: string, nodeId: string, keyId?: number}} context - 服务端广播的来源信息
+   * @returns {Promise<{body: string, verified: boolean, fingerprint: string|null, chaff: boolean, attachment: Object|null}|null>} - 解密失败返回 null
+   */
+  async function openMessage(payload, key, context) {
+    const opened = await openEnvelope(payload, key, context);
+    if (!opened) {
+      return null;
+    }
+
+    const { envelope } = opened;
+    const plaintext = bufferToString(opened.data);
+
+    let record;
+    try {
+      record = JSON.parse(plaintext);
+    } catch (error) {
+      record = null;
+    }
+
+    if (!record || ![1, 2, MESSAGE_VERSION].includes(record.v) ||
+        typeof record.body !== 'string' || typeof record.pub !== 'string') {
+      return { body: plaintext, verified: false, fingerprint: null, chaff: false, attachment: null };
+    }
+
+    let verified = false;
+    let senderFingerprint = null;
+
+    try {
+      const publicKey = await crypto.subtle.importKey(
+        'raw',
+        base64ToBuffer(record.pub),
+        IDENTITY.algorithm,
+        false,
+        ['verify']
+      );
+
+      senderFingerprint = await fingerprint(record.pub);
+
+      if (record.v === MESSAGE_VERSION && envelope && typeof record.sig === 'string') {
+        const { sig, ...unsigned } = record;
+        verified = await crypto.subtle.verify(
+          IDENTITY.signature,
+          publicKey,
+          base64ToBuffer(sig),
+          messageSigningInput(context, envelope.epoch, unsigned)
+        );
+      } else if (record.v === 1) {
+        verified = await crypto.subtle.verify(
+          IDENTITY.signature,
+          publicKey,
+          base64ToBuffer(record.sig),
+          legacySigningInput(context, record.ts, record.body)
+        );
+      } else if (record.v === 2 && envelope && envelope.signature) {
+        verified = await crypto.subtle.verify(
+          IDENTITY.signature,
+          publicKey,
+          envelope.signature,
+          envelopeSigningInput(envelope, context)
+        );
+      }
+    } catch (error) {
+      console.error('[CRYPTO] Signature verification failed:', error);
+    }
+
+    return {
+      body: record.body,
+      verified,
+      fingerprint: senderFingerprint,
+      chaff: record.chaff === true,
+      attachment: normalizeAttachment(record.attachment)
+    };
+  }
+
   /**
    * 截断显示的密文（用于 UI 显示）
-   * @param {string} encrypted - 加密后的 Base64 字符串
+   * 二进制信封跳过固定头部与长度字段，只显示随机部分，避免每条日志前缀相同
+   * @param {Uint8Array|ArrayBuffer|string} encrypted - 二进制信封或 Base64 字符串
    * @param {number} maxLength - 最大显示长度
    * @returns {string} - 截断后的字符串
    */
   function truncatePayload(encrypted, maxLength = 40) {
-    if (encrypted.length <= maxLength) {
+    const text = payloadToText(encrypted);
+    if (text.length <= maxLength) {
+      return text;
+    }
+    return text.slice(0, maxLength) + '...';
+  }
+
+  /**
+   * 将密文转为可显示的 Base64 文本（用于 UI 显示与过滤）
+   * @param {Uint8Array|ArrayBuffer|string} encrypted
+   * @returns {string}
+   */
+  function payloadToText(encrypted) {
+    if (typeof encrypted === 'string') {
       return encrypted;
     }
-    return encrypted.slice(0, maxLength) + '...';
+    const bytes = toBytes(encrypted);
+    try {
+      // 只显示 IV 与密文：填充后长度分桶一致，看起来是均匀的随机文本
+      const envelope = decodeEnvelope(bytes);
+      const visible = new Uint8Array(envelope.iv.length + envelope.ciphertext.length);
+      visible.set(envelope.iv, 0);
+      visible.set(envelope.ciphertext, envelope.iv.length);
+      return bufferToBase64(visible);
+    } catch (error) {
+      return bufferToBase64(bytes);
+    }
   }
 
   /**
@@ -205,18 +1168,61 @@ const LogCrypto = (function () {
     return levels[Math.floor(Math.random() * levels.length)];
   }
 
+  /**
+   * 生成一条看似真实的运行日志（掩护流量的明文）
+   * @returns {string}
+   */
+  function randomNoise() {
+    const pick = (list) => list[Math.floor(Math.random() * list.length)];
+    const int = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
+    const hex = (n) => Array.from({ length: n }, () => int(0, 15).toString(16)).join('');
+
+    const templates = [
+      () => `${pick(['GET', 'POST', 'PUT'])} /api/v1/${pick(['users', 'orders', 'sessions', 'metrics'])}/${int(1, 99999)} ${pick([200, 200, 201, 204, 304, 404])} ${int(2, 480)}ms`,
+      () => `cache ${pick(['hit', 'miss', 'hit', 'evict'])} key=${hex(12)} ttl=${int(10, 3600)}s`,
+      () => `worker-${int(1, 16)} heartbeat ok (lag ${int(0, 120)}ms)`,
+      () => `flushed ${int(1, 500)} records to ${pick(['kafka', 'clickhouse', 's3', 'es'])} in ${int(3, 900)}ms`,
+      () => `gc pause ${int(1, 60)}ms heap=${int(64, 2048)}MB`,
+      () => `retrying upstream ${pick(['auth', 'billing', 'search'])}-svc attempt=${int(1, 3)} trace=${hex(16)}`
+    ];
+
+    return pick(templates)();
+  }
+
   // 导出 API
   return {
-    hashPassword,
-    deriveKey,
+    generateKdfParams,
+    deriveKeys,
+    computeJoinProof,
     encrypt,
     decrypt,
+    decryptBytes,
+    encryptFile,
+    decryptFile,
+    encodeEnvelope,
+    decodeEnvelope,
+    setPadding,
+    generateIdentity,
+    ensureExchangeKeys,
+    importIdentity,
+    computeIdentityProof,
+    computeCreateProof,
+    verifyExchangeKey,
+    wrapSecret,
+    unwrapSecret,
+    sealDirect,
+    openDirect,
+    fingerprint,
+    sealMessage,
+    openMessage,
     truncatePayload,
-    randomLevel
+    payloadToText,
+    randomLevel,
+    randomNoise
   };
 })();
 
-// 如果在 Node.js 环境中（用于测试）
+// 在 Node.js 环境中导出（命令行客户端 cli/ 与测试使用）
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = LogCrypto;
 }
@@ -10,21 +10,193 @@ const LogSocket = (function () {
   let socket = null;
   let serverUrl = 'http://localhost:3000';
   let nodeId = null;
-  let currentStreamId = null;
+  // 已加入的 Stream（一个连接可同时加入多个）
+  const joinedStreams = new Set();
+
+  // 服务端下发的会话令牌，重连时携带以恢复节点 ID 与 Stream 成员身份
+  let sessionToken = null;
+  // 意外断开时所在的 Stream，等待重连后由服务端恢复
+  const resumeStreams = new Set();
+
+  // 等待服务端确认的附件分块：Map<"transferId:index", { resolve, reject, chunk, timer }>
+  const pendingChunks = new Map();
+
+  // 被服务端限流后，在此时间之前暂停推送日志
+  let rateLimitedUntil = 0;
+
+  // 推送日志等待服务端确认的超时（毫秒）
+  const PUSH_ACK_TIMEOUT = 10000;
+
+  // 掩护流量：按随机间隔（指数分布）向每个开启的 Stream 发送伪造日志，掩盖真实发送时刻
+  const coverTraffic = {
+    streams: new Map(),     // Map<streamId, { timer, generator }>，generator: async () => { payload, level, keyId } | null
+    meanInterval: 20000,
+    minInterval: 3000,
+    maxInterval: 60000
+  };
 
   // 事件回调
   const callbacks = {
     onConnect: null,
     onDisconnect: null,
+    onReconnectFailed: null,
     onNodeAssigned: null,
     onStreamCreated: null,
+    onJoinChallenge: null,
     onStreamJoined: null,
+    onStreamResumed: null,
+    onJoinFailures: null,
     onStreamLeft: null,
+    onStreamDeleted: null,
+    onStreamClosed: null,
+    onModerated: null,
+    onModerationResult: null,
+    onKeyRotated: null,
+    onRekey: null,
+    onInviteCreated: null,
+    onInvitesListed: null,
+    onInviteRevoked: null,
+    onTokenCreated: null,
+    onTokensListed: null,
+    onTokenRevoked: null,
+    onJoinPending: null,
+    onKnock: null,
+    onKnockClosed: null,
+    onKnockAnswered: null,
+    onApprovalChanged: null,
     onLogReceived: null,
+    onDirectReceived: null,
+    onHistoryLoaded: null,
+    onChunkReceived: null,
+    onChunkAborted: null,
     onNodeListUpdated: null,
+    onRateLimited: null,
+    onCoverSent: null,
     onError: null
   };
 
+  // ========== 错误码 ==========
+
+  const seconds = (data) => Math.ceil((data.retryAfter || 0) / 1000);
+
+  // 错误码的本地化提示：服务端错误码见 server/errors.js，另有本地的 not_connected / timeout / session_expired
+  // 值为字符串或根据失败结果（retryAfter、field 等）生成提示的函数
+  const ERROR_MESSAGES = {
+    'zh-CN': {
+      invalid_payload: d => d.field ? `请求数据格式错误：${d.field}` : '请求数据格式错误',
+      unknown_event: '服务端不支持该操作，请更新插件或服务端',
+      rate_limited: d => `操作过于频繁，请 ${seconds(d)} 秒后重试`,
+      storage_unavailable: '服务端存储暂时不可用，请稍后重试',
+      not_connected: '未连接服务器',
+      not_joined: '尚未加入该数据流',
+      timeout: '服务器未响应，请检查网络',
+      permission_denied: '没有权限执行该操作',
+      owner_only: '只有数据流创建者可以执行该操作',
+      invalid_auth_key: '访问密钥派生结果无效',
+      invalid_kdf: '密钥派生参数无效',
+      invalid_expiry: '有效期无效',
+      too_many_streams: '服务器上的数据流已达上限',
+      stream_quota_exceeded: '本连接创建的数据流已达上限',
+      stream_not_found: '数据流不存在或已关闭',
+      too_many_joined_streams: '同时加入的数据流已达上限',
+      join_locked: d => `访问密钥错误次数过多，请 ${seconds(d)} 秒后重试`,
+      challenge_expired: '加入验证已超时，请重试',
+      invalid_access_key: '访问密钥错误',
+      invalid_identity_proof: '身份验证失败',
+      banned: '你已被禁止加入该数据流',
+      invite_invalid: '邀请已失效（已过期、次数用完或已被撤销）',
+      too_many_knocks: '等待审批的加入申请过多，请稍后再试',
+      join_declined: '管理员拒绝了加入申请',
+      knock_expired: '加入申请超时未获审批',
+      approval_unavailable: '当前没有在线的创建者或管理员可以审批，请稍后再试',
+      session_expired: '连接已中断，请重新加入数据流',
+      stream_closed: '数据流已关闭',
+      key_rotated: '断开期间访问密钥已轮换，请使用新的访问密钥重新加入',
+      node_not_found: '该节点已不在数据流中',
+      cannot_moderate_self: '不能对自己执行管理操作',
+      invalid_key_params: '新密钥参数无效',
+      invalid_invite_options: '邀请的有效期或使用次数无效',
+      too_many_invites: '有效邀请已达上限，请先撤销部分邀请',
+      invite_not_found: '邀请不存在或已失效',
+      invalid_token: '写入令牌无效或已过期',
+      too_many_tokens: '写入令牌已达上限，请先撤销部分令牌',
+      token_not_found: '写入令牌不存在或已失效',
+      empty_payload: '消息内容为空',
+      payload_too_large: '消息过大',
+      stale_epoch: '密钥已轮换，请等待新密钥后再发送',
+      muted: '你已被禁言',
+      recipient_not_found: '对方已不在线',
+      history_disabled: '该数据流未开启历史保留',
+      history_unavailable: '历史记录暂时不可用',
+      invalid_chunk: '附件分块无效',
+      chunk_too_large: '附件分块过大',
+      unknown_transfer: '附件传输已失效',
+      too_many_transfers: '同时发送的附件过多',
+      out_of_order: '附件分块顺序错误，传输已中止',
+      transfer_timeout: '附件传输超时'
+    },
+    en: {
+      invalid_payload: d => d.field ? `Malformed request: ${d.field}` : 'Malformed request',
+      unknown_event: 'The server does not support this operation; update the extension or the server',
+      rate_limited: d => `Too many requests, retry in ${seconds(d)}s`,
+      storage_unavailable: 'Server storage is temporarily unavailable, try again later',
+      not_connected: 'Not connected to the server',
+      not_joined: 'Not joined to this stream',
+      timeout: 'The server did not respond, check your network',
+      permission_denied: 'You are not allowed to do this',
+      owner_only: 'Only the stream owner can do this',
+      invalid_auth_key: 'Invalid derived access key',
+      invalid_kdf: 'Invalid key derivation parameters',
+      invalid_expiry: 'Invalid expiry',
+      too_many_streams: 'The server has reached its stream limit',
+      stream_quota_exceeded: 'This connection has created too many streams',
+      stream_not_found: 'Stream not found or closed',
+      too_many_joined_streams: 'Too many streams joined at once',
+      join_locked: d => `Too many wrong access keys, retry in ${seconds(d)}s`,
+      challenge_expired: 'Join verification timed out, try again',
+      invalid_access_key: 'Wrong access key',
+      invalid_identity_proof: 'Identity verification failed',
+      banned: 'You are banned from this stream',
+      invite_invalid: 'The invite is no longer valid (expired, used up or revoked)',
+      too_many_knocks: 'Too many pending join requests, try again later',
+      join_declined: 'A moderator declined your join request',
+      knock_expired: 'Your join request was not answered in time',
+      approval_unavailable: 'No owner or moderator is online to approve, try again later',
+      session_expired: 'The connection was interrupted, join the stream again',
+      stream_closed: 'The stream was closed',
+      key_rotated: 'The access key was rotated while you were away, join again with the new key',
+      node_not_found: 'That node is no longer in the stream',
+      cannot_moderate_self: 'You cannot moderate yourself',
+      invalid_key_params: 'Invalid new key parameters',
+      invalid_invite_options: 'Invalid invite expiry or usage count',
+      too_many_invites: 'Too many active invites, revoke some first',
+      invite_not_found: 'Invite not found or no longer valid',
+      invalid_token: 'Invalid or expired write token',
+      too_many_tokens: 'Too many write tokens, revoke some first',
+      token_not_found: 'Write token not found or no longer valid',
+      empty_payload: 'Empty message',
+      payload_too_large: 'Message too large',
+      stale_epoch: 'The key was rotated, wait for the new key before sending',
+      muted: 'You are muted',
+      recipient_not_found: 'The recipient is offline',
+      history_disabled: 'History is not enabled for this stream',
+      history_unavailable: 'History is temporarily unavailable',
+      invalid_chunk: 'Invalid attachment chunk',
+      chunk_too_large: 'Attachment chunk too large',
+      unknown_transfer: 'The attachment transfer is no longer active',
+      too_many_transfers: 'Too many attachments in flight',
+      out_of_order: 'Attachment chunks arrived out of order, transfer aborted',
+      transfer_timeout: 'Attachment transfer timed out'
+    }
+  };
+
+  // 错误码常量，如 ERROR_CODES.RATE_LIMITED === 'rate_limited'
+  const ERROR_CODES = Object.freeze(Object.fromEntries(
+    Object.keys(ERROR_MESSAGES['zh-CN']).map(code => [code.toUpperCase(), code])
+  ));
+
+  let locale = 'zh-CN';
+
   /**
    * 初始化连接
    * @param {string} url - 服务器地址
@@ -32,10 +204,16 @@ const LogSocket = (function () {
    */
   function connect(url) {
     return new Promise((resolve, reject) => {
-      if (socket && socket.connected) {
+      // 仍在自动重连的旧连接停止重试，由新连接携带会话令牌继续恢复
+      if (socket) {
         socket.disconnect();
       }
 
+      // 会话令牌只对签发它的服务器有效
+      if (url && url !== serverUrl) {
+        sessionToken = null;
+        resumeStreams.clear();
+      }
       serverUrl = url || serverUrl;
 
       try {
@@ -44,7 +222,11 @@ const LogSocket = (function () {
           reconnection: true,
           reconnectionAttempts: 5,
           reconnectionDelay: 1000,
-          timeout: 10000
+          // 重试间隔上限 5 秒，自动重连在服务端的会话宽限期（默认 30 秒）内完成
+          reconnectionDelayMax: 5000,
+          timeout: 10000,
+          // 每次（重）连接时读取，携带最新的会话令牌
+          auth: (cb) => cb(sessionToken ? { session: sessionToken } : {})
         });
 
         // 连接成功
@@ -68,19 +250,80 @@ const LogSocket = (function () {
         // 断开连接
         socket.on('disconnect', (reason) => {
           console.log('[SOCKET] Disconnected:', reason);
-          currentStreamId = null;
+          // 意外断开时记住所在的 Stream，重连后由服务端恢复
+          if (reason === 'io client disconnect') {
+            resumeStreams.clear();
+          } else {
+            joinedStreams.forEach(streamId => resumeStreams.add(streamId));
+          }
+          joinedStreams.clear();
+          stopCoverTraffic();
+          rejectPendingChunks();
           if (callbacks.onDisconnect) {
             callbacks.onDisconnect(reason);
           }
         });
 
-        // 接收节点 ID
+        // 自动重连次数用尽（仍可手动连接，在宽限期内同样可以恢复）
+        socket.io.on('reconnect_failed', () => {
+          console.log('[SOCKET] Reconnection failed');
+          if (callbacks.onReconnectFailed) {
+            callbacks.onReconnectFailed();
+          }
+        });
+
+        // 接收节点 ID 与会话令牌（resumed 表示沿用了断开前的节点 ID）
         socket.on('node:assigned', (data) => {
           nodeId = data.nodeId;
-          console.log('[SOCKET] Node ID assigned:', nodeId);
+          sessionToken = data.session;
+          console.log('[SOCKET] Node ID assigned:', nodeId, data.resumed ? '(resumed)' : '');
           if (callbacks.onNodeAssigned) {
             callbacks.onNodeAssigned(nodeId);
           }
+
+          // 会话已过期（或服务端已重启），无法恢复断开前的 Stream
+          const restoring = data.resumed ? data.streams : [];
+          for (const streamId of Array.from(resumeStreams)) {
+            if (restoring.includes(streamId)) continue;
+
+            resumeStreams.delete(streamId);
+            if (callbacks.onStreamResumed) {
+              callbacks.onStreamResumed({
+                success: false,
+                streamId,
+                error: 'Session expired',
+                code: 'session_expired'
+              });
+            }
+          }
+        });
+
+        // 断开前所在各 Stream 的恢复结果，成功后服务端补发断开期间的消息
+        socket.on('stream:resumed', (data) => {
+          if (!resumeStreams.has(data.streamId)) {
+            // 等待恢复期间已主动离开
+            if (data.success) {
+              socket.emit('stream:leave', { streamId: data.streamId });
+            }
+            return;
+          }
+
+          resumeStreams.delete(data.streamId);
+
+          // 断开期间 Stream 已关闭，按关闭处理
+          if (data.code === 'stream_closed') {
+            if (callbacks.onStreamClosed) {
+              callbacks.onStreamClosed({ streamId: data.streamId, reason: data.reason });
+            }
+            return;
+          }
+
+          if (data.success) {
+            joinedStreams.add(data.streamId);
+          }
+          if (callbacks.onStreamResumed) {
+            callbacks.onStreamResumed(data);
+          }
         });
 
         // 创建 Stream 结果
@@ -90,26 +333,160 @@ const LogSocket = (function () {
           }
         });
 
+        // 加入挑战（需计算 HMAC 应答）
+        socket.on('stream:join:challenge', (data) => {
+          if (callbacks.onJoinChallenge) {
+            callbacks.onJoinChallenge(data);
+          }
+        });
+
         // 加入 Stream 结果
         socket.on('stream:join:result', (data) => {
           if (data.success) {
-            currentStreamId = data.streamId;
+            joinedStreams.add(data.streamId);
           }
           if (callbacks.onStreamJoined) {
             callbacks.onStreamJoined(data);
           }
         });
 
-        // 离开 Stream 结果
+        // 邀请管理结果（创建者）
+        socket.on('invite:create:result', (data) => {
+          if (callbacks.onInviteCreated) {
+            callbacks.onInviteCreated(data);
+          }
+        });
+
+        socket.on('invite:list:result', (data) => {
+          if (callbacks.onInvitesListed) {
+            callbacks.onInvitesListed(data);
+          }
+        });
+
+        socket.on('invite:revoke:result', (data) => {
+          if (callbacks.onInviteRevoked) {
+            callbacks.onInviteRevoked(data);
+          }
+        });
+
+        // 写入令牌管理结果（创建者）
+        socket.on('token:create:result', (data) => {
+          if (callbacks.onTokenCreated) {
+            callbacks.onTokenCreated(data);
+          }
+        });
+
+        socket.on('token:list:result', (data) => {
+          if (callbacks.onTokensListed) {
+            callbacks.onTokensListed(data);
+          }
+        });
+
+        socket.on('token:revoke:result', (data) => {
+          if (callbacks.onTokenRevoked) {
+            callbacks.onTokenRevoked(data);
+          }
+        });
+
+        // 加入申请等待管理员审批（之后仍以 stream:join:result 告知结果）
+        socket.on('stream:join:pending', (data) => {
+          if (callbacks.onJoinPending) {
+            callbacks.onJoinPending(data);
+          }
+        });
+
+        // 有人申请加入需要审批的 Stream（管理员及以上）
+        socket.on('stream:knock', (data) => {
+          if (callbacks.onKnock) {
+            callbacks.onKnock(data);
+          }
+        });
+
+        // 加入申请已处理（outcome: approved / declined / expired / cancelled / unavailable）
+        socket.on('stream:knock:closed', (data) => {
+          if (callbacks.onKnockClosed) {
+            callbacks.onKnockClosed(data);
+          }
+        });
+
+        socket.on('stream:knock:result', (data) => {
+          if (callbacks.onKnockAnswered) {
+            callbacks.onKnockAnswered(data);
+          }
+        });
+
+        // 审批模式设置结果（创建者）
+        socket.on('stream:approval:result', (data) => {
+          if (callbacks.onApprovalChanged) {
+            callbacks.onApprovalChanged(data);
+          }
+        });
+
+        // 有人多次以错误的访问密钥尝试加入当前 Stream
+        socket.on('stream:join:failures', (data) => {
+          if (callbacks.onJoinFailures) {
+            callbacks.onJoinFailures(data);
+          }
+        });
+
+        // 离开 Stream 结果（streamId 为 null 表示离开了所有 Stream）
         socket.on('stream:leave:result', (data) => {
           if (data.success) {
-            currentStreamId = null;
+            forgetStream(data.streamId);
           }
           if (callbacks.onStreamLeft) {
             callbacks.onStreamLeft(data);
           }
         });
 
+        // 删除 Stream 结果（创建者）
+        socket.on('stream:delete:result', (data) => {
+          if (callbacks.onStreamDeleted) {
+            callbacks.onStreamDeleted(data);
+          }
+        });
+
+        // Stream 被关闭（删除或过期），已被移出
+        socket.on('stream:closed', (data) => {
+          forgetStream(data.streamId);
+          if (callbacks.onStreamClosed) {
+            callbacks.onStreamClosed(data);
+          }
+        });
+
+        // 本节点被管理（踢出、封禁、禁言、任免）
+        socket.on('stream:moderated', (data) => {
+          if (data.action === 'kick' || data.action === 'ban') {
+            forgetStream(data.streamId);
+          }
+          if (callbacks.onModerated) {
+            callbacks.onModerated(data);
+          }
+        });
+
+        // 管理操作结果
+        for (const action of ['kick', 'ban', 'mute', 'role']) {
+          socket.on(`stream:${action}:result`, (data) => {
+            if (callbacks.onModerationResult) {
+              callbacks.onModerationResult(data);
+            }
+          });
+        }
+
+        // 密钥轮换结果（创建者）
+        socket.on('stream:rotate:result', (data) => {
+          if (callbacks.onKeyRotated) {
+            callbacks.onKeyRotated(data);
+          }
+        });
+
+        // 创建者轮换了密钥（成员）
+        socket.on('stream:rekey', (data) => {
+          if (callbacks.onRekey) {
+            callbacks.onRekey(data);
+          }
+        });
+
         // 接收日志广播
         socket.on('log:broadcast', (data) => {
           if (callbacks.onLogReceived) {
@@ -117,16 +494,64 @@ const LogSocket = (function () {
           }
         });
 
-        // 节点列表更新
-        socket.on('node:list', (data) => {
-          if (callbacks.onNodeListUpdated) {
-            callbacks.onNodeListUpdated(data.nodes);
+        // 接收发给本节点的私信
+        socket.on('log:direct', (data) => {
+          if (callbacks.onDirectReceived) {
+            callbacks.onDirectReceived(data);
+          }
+        });
+
+        // 密文历史分页
+        socket.on('log:history:result', (data) => {
+          if (callbacks.onHistoryLoaded) {
+            callbacks.onHistoryLoaded(data);
+          }
+        });
+
+        // 附件分块
+        socket.on('log:chunk', (data) => {
+          if (callbacks.onChunkReceived) {
+            callbacks.onChunkReceived(data);
+          }
+        });
+
+        // 附件分块发送结果
+        socket.on('log:chunk:result', (data) => {
+          const key = `${data.transferId}:${data.index}`;
+          const pending = pendingChunks.get(key);
+          if (!pending) return;
+
+          // 被限流时等待后重发同一块
+          if (data.code === 'rate_limited') {
+            pending.timer = setTimeout(() => {
+              pending.timer = null;
+              if (isConnected()) {
+                socket.emit('log:chunk', pending.chunk);
+              }
+            }, data.retryAfter);
+            return;
+          }
+
+          pendingChunks.delete(key);
+          if (data.success) {
+            pending.resolve();
+          } else {
+            pending.reject(pushError(data.code, data));
+          }
+        });
+
+        // 附件传输被中止
+        socket.on('log:chunk:abort', (data) => {
+          if (callbacks.onChunkAborted) {
+            callbacks.onChunkAborted(data);
           }
         });
 
-        // Stream 列表（调试用）
-        socket.on('stream:list:result', (data) => {
-          console.log('[SOCKET] Available streams:', data.streams);
+        // 节点列表更新（按 Stream）
+        socket.on('node:list', (data) => {
+          if (callbacks.onNodeListUpdated) {
+            callbacks.onNodeListUpdated(data);
+          }
         });
 
       } catch (error) {
@@ -136,15 +561,31 @@ const LogSocket = (function () {
     });
   }
 
+  /**
+   * 已离开或被移出 Stream 后清理本地状态
+   * @param {string|null} streamId - null 表示所有 Stream
+   */
+  function forgetStream(streamId) {
+    if (streamId === null) {
+      joinedStreams.clear();
+    } else {
+      joinedStreams.delete(streamId);
+    }
+    stopCoverTraffic(streamId === null ? undefined : streamId);
+  }
+
   /**
    * 断开连接
    */
   function disconnect() {
+    stopCoverTraffic();
+    sessionToken = null;
+    resumeStreams.clear();
     if (socket) {
       socket.disconnect();
       socket = null;
       nodeId = null;
-      currentStreamId = null;
+      joinedStreams.clear();
     }
   }
 
@@ -158,9 +599,14 @@ const LogSocket = (function () {
   /**
    * 创建 Stream
    * @param {string} streamName - Stream 名称
-   * @param {string} passwordHash - 密码哈希
+   * @param {Object} kdf - 密钥派生参数（LogCrypto.generateKdfParams）
+   * @param {string} authKey - 认证密钥（LogCrypto.deriveKeys）
+   * @param {Object} identity - { identityKey, identityProof }，创建者的身份公钥及 LogCrypto.computeCreateProof 的签名
+   * @param {Object} [options] - { retention?: { ttl, maxCount }, expiresIn?: number, approval?: boolean }
+   *   retention 为密文历史策略（省略表示不保留），expiresIn 为有效期（毫秒，省略表示不过期），
+   *   approval 为 true 时新成员须经管理员审批才能加入
    */
-  function createStream(streamName, passwordHash) {
+  function createStream(streamName, kdf, authKey, identity, options = {}) {
     if (!isConnected()) {
       if (callbacks.onError) {
         callbacks.onError('Not connected to server');
@@ -170,16 +616,21 @@ const LogSocket = (function () {
 
     socket.emit('stream:create', {
       streamName,
-      passwordHash
+      kdf,
+      authKey,
+      identityKey: identity.identityKey,
+      identityProof: identity.identityProof,
+      retention: options.retention || null,
+      expiresIn: options.expiresIn || null,
+      approval: options.approval === true
     });
   }
 
   /**
-   * 加入 Stream
+   * 请求加入 Stream（服务端随后下发挑战）
    * @param {string} streamId - Stream ID
-   * @param {string} passwordHash - 密码哈希
    */
-  function joinStream(streamId, passwordHash) {
+  function joinStream(streamId) {
     if (!isConnected()) {
       if (callbacks.onError) {
         callbacks.onError('Not connected to server');
@@ -187,58 +638,546 @@ const LogSocket = (function () {
       return;
     }
 
-    socket.emit('stream:join', {
+    socket.emit('stream:join', { streamId });
+  }
+
+  /**
+   * 通过邀请令牌加入 Stream（服务端查出对应的 Stream 后下发挑战，挑战与失败结果均附带 invite）
+   * @param {string} token - 邀请令牌（见 parseInviteLink）
+   */
+  function joinByInvite(token) {
+    if (!isConnected()) {
+      if (callbacks.onError) {
+        callbacks.onError('Not connected to server');
+      }
+      return;
+    }
+
+    socket.emit('stream:join', { invite: token });
+  }
+
+  /**
+   * 生成邀请链接：<服务器地址>/invite/<令牌>#<访问密钥>
+   * 访问密钥以 Base64URL 编码放在片段中，浏览器打开链接时片段不会发送到服务端
+   * @param {string} token - invite:create 返回的令牌
+   * @param {string} password - 访问密钥
+   * @returns {string}
+   */
+  function buildInviteLink(token, password) {
+    const bytes = new TextEncoder().encode(password);
+    const key = btoa(String.fromCharCode(...bytes))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+
+    return `${serverUrl.replace(/\/+$/, '')}/invite/${token}#${key}`;
+  }
+
+  /**
+   * 解析邀请链接
+   * @param {string} text - 用户粘贴的文本
+   * @returns {{serverUrl: string, token: string, password: string}|null} - 不是邀请链接时返回 null
+   */
+  function parseInviteLink(text) {
+    const match = /^\s*(https?:\/\/[^#\s]*?)\/invite\/([A-Za-z0-9_-]{16,})#([A-Za-z0-9_-]+)\s*$/.exec(text || '');
+    if (!match) {
+      return null;
+    }
+
+    try {
+      const base64 = match[3].replace(/-/g, '+').replace(/_/g, '/');
+      const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+      const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+      return {
+        serverUrl: match[1],
+        token: match[2],
+        password: new TextDecoder('utf-8', { fatal: true }).decode(bytes)
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 回应加入挑战
+   * @param {string} streamId - Stream ID
+   * @param {string} proof - LogCrypto.computeJoinProof 计算的应答
+   * @param {Object} identity - { identityKey, identityProof, exchangeKeySig }，身份公钥、LogCrypto.computeIdentityProof 的签名
+   *   及身份密钥对交换公钥的签名（importIdentity 返回的 exchangeKeySignature）
+   * @param {string} exchangeKey - 本机 ECDH 公钥（用于接收轮换后的密钥）
+   */
+  function answerJoinChallenge(streamId, proof, identity, exchangeKey) {
+    if (!isConnected()) {
+      return;
+    }
+
+    socket.emit('stream:join:proof', {
       streamId,
-      passwordHash
+      proof,
+      identityKey: identity.identityKey,
+      identityProof: identity.identityProof,
+      exchangeKey,
+      exchangeKeySig: identity.exchangeKeySig
     });
   }
 
   /**
-   * 离开当前 Stream
+   * 离开 Stream
+   * @param {string} [streamId] - 省略时离开所有已加入的 Stream
    */
-  function leaveStream() {
+  function leaveStream(streamId) {
+    if (streamId === undefined) {
+      resumeStreams.clear();
+    } else {
+      resumeStreams.delete(streamId);
+    }
     if (!isConnected()) {
       return;
     }
 
-    socket.emit('stream:leave');
+    socket.emit('stream:leave', streamId === undefined ? {} : { streamId });
   }
 
   /**
-   * 推送日志消息
-   * @param {string} payload - 加密后的消息内容
-   * @param {string} level - 日志级别
+   * 删除 Stream（仅创建者）
+   * @param {string} streamId - Stream ID
    */
-  function pushLog(payload, level = 'INFO') {
+  function deleteStream(streamId) {
+    if (!isConnected() || !joinedStreams.has(streamId)) {
+      return;
+    }
+
+    socket.emit('stream:delete', { streamId });
+  }
+
+  /**
+   * 发送管理操作
+   */
+  function moderate(action, streamId, payload) {
+    if (!isConnected() || !joinedStreams.has(streamId)) {
+      if (callbacks.onError) {
+        callbacks.onError('Not joined to stream');
+      }
+      return;
+    }
+
+    socket.emit(`stream:${action}`, { streamId, ...payload });
+  }
+
+  /**
+   * 踢出节点（管理员及以上）
+   * @param {string} streamId - Stream ID
+   * @param {string} targetNodeId - 目标节点 ID
+   */
+  function kickNode(streamId, targetNodeId) {
+    moderate('kick', streamId, { nodeId: targetNodeId });
+  }
+
+  /**
+   * 按身份封禁节点（管理员及以上）
+   * @param {string} streamId - Stream ID
+   * @param {string} targetNodeId - 目标节点 ID
+   */
+  function banNode(streamId, targetNodeId) {
+    moderate('ban', streamId, { nodeId: targetNodeId });
+  }
+
+  /**
+   * 禁言或解除禁言（管理员及以上）
+   * @param {string} streamId - Stream ID
+   * @param {string} targetNodeId - 目标节点 ID
+   * @param {boolean} muted - true 禁言，false 解除
+   */
+  function muteNode(streamId, targetNodeId, muted = true) {
+    moderate('mute', streamId, { nodeId: targetNodeId, muted });
+  }
+
+  /**
+   * 任免管理员（仅创建者）
+   * @param {string} streamId - Stream ID
+   * @param {string} targetNodeId - 目标节点 ID
+   * @param {string} role - 'admin' | 'member'
+   */
+  function setRole(streamId, targetNodeId, role) {
+    moderate('role', streamId, { nodeId: targetNodeId, role });
+  }
+
+  /**
+   * 轮换 Stream 的密钥（仅创建者）
+   * @param {string} streamId - Stream ID
+   * @param {Object} kdf - 新访问密钥的 KDF 参数
+   * @param {string} authKey - 新访问密钥的认证密钥
+   * @param {Array<{nodeId: string, wrapped: string}>} grants - 为每个成员包装的新访问密钥
+   */
+  function rotateKey(streamId, kdf, authKey, grants) {
+    if (!isConnected() || !joinedStreams.has(streamId)) {
+      if (callbacks.onError) {
+        callbacks.onError('Not joined to stream');
+      }
+      return;
+    }
+
+    socket.emit('stream:rotate', {
+      streamId,
+      kdf,
+      authKey,
+      grants
+    });
+  }
+
+  /**
+   * 邀请与写入令牌管理的公共检查
+   */
+  function emitInviteRequest(event, streamId, data) {
+    if (!isConnected() || !joinedStreams.has(streamId)) {
+      if (callbacks.onError) {
+        callbacks.onError('Not joined to stream');
+      }
+      return;
+    }
+
+    socket.emit(event, { streamId, ...data });
+  }
+
+  /**
+   * 创建邀请（仅创建者），结果通过 onInviteCreated 返回令牌
+   * @param {string} streamId - Stream ID
+   * @param {number} expiresIn - 有效期（毫秒）
+   * @param {number} [maxUses=1] - 最多使用次数
+   */
+  function createInvite(streamId, expiresIn, maxUses = 1) {
+    emitInviteRequest('invite:create', streamId, { expiresIn, maxUses });
+  }
+
+  /**
+   * 列出仍然有效的邀请（仅创建者），结果通过 onInvitesListed 返回
+   * @param {string} streamId - Stream ID
+   */
+  function listInvites(streamId) {
+    emitInviteRequest('invite:list', streamId, {});
+  }
+
+  /**
+   * 撤销邀请（仅创建者）
+   * @param {string} streamId - Stream ID
+   * @param {string} inviteId - 邀请 ID（onInvitesListed 返回的 id）
+   */
+  function revokeInvite(streamId, inviteId) {
+    emitInviteRequest('invite:revoke', streamId, { inviteId });
+  }
+
+  /**
+   * 签发写入令牌（仅创建者），结果通过 onTokenCreated 返回令牌与令牌的节点 ID
+   * 令牌只返回这一次，脚本凭它通过 POST /streams/:id/logs 推送消息
+   * @param {string} streamId - Stream ID
+   * @param {string} [label] - 备注，便于在列表中区分
+   * @param {number|null} [expiresIn] - 有效期（毫秒），省略表示随 Stream 失效
+   */
+  function createWriteToken(streamId, label = '', expiresIn = null) {
+    emitInviteRequest('token:create', streamId, { label, expiresIn });
+  }
+
+  /**
+   * 列出仍然有效的写入令牌（仅创建者），结果通过 onTokensListed 返回
+   * @param {string} streamId - Stream ID
+   */
+  function listWriteTokens(streamId) {
+    emitInviteRequest('token:list', streamId, {});
+  }
+
+  /**
+   * 撤销写入令牌（仅创建者）
+   * @param {string} streamId - Stream ID
+   * @param {string} tokenId - 令牌 ID（onTokensListed 返回的 id）
+   */
+  function revokeWriteToken(streamId, tokenId) {
+    emitInviteRequest('token:revoke', streamId, { tokenId });
+  }
+
+  /**
+   * 处理加入申请（管理员及以上），结果通过 onKnockAnswered 返回
+   * @param {string} streamId - Stream ID
+   * @param {string} knockId - onKnock 收到的申请 ID
+   * @param {boolean} approve - true 允许，false 拒绝
+   */
+  function answerKnock(streamId, knockId, approve) {
+    moderate('knock:answer', streamId, { knockId, approve: approve === true });
+  }
+
+  /**
+   * 开启或关闭加入审批（仅创建者），结果通过 onApprovalChanged 返回
+   * @param {string} streamId - Stream ID
+   * @param {boolean} required - 是否需要审批
+   */
+  function setApprovalRequired(streamId, required) {
+    moderate('approval', streamId, { required: required === true });
+  }
+
+  /**
+   * 进入限流退避，期间 pushLog 不再发送
+   * @param {number} retryAfter - 服务端建议的等待时间（毫秒）
+   */
+  function backOff(retryAfter) {
+    rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + retryAfter);
+    if (callbacks.onRateLimited) {
+      callbacks.onRateLimited({ retryAfter: rateLimitedUntil - Date.now() });
+    }
+  }
+
+  /**
+   * 是否处于限流退避中
+   */
+  function isRateLimited() {
+    return Date.now() < rateLimitedUntil;
+  }
+
+  /**
+   * 设置错误提示的语言
+   * @param {string} value - 'zh-CN'（默认）| 'en'
+   */
+  function setLocale(value) {
+    if (ERROR_MESSAGES[value]) {
+      locale = value;
+    }
+  }
+
+  /**
+   * 失败结果的本地化提示
+   * @param {Object} data - 服务端的失败结果 { code, error, retryAfter?, field? }，或 pushLog 等 reject 的 Error
+   * @returns {string} - 未知错误码时返回服务端的英文说明
+   */
+  function describeError(data) {
+    const message = ERROR_MESSAGES[locale][data.code];
+    if (message === undefined) {
+      return data.error || data.message || String(data.code);
+    }
+    return typeof message === 'function' ? message(data) : message;
+  }
+
+  /**
+   * 创建推送失败的错误，message 为本地化提示
+   * @param {string} code - 服务端错误码（如 rate_limited），或本地的 not_connected / not_joined / timeout
+   * @param {Object} [result] - 服务端的失败结果（retryAfter、field 等）
+   */
+  function pushError(code, result = {}) {
+    const error = new Error(describeError({ ...result, code }));
+    error.code = code;
+    if (result.retryAfter !== undefined) {
+      error.retryAfter = result.retryAfter;
+    }
+    return error;
+  }
+
+  /**
+   * 发送一条需服务端 ack 确认的消息（日志或私信）
+   * @param {string} event - 事件名
+   * @param {Object} data - 事件数据，须含 streamId
+   * @param {Function} map - 将成功的确认结果转换为 resolve 的值
+   */
+  function sendMessage(event, data, map) {
     if (!isConnected()) {
       if (callbacks.onError) {
         callbacks.onError('Not connected to server');
       }
-      return;
+      return Promise.reject(pushError('not_connected'));
     }
 
-    if (!currentStreamId) {
+    if (!joinedStreams.has(data.streamId)) {
       if (callbacks.onError) {
-        callbacks.onError('Not joined to any stream');
+        callbacks.onError('Not joined to stream');
+      }
+      return Promise.reject(pushError('not_joined'));
+    }
+
+    if (isRateLimited()) {
+      if (callbacks.onRateLimited) {
+        callbacks.onRateLimited({ retryAfter: rateLimitedUntil - Date.now() });
       }
+      return Promise.reject(pushError('rate_limited', { retryAfter: rateLimitedUntil - Date.now() }));
+    }
+
+    return new Promise((resolve, reject) => {
+      socket.timeout(PUSH_ACK_TIMEOUT).emit(event, data, (err, result) => {
+        if (err) {
+          reject(pushError('timeout'));
+          return;
+        }
+
+        if (result.success) {
+          resolve(map(result));
+          return;
+        }
+
+        if (result.code === 'rate_limited') {
+          backOff(result.retryAfter);
+        }
+        reject(pushError(result.code, result));
+      });
+    });
+  }
+
+  /**
+   * 推送日志消息，服务端通过 ack 确认
+   * @param {string} streamId - 目标 Stream ID
+   * @param {Uint8Array} payload - 二进制消息信封（以 Socket.IO 二进制附件发送）
+   * @param {string} level - 日志级别
+   * @param {number} keyId - 加密所用的密钥纪元
+   * @returns {Promise<{streamId: string, id: string, seq: number, timestamp: number}>} - 服务端分配的消息 ID、序号与时间；
+   *   未发送或被拒绝时 reject，error.code 为错误码
+   */
+  function pushLog(streamId, payload, level = 'INFO', keyId = 0) {
+    return sendMessage('log:push', { streamId, payload, level, keyId }, result => ({
+      streamId,
+      id: result.id,
+      seq: result.seq,
+      timestamp: result.timestamp
+    }));
+  }
+
+  /**
+   * 向同一 Stream 的单个成员发送私信，服务端只转发给该节点
+   * @param {string} streamId - Stream ID
+   * @param {string} to - 接收者节点 ID
+   * @param {Uint8Array} payload - LogCrypto.sealDirect 生成的信封
+   * @param {string} epk - LogCrypto.sealDirect 生成的一次性公钥
+   * @param {string} level - 日志级别
+   * @returns {Promise<{streamId: string, id: string, to: string, timestamp: number}>} - 被拒绝时 reject，
+   *   接收者不在线时 error.code 为 recipient_not_found
+   */
+  function pushDirect(streamId, to, payload, epk, level = 'INFO') {
+    return sendMessage('log:direct', { streamId, to, payload, epk, level }, result => ({
+      streamId,
+      id: result.id,
+      to: result.to,
+      timestamp: result.timestamp
+    }));
+  }
+
+  /**
+   * 请求 Stream 的密文历史
+   * @param {string} streamId - Stream ID
+   * @param {number} [before] - 只返回序号小于该值的消息，省略时返回最新一页
+   * @param {number} [limit] - 每页条数（服务端有上限）
+   */
+  function requestHistory(streamId, before, limit) {
+    if (!isConnected() || !joinedStreams.has(streamId)) {
       return;
     }
 
-    socket.emit('log:push', {
-      payload,
-      level
+    socket.emit('log:history', { streamId, before, limit });
+  }
+
+  /**
+   * 推送附件分块，服务端确认后 resolve
+   * 调用方应等待上一块确认后再发送下一块；被限流时自动等待后重发
+   * @param {string} streamId - 目标 Stream ID
+   * @param {string} transferId - 传输 ID（十六进制）
+   * @param {number} index - 分块序号
+   * @param {number} total - 分块总数
+   * @param {Uint8Array} payload - 加密后的分块信封
+   * @param {number} keyId - 加密所用的密钥纪元
+   * @returns {Promise<void>}
+   */
+  function pushChunk(streamId, transferId, index, total, payload, keyId = 0) {
+    if (!isConnected() || !joinedStreams.has(streamId)) {
+      return Promise.reject(pushError('not_joined'));
+    }
+
+    const chunk = { streamId, transferId, index, total, payload, keyId };
+
+    return new Promise((resolve, reject) => {
+      pendingChunks.set(`${transferId}:${index}`, { resolve, reject, chunk, timer: null });
+      socket.emit('log:chunk', chunk);
     });
   }
 
+  function rejectPendingChunks() {
+    for (const pending of pendingChunks.values()) {
+      clearTimeout(pending.timer);
+      pending.reject(pushError('not_connected'));
+    }
+    pendingChunks.clear();
+  }
+
   /**
-   * 获取 Stream 列表（调试用）
+   * 计算下一次掩护消息的延迟（指数分布，限制在最小/最大间隔之间）
    */
-  function listStreams() {
-    if (isConnected()) {
-      socket.emit('stream:list');
+  function nextCoverDelay() {
+    const delay = -Math.log(1 - Math.random()) * coverTraffic.meanInterval;
+    return Math.min(coverTraffic.maxInterval, Math.max(coverTraffic.minInterval, delay));
+  }
+
+  function scheduleCoverTraffic(streamId, cover) {
+    cover.timer = setTimeout(async () => {
+      const active = () => coverTraffic.streams.get(streamId) === cover;
+
+      // 限流退避期间跳过，不额外消耗配额
+      if (isConnected() && joinedStreams.has(streamId) && !isRateLimited()) {
+        try {
+          const message = await cover.generator();
+          // 与真实消息走完全相同的发送路径
+          if (message && active()) {
+            // 掩护消息不显示在本机面板，只通知其占用的序号；发送失败无需处理
+            pushLog(streamId, message.payload, message.level, message.keyId).then((result) => {
+              if (callbacks.onCoverSent) {
+                callbacks.onCoverSent(result);
+              }
+            }, () => {});
+          }
+        } catch (error) {
+          console.error('[SOCKET] Cover traffic error:', error);
+        }
+      }
+
+      if (active()) {
+        scheduleCoverTraffic(streamId, cover);
+      }
+    }, nextCoverDelay());
+  }
+
+  /**
+   * 为 Stream 开启掩护流量（各 Stream 独立计时）
+   * @param {string} streamId - Stream ID
+   * @param {Function} generator - 返回 { payload, level, keyId } 的异步函数（payload 需标记为 chaff 并加密）
+   * @param {Object} [options] - { meanInterval, minInterval, maxInterval }（毫秒，所有 Stream 共用）
+   */
+  function startCoverTraffic(streamId, generator, options = {}) {
+    stopCoverTraffic(streamId);
+
+    for (const key of ['meanInterval', 'minInterval', 'maxInterval']) {
+      if (typeof options[key] === 'number' && options[key] > 0) {
+        coverTraffic[key] = options[key];
+      }
+    }
+
+    const cover = { timer: null, generator };
+    coverTraffic.streams.set(streamId, cover);
+    scheduleCoverTraffic(streamId, cover);
+  }
+
+  /**
+   * 停止掩护流量
+   * @param {string} [streamId] - 省略时停止所有 Stream 的掩护流量
+   */
+  function stopCoverTraffic(streamId) {
+    const ids = streamId === undefined ? Array.from(coverTraffic.streams.keys()) : [streamId];
+
+    for (const id of ids) {
+      const cover = coverTraffic.streams.get(id);
+      if (cover) {
+        clearTimeout(cover.timer);
+        coverTraffic.streams.delete(id);
+      }
     }
   }
 
+  /**
+   * Stream 的掩护流量是否开启
+   */
+  function isCoverTrafficActive(streamId) {
+    return coverTraffic.streams.has(streamId);
+  }
+
   /**
    * 设置事件回调
    * @param {string} event - 事件名
@@ -258,10 +1197,10 @@ const LogSocket = (function () {
   }
 
   /**
-   * 获取当前 Stream ID
+   * 获取已加入的 Stream ID 列表
    */
-  function getCurrentStreamId() {
-    return currentStreamId;
+  function getJoinedStreams() {
+    return Array.from(joinedStreams);
   }
 
   /**
@@ -278,17 +1217,44 @@ const LogSocket = (function () {
     isConnected,
     createStream,
     joinStream,
+    joinByInvite,
+    buildInviteLink,
+    parseInviteLink,
+    answerJoinChallenge,
     leaveStream,
+    deleteStream,
+    kickNode,
+    banNode,
+    muteNode,
+    setRole,
+    rotateKey,
+    createInvite,
+    listInvites,
+    revokeInvite,
+    createWriteToken,
+    listWriteTokens,
+    revokeWriteToken,
+    answerKnock,
+    setApprovalRequired,
     pushLog,
-    listStreams,
+    pushDirect,
+    isRateLimited,
+    requestHistory,
+    pushChunk,
+    startCoverTraffic,
+    stopCoverTraffic,
+    isCoverTrafficActive,
     on,
     getNodeId,
-    getCurrentStreamId,
-    getServerUrl
+    getJoinedStreams,
+    getServerUrl,
+    describeError,
+    setLocale,
+    ERROR_CODES
   };
 })();
 
-// 如果在 Node.js 环境中（用于测试）
+// 在 Node.js 环境中导出（命令行客户端 cli/ 与测试使用）
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = LogSocket;
 }
@@ -11,15 +11,56 @@
   // ========== 状态管理 ==========
   const state = {
     connected: false,       // 是否已连接服务器
-    streamId: null,         // 当前数据流 ID
-    streamName: null,       // 当前数据流名称
     nodeId: null,           // 本机节点 ID
-    nodes: [],              // 在线节点列表
-    cryptoKey: null,        // AES 加密密钥
-    currentPassword: null,  // 当前密码（用于派生密钥）
-    logs: []                // 日志列表 { id, timestamp, nodeId, level, payload, encrypted }
+    streams: new Map(),     // 已加入的数据流 Map<streamId, view>，各自持有密钥、成员与日志（见 createStreamView）
+    activeStreamId: null,   // 当前显示的数据流 ID
+    rateLimitedUntil: 0,    // 被服务端限流时，暂停发送直到该时间
+    pendingCreates: [],     // 等待创建结果的访问密钥（按请求顺序），创建成功后自动加入
+    pendingJoins: new Map(),// 正在加入的数据流 Map<streamId, { password, encKey, rejoin }>
+                            // encKey 为挑战应答通过前暂存的加密密钥，rejoin 表示会话过期后的自动重新加入
+    pendingInvites: new Map(), // 通过邀请加入、尚未收到挑战的请求 Map<邀请令牌, 访问密钥>
+    identity: null,         // 本机身份密钥 { publicKey, signingKey, fingerprint }
+    coverStreams: new Set(),// 开启掩护流量的数据流 ID
+    chaffDisplay: 'hide'    // 掩护流量显示方式：'hide' 隐藏 / 'noise' 显示为噪声
   };
 
+  /**
+   * 创建已加入数据流的本地状态
+   */
+  function createStreamView(streamId, streamName) {
+    return {
+      streamId,
+      streamName,
+      nodes: [],              // 在线节点列表
+      cryptoKey: null,        // 当前纪元的 AES 加密密钥
+      keyring: new Map(),     // 密钥环 Map<epoch, CryptoKey>，用于解密轮换前的消息
+      epoch: 0,               // 当前密钥纪元
+      isOwner: false,         // 是否为数据流创建者（可轮换密钥）
+      role: null,             // 本机在该数据流中的角色：'owner' | 'admin' | 'member'
+      muted: false,           // 本机是否被禁言
+      password: null,         // 访问密钥（轮换后为新密钥，用于会话过期后自动重新加入）
+      pendingRotation: null,  // 等待服务端确认的轮换 { password, encKey }
+      transfers: new Map(),   // 附件分块 Map<"nodeId:transferId", { chunks, total, received, status, timer }>
+      history: null,          // 密文历史分页 { cursor, hasMore, loading }，数据流未开启历史时为 null
+      seq: { last: 0, missing: new Set() }, // 实时消息序号：last 已收到的最大序号，missing 跳过的序号
+      unread: 0,              // 切换到其他数据流期间收到的日志数
+      directTo: null,         // 私信对象的节点 ID，为 null 时消息发给整个数据流
+      approval: false,        // 数据流是否需要审批新成员
+      knocks: new Map(),      // 待审批的加入申请 Map<knockId, { nodeId, fingerprint, expiresAt }>（创建者与管理员）
+      logs: []                // 日志列表 { id, seq, streamId, timestamp, nodeId, level, payload, verified, fingerprint, status }
+                              // 本机发送的消息带 status：'pending' 等待确认 / 'sent' 已确认 / 'failed' 发送失败
+                              // 私信带 direct: { to } 与一次性公钥 epk，没有序号
+                              // 序号缺口显示为 { id, gap: { from, to }, timestamp }
+    };
+  }
+
+  /**
+   * 当前显示的数据流（未加入任何数据流时为 null）
+   */
+  function activeView() {
+    return state.streams.get(state.activeStreamId) || null;
+  }
+
   // ========== DOM 元素 ==========
   const $ = (selector) => document.querySelector(selector);
   const $$ = (selector) => document.querySelectorAll(selector);
@@ -29,15 +70,44 @@
     btnSettings: $('#btn-settings'),
     settingsPanel: $('#settings-panel'),
     serverUrl: $('#server-url'),
+    paddingScheme: $('#padding-scheme'),
+    chaffDisplay: $('#chaff-display'),
+    identityFingerprint: $('#identity-fingerprint'),
     btnSaveSettings: $('#btn-save-settings'),
     btnCloseSettings: $('#btn-close-settings'),
 
     // 连接控制
     streamSelect: $('#stream-select'),
     btnConnect: $('#btn-connect'),
+    btnLeave: $('#btn-leave'),
     btnCreate: $('#btn-create'),
+    btnInvite: $('#btn-invite'),
+    btnRotate: $('#btn-rotate'),
+    btnDelete: $('#btn-delete'),
     connectionStatus: $('#connection-status'),
     nodeCount: $('#node-count'),
+    notice: $('#notice'),
+    participantsPanel: $('#participants-panel'),
+    participantList: $('#participant-list'),
+    coverTraffic: $('#cover-traffic'),
+
+    // 邀请
+    invitePanel: $('#invite-panel'),
+    inviteExpiry: $('#invite-expiry'),
+    inviteUses: $('#invite-uses'),
+    btnInviteCreate: $('#btn-invite-create'),
+    inviteLink: $('#invite-link'),
+    inviteList: $('#invite-list'),
+    tokenLabel: $('#token-label'),
+    btnTokenCreate: $('#btn-token-create'),
+    tokenValue: $('#token-value'),
+    tokenNode: $('#token-node'),
+    tokenList: $('#token-list'),
+    approvalRequired: $('#approval-required'),
+
+    // 加入申请
+    knockPanel: $('#knock-panel'),
+    knockList: $('#knock-list'),
 
     // 模态框
     modal: $('#modal-stream'),
@@ -46,6 +116,13 @@
     streamIdGroup: $('#stream-id-group'),
     streamId: $('#stream-id'),
     streamPassword: $('#stream-password'),
+    streamPasswordLabel: $('label[for="stream-password"]'),
+    streamRetentionGroup: $('#stream-retention-group'),
+    streamRetention: $('#stream-retention'),
+    streamExpiryGroup: $('#stream-expiry-group'),
+    streamExpiry: $('#stream-expiry'),
+    streamApprovalGroup: $('#stream-approval-group'),
+    streamApproval: $('#stream-approval'),
     btnModalConfirm: $('#btn-modal-confirm'),
     btnModalCancel: $('#btn-modal-cancel'),
 
@@ -59,7 +136,9 @@
 
     // 输入
     messageInput: $('#message-input'),
-    btnSend: $('#btn-send')
+    btnSend: $('#btn-send'),
+    btnAttach: $('#btn-attach'),
+    fileInput: $('#file-input')
   };
 
   // ========== 工具函数 ==========
@@ -98,6 +177,7 @@
     const isConnected = status === 'connected';
     elements.messageInput.disabled = !isConnected;
     elements.btnSend.disabled = !isConnected;
+    elements.btnAttach.disabled = !isConnected;
   }
 
   /**
@@ -107,38 +187,596 @@
     elements.nodeCount.textContent = `${count} 个节点`;
   }
 
+  /**
+   * 禁言或限流退避时禁用输入框
+   */
+  function updateInputState() {
+    const view = activeView();
+    const muted = !!view && view.muted;
+    const rateLimited = Date.now() < state.rateLimitedUntil;
+    const disabled = !state.connected || muted || rateLimited;
+    elements.messageInput.disabled = disabled;
+    elements.btnSend.disabled = disabled;
+    elements.btnAttach.disabled = disabled;
+
+    if (muted) {
+      elements.messageInput.placeholder = '你已被禁言';
+    } else if (rateLimited) {
+      const seconds = Math.ceil((state.rateLimitedUntil - Date.now()) / 1000);
+      elements.messageInput.placeholder = `发送过于频繁，${seconds} 秒后可继续`;
+    } else if (view && view.directTo) {
+      elements.messageInput.placeholder = `私信给 ${view.directTo}（仅对方可见）...`;
+    } else {
+      elements.messageInput.placeholder = '输入追踪数据...';
+    }
+  }
+
+  // ========== 错误提示 ==========
+
+  // 可恢复的错误：等待或重新获取密钥后即可重试，在面板内提示而不弹出对话框
+  const INLINE_ERRORS = ['rate_limited', 'join_locked', 'stale_epoch', 'invalid_token'];
+  // 面板内提示的最短显示时长；带 retryAfter 时显示到可以重试为止
+  const NOTICE_DURATION = 5000;
+  let noticeTimer = null;
+
+  /**
+   * 在面板内显示提示，到期或点击后隐藏
+   */
+  function showNotice(text, duration = NOTICE_DURATION) {
+    elements.notice.textContent = text;
+    elements.notice.classList.remove('hidden');
+
+    clearTimeout(noticeTimer);
+    noticeTimer = setTimeout(hideNotice, duration);
+  }
+
+  function hideNotice() {
+    clearTimeout(noticeTimer);
+    noticeTimer = null;
+    elements.notice.classList.add('hidden');
+  }
+
+  /**
+   * 报告操作失败：按错误码区分，可恢复的错误在面板内提示，其他错误弹出对话框
+   * @param {string} action - 失败的操作，如 '加入数据流失败'
+   * @param {Object} data - 服务端的失败结果 { code, error, retryAfter? }，或带 code 的 Error
+   */
+  function reportError(action, data) {
+    const message = `${action}: ${LogSocket.describeError(data)}`;
+    if (INLINE_ERRORS.includes(data.code)) {
+      showNotice(message, Math.max(NOTICE_DURATION, data.retryAfter || 0));
+    } else {
+      alert(message);
+    }
+  }
+
+  // ========== 成员列表 ==========
+
+  const ROLE_LABELS = {
+    owner: '创建者',
+    admin: '管理员',
+    member: '成员'
+  };
+
+  /**
+   * 管理权限（与服务端一致）：创建者可管理所有其他人，管理员只能管理普通成员
+   */
+  function canModerate(actorRole, targetRole) {
+    if (actorRole === 'owner') return targetRole !== 'owner';
+    if (actorRole === 'admin') return targetRole === 'member';
+    return false;
+  }
+
+  /**
+   * 渲染成员列表及可用的管理操作
+   */
+  function renderParticipants() {
+    elements.participantList.innerHTML = '';
+
+    const view = activeView();
+    if (!view) return;
+
+    view.nodes.forEach(node => {
+      const row = document.createElement('div');
+      row.className = 'participant';
+
+      const isSelf = node.nodeId === state.nodeId;
+      const fp = node.fingerprint ? node.fingerprint.slice(0, 9) : '----';
+
+      let actions = '';
+      if (!isSelf && node.exchangeKey) {
+        actions += view.directTo === node.nodeId
+          ? '<button class="btn btn-sm btn-secondary" data-action="undirect">取消私信</button>'
+          : '<button class="btn btn-sm btn-secondary" data-action="direct">私信</button>';
+      }
+      if (!isSelf && canModerate(view.role, node.role)) {
+        if (view.role === 'owner') {
+          actions += node.role === 'admin'
+            ? '<button class="btn btn-sm btn-secondary" data-action="demote">取消管理员</button>'
+            : '<button class="btn btn-sm btn-secondary" data-action="promote">设为管理员</button>';
+        }
+        actions += node.muted
+          ? '<button class="btn btn-sm btn-secondary" data-action="unmute">解除禁言</button>'
+          : '<button class="btn btn-sm btn-secondary" data-action="mute">禁言</button>';
+        actions += '<button class="btn btn-sm btn-secondary" data-action="kick">踢出</button>';
+        actions += '<button class="btn btn-sm btn-secondary" data-action="ban">封禁</button>';
+      }
+
+      row.dataset.nodeId = node.nodeId;
+      row.innerHTML = `
+        <span class="participant-node">${node.nodeId}${isSelf ? '（本机）' : ''}</span>
+        <span class="fingerprint" title="${node.fingerprint || ''}">${fp}</span>
+        <span class="participant-role">${ROLE_LABELS[node.role] || ''}</span>
+        ${node.muted ? '<span class="participant-muted">禁言</span>' : ''}
+        <span class="participant-actions">${actions}</span>
+      `;
+
+      elements.participantList.appendChild(row);
+    });
+  }
+
+  /**
+   * 成员列表中的管理操作
+   */
+  function handleParticipantAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const streamId = state.activeStreamId;
+    const targetNodeId = button.closest('.participant').dataset.nodeId;
+
+    switch (button.dataset.action) {
+      case 'direct':
+      case 'undirect':
+        setDirectTarget(activeView(), button.dataset.action === 'direct' ? targetNodeId : null);
+        elements.messageInput.focus();
+        break;
+      case 'promote':
+        LogSocket.setRole(streamId, targetNodeId, 'admin');
+        break;
+      case 'demote':
+        LogSocket.setRole(streamId, targetNodeId, 'member');
+        break;
+      case 'mute':
+        LogSocket.muteNode(streamId, targetNodeId, true);
+        break;
+      case 'unmute':
+        LogSocket.muteNode(streamId, targetNodeId, false);
+        break;
+      case 'kick':
+        LogSocket.kickNode(streamId, targetNodeId);
+        break;
+      case 'ban':
+        if (confirm(`封禁后 ${targetNodeId} 的身份将无法再加入该数据流。建议封禁后轮换密钥。确定封禁？`)) {
+          LogSocket.banNode(streamId, targetNodeId);
+        }
+        break;
+    }
+  }
+
+  /**
+   * 设置私信对象（null 恢复为发给整个数据流）
+   */
+  function setDirectTarget(view, nodeId) {
+    view.directTo = nodeId;
+    if (view.streamId === state.activeStreamId) {
+      renderParticipants();
+      updateInputState();
+    }
+  }
+
+  // ========== 邀请 ==========
+
+  /**
+   * 展开或收起邀请面板，展开时刷新邀请列表
+   */
+  function toggleInvitePanel() {
+    const view = activeView();
+    if (!view || !view.isOwner) return;
+
+    if (!elements.invitePanel.classList.toggle('hidden')) {
+      elements.approvalRequired.checked = view.approval;
+      LogSocket.listInvites(view.streamId);
+      LogSocket.listWriteTokens(view.streamId);
+    }
+  }
+
+  function closeInvitePanel() {
+    elements.invitePanel.classList.add('hidden');
+    elements.inviteLink.classList.add('hidden');
+    elements.inviteLink.value = '';
+    elements.inviteList.innerHTML = '';
+    elements.tokenValue.classList.add('hidden');
+    elements.tokenValue.value = '';
+    elements.tokenNode.classList.add('hidden');
+    elements.tokenList.innerHTML = '';
+  }
+
+  /**
+   * 生成邀请：服务端返回令牌后与访问密钥拼成链接
+   */
+  function createInvite() {
+    const view = activeView();
+    if (!view || !view.isOwner) return;
+
+    LogSocket.createInvite(
+      view.streamId,
+      parseInt(elements.inviteExpiry.value, 10),
+      parseInt(elements.inviteUses.value, 10)
+    );
+  }
+
+  /**
+   * 渲染仍然有效的邀请
+   */
+  function renderInvites(invites) {
+    elements.inviteList.innerHTML = '';
+
+    if (invites.length === 0) {
+      elements.inviteList.innerHTML = '<div class="invite-empty">暂无有效邀请</div>';
+      return;
+    }
+
+    invites.forEach(invite => {
+      const row = document.createElement('div');
+      row.className = 'invite';
+      row.dataset.inviteId = invite.id;
+      row.innerHTML = `
+        <span class="invite-id">${invite.id.slice(0, 8)}</span>
+        <span class="invite-uses">已用 ${invite.uses}/${invite.maxUses}</span>
+        <span class="invite-expiry">${new Date(invite.expiresAt).toLocaleString()} 过期</span>
+        <button class="btn btn-sm btn-secondary" data-action="revoke">撤销</button>
+      `;
+      elements.inviteList.appendChild(row);
+    });
+  }
+
+  /**
+   * 邀请列表中的撤销操作
+   */
+  function handleInviteAction(e) {
+    const button = e.target.closest('button[data-action="revoke"]');
+    if (!button || !state.activeStreamId) return;
+
+    LogSocket.revokeInvite(state.activeStreamId, button.closest('.invite').dataset.inviteId);
+  }
+
+  // ========== 写入令牌 ==========
+
+  /**
+   * 签发写入令牌：脚本凭令牌通过 HTTP 推送消息，令牌只在签发时显示一次
+   */
+  function createWriteToken() {
+    const view = activeView();
+    if (!view || !view.isOwner) return;
+
+    LogSocket.createWriteToken(view.streamId, elements.tokenLabel.value.trim());
+  }
+
+  /**
+   * 渲染仍然有效的写入令牌（备注由用户输入，以文本方式写入）
+   */
+  function renderWriteTokens(tokens) {
+    elements.tokenList.innerHTML = '';
+
+    if (tokens.length === 0) {
+      elements.tokenList.innerHTML = '<div class="invite-empty">暂无写入令牌</div>';
+      return;
+    }
+
+    tokens.forEach(token => {
+      const row = document.createElement('div');
+      row.className = 'invite';
+      row.dataset.tokenId = token.id;
+      row.innerHTML = `
+        <span class="invite-id">${token.id.slice(0, 8)}</span>
+        <span class="invite-uses"></span>
+        <span class="invite-expiry">${token.expiresAt ? new Date(token.expiresAt).toLocaleString() + ' 过期' : '长期有效'}</span>
+        <button class="btn btn-sm btn-secondary" data-action="revoke">撤销</button>
+      `;
+      row.querySelector('.invite-uses').textContent = token.label || token.nodeId;
+      elements.tokenList.appendChild(row);
+    });
+  }
+
+  /**
+   * 写入令牌列表中的撤销操作
+   */
+  function handleWriteTokenAction(e) {
+    const button = e.target.closest('button[data-action="revoke"]');
+    if (!button || !state.activeStreamId) return;
+
+    LogSocket.revokeWriteToken(state.activeStreamId, button.closest('.invite').dataset.tokenId);
+  }
+
+  // ========== 加入审批 ==========
+
+  /**
+   * 渲染当前数据流待审批的加入申请（没有申请时隐藏面板）
+   */
+  function renderKnocks() {
+    const view = activeView();
+    elements.knockList.innerHTML = '';
+    elements.knockPanel.classList.toggle('hidden', !view || view.knocks.size === 0);
+    if (!view) return;
+
+    for (const [knockId, knock] of view.knocks) {
+      const row = document.createElement('div');
+      row.className = 'knock';
+      row.dataset.knockId = knockId;
+      row.innerHTML = `
+        <span class="knock-node">${knock.nodeId}</span>
+        <span class="fingerprint">${knock.fingerprint}</span>
+        <span class="knock-expiry">${new Date(knock.expiresAt).toLocaleTimeString()} 前有效</span>
+        <span class="knock-actions">
+          <button class="btn btn-sm" data-action="approve">允许</button>
+          <button class="btn btn-sm btn-secondary" data-action="decline">拒绝</button>
+        </span>
+      `;
+      elements.knockList.appendChild(row);
+    }
+  }
+
+  /**
+   * 加入申请列表中的允许/拒绝操作
+   */
+  function handleKnockAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button || !state.activeStreamId) return;
+
+    LogSocket.answerKnock(
+      state.activeStreamId,
+      button.closest('.knock').dataset.knockId,
+      button.dataset.action === 'approve'
+    );
+  }
+
   // ========== 日志渲染 ==========
 
+  /**
+   * 渲染发送者验证标记
+   * verified: undefined 验证中 / true 签名有效 / false 未验证
+   */
+  function renderVerifyMarker(log) {
+    if (log.verified === undefined) {
+      return '<span class="log-verify pending" title="验证中">…</span>';
+    }
+
+    const fp = log.fingerprint || '';
+    const shortFp = fp ? fp.slice(0, 9) : '----';
+
+    if (log.verified) {
+      return `<span class="log-verify verified" title="签名有效 · 指纹 ${fp}">&#10003; ${shortFp}</span>`;
+    }
+    return `<span class="log-verify unverified" title="未验证的发送者${fp ? ' · 指纹 ' + fp : ''}">? ${shortFp}</span>`;
+  }
+
+  /**
+   * 创建本机消息的发送状态标记（收到的消息没有状态，返回 null）
+   * 错误信息来自服务端，通过 title 属性设置而不拼接 HTML
+   */
+  function createStatusMarker(log) {
+    if (!log.status) {
+      return null;
+    }
+
+    const marker = document.createElement('span');
+    marker.className = 'log-status ' + log.status;
+
+    if (log.status === 'pending') {
+      marker.textContent = '\u231B';
+      marker.title = '等待服务器确认';
+    } else if (log.status === 'sent') {
+      marker.textContent = '\u2713';
+      marker.title = log.direct ? '已送达' : `已送达 · #${log.seq}`;
+    } else {
+      marker.textContent = '!';
+      marker.title = `发送失败: ${log.error || ''}${log.attachment ? '' : '，点击重试'}`;
+    }
+    return marker;
+  }
+
+  /**
+   * 刷新日志条目的发送状态标记
+   */
+  function updateStatusMarker(log) {
+    const entry = elements.logContainer.querySelector(`[data-log-id="${log.id}"]`);
+    if (!entry) return;
+
+    const marker = entry.querySelector('.log-status');
+    if (marker) {
+      marker.replaceWith(createStatusMarker(log));
+    } else {
+      entry.querySelector('.log-header').appendChild(createStatusMarker(log));
+    }
+  }
+
+  /**
+   * 解密验证签名并更新日志的验证标记（不保留明文）
+   */
+  async function verifyLog(log, keyring) {
+    const opened = await openLogPayload(log, keyring);
+
+    log.verified = opened ? opened.verified : false;
+    log.fingerprint = opened ? opened.fingerprint : null;
+    log.chaff = opened ? opened.chaff : false;
+    log.attachment = opened ? opened.attachment : null;
+
+    const marker = elements.logContainer.querySelector(`[data-log-id="${log.id}"] .log-verify`);
+    if (marker) {
+      marker.outerHTML = renderVerifyMarker(log);
+    }
+  }
+
+  /**
+   * 解密日志内容：私信用本机交换私钥解开，其他消息用数据流密钥环
+   * @returns {Promise<Object|null>} - 同 LogCrypto.openMessage
+   */
+  function openLogPayload(log, keyring) {
+    const context = {
+      streamId: log.streamId,
+      nodeId: log.nodeId,
+      keyId: log.keyId
+    };
+
+    if (log.direct) {
+      return LogCrypto.openDirect(log.payload, log.epk, state.identity, context);
+    }
+    return LogCrypto.openMessage(log.payload, keyring, context);
+  }
+
+  /**
+   * 私信是否可由本机解开（发出的私信只有接收者能解开）
+   */
+  function canReveal(log) {
+    return !log.direct || log.direct.to === state.nodeId;
+  }
+
+  /**
+   * 私信标记
+   */
+  function renderDirectMarker(log) {
+    if (!log.direct) {
+      return '';
+    }
+
+    return log.direct.to === state.nodeId
+      ? `<span class="log-direct" title="只有本机可以解密">私信 ← ${log.nodeId}</span>`
+      : `<span class="log-direct" title="只有接收者可以解密">私信 → ${log.direct.to}</span>`;
+  }
+
+  /**
+   * 格式化文件大小
+   */
+  function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  /**
+   * 附件传输的存储键（同一传输 ID 按发送节点区分）
+   */
+  function transferKey(nodeId, transferId) {
+    return `${nodeId}:${transferId}`;
+  }
+
+  /**
+   * 日志条目的密文显示文本
+   * 附件显示为伪装的 artifact 行，只暴露传输进度
+   */
+  function maskedText(log) {
+    if (!log.attachment) {
+      return '> ' + LogCrypto.truncatePayload(log.payload);
+    }
+
+    const view = state.streams.get(log.streamId);
+    const transfer = view && view.transfers.get(transferKey(log.nodeId, log.attachment.id));
+    let status = `0/${log.attachment.chunks}`;
+    if (transfer) {
+      status = transfer.status === 'receiving'
+        ? `${transfer.received}/${transfer.total}`
+        : transfer.status;
+    }
+
+    return `> artifact ${log.attachment.id.slice(0, 8)} [${status}] ${LogCrypto.truncatePayload(log.payload, 24)}`;
+  }
+
+  /**
+   * 解密并重组附件，返回 Blob（未接收完整或校验失败返回 null）
+   */
+  async function openAttachment(log) {
+    const view = state.streams.get(log.streamId);
+    const transfer = view && view.transfers.get(transferKey(log.nodeId, log.attachment.id));
+    if (!transfer || transfer.status !== 'ready') {
+      return null;
+    }
+
+    const file = await LogCrypto.decryptFile(transfer.chunks, view.keyring, {
+      streamId: log.streamId,
+      nodeId: log.nodeId
+    }, log.attachment.sha256);
+
+    return file ? new Blob([file], { type: log.attachment.type || 'application/octet-stream' }) : null;
+  }
+
   /**
    * 创建日志条目 DOM
    * 核心功能：hover 显示明文，离开恢复密文
+   * 附件：hover 显示文件名与图片预览，点击下载
    */
   function createLogEntry(log) {
+    if (log.gap) {
+      return createGapEntry(log);
+    }
+
     const entry = document.createElement('div');
-    entry.className = 'log-entry';
+    entry.className = 'log-entry' + (log.attachment ? ' artifact' : '') + (log.direct ? ' direct' : '');
     entry.dataset.logId = log.id;
-    entry.dataset.encrypted = log.payload;
+    entry.dataset.encrypted = LogCrypto.payloadToText(log.payload);
+    if (log.attachment) {
+      entry.dataset.transfer = transferKey(log.nodeId, log.attachment.id);
+    }
 
     entry.innerHTML = `
       <div class="log-header">
         <span class="log-timestamp">${formatTimestamp(log.timestamp)}</span>
         <span class="log-level ${log.level}">${log.level}</span>
         <span class="log-node">${log.nodeId}</span>
+        ${renderDirectMarker(log)}
+        ${renderVerifyMarker(log)}
       </div>
-      <div class="log-payload">&gt; ${LogCrypto.truncatePayload(log.payload)}</div>
+      <div class="log-payload"></div>
     `;
 
+    const statusMarker = createStatusMarker(log);
+    if (statusMarker) {
+      entry.querySelector('.log-header').appendChild(statusMarker);
+    }
+
+    // 点击失败标记重新发送（附件清单不单独重发）
+    entry.addEventListener('click', (event) => {
+      if (!event.target.closest('.log-status')) return;
+
+      event.stopImmediatePropagation();
+      if (log.status === 'failed' && !log.attachment) {
+        deliverLog(log);
+      }
+    });
+
     // Hover 事件 - 解密显示明文
     const payloadEl = entry.querySelector('.log-payload');
+    payloadEl.textContent = maskedText(log);
+
+    let previewUrl = null;
 
     entry.addEventListener('mouseenter', async () => {
-      if (!state.cryptoKey) return;
+      const view = state.streams.get(log.streamId);
+      if (!view || !view.cryptoKey || !canReveal(log)) return;
 
       try {
-        const decrypted = await LogCrypto.decrypt(log.payload, state.cryptoKey);
-        if (decrypted) {
-          payloadEl.textContent = '> ' + decrypted;
+        const opened = await openLogPayload(log, view.keyring);
+        if (!opened || !entry.matches(':hover')) return;
+
+        if (!opened.attachment) {
+          payloadEl.textContent = '> ' + opened.body;
           payloadEl.classList.add('decrypted');
+          return;
+        }
+
+        payloadEl.textContent = `> ${opened.attachment.name} (${formatSize(opened.attachment.size)})`;
+        payloadEl.classList.add('decrypted');
+
+        // 图片附件显示预览
+        if (opened.attachment.type.startsWith('image/')) {
+          const blob = await openAttachment(log);
+          if (blob && entry.matches(':hover')) {
+            previewUrl = URL.createObjectURL(blob);
+            const img = document.createElement('img');
+            img.className = 'artifact-preview';
+            img.src = previewUrl;
+            payloadEl.appendChild(img);
+          }
         }
       } catch (error) {
         console.error('[界面] 解密失败:', error);
@@ -147,18 +785,77 @@
 
     entry.addEventListener('mouseleave', () => {
       // 离开时恢复显示密文
-      payloadEl.textContent = '> ' + LogCrypto.truncatePayload(log.payload);
+      payloadEl.textContent = maskedText(log);
       payloadEl.classList.remove('decrypted');
+
+      if (previewUrl) {
+        URL.revokeObjectURL(previewUrl);
+        previewUrl = null;
+      }
     });
 
+    // 点击下载附件
+    if (log.attachment) {
+      entry.addEventListener('click', async () => {
+        const blob = await openAttachment(log);
+        if (!blob) {
+          alert('附件尚未接收完整或校验失败');
+          return;
+        }
+
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = log.attachment.name;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+      });
+    }
+
+    return entry;
+  }
+
+  /**
+   * 创建序号缺口条目：提示有消息未送达本机
+   */
+  function createGapEntry(log) {
+    const { from, to } = log.gap;
+    const entry = document.createElement('div');
+    entry.className = 'log-gap';
+    entry.dataset.logId = log.id;
+    entry.textContent = from === to
+      ? `缺少消息 #${from}`
+      : `缺少消息 #${from} – #${to}（${to - from + 1} 条）`;
     return entry;
   }
 
   /**
-   * 添加日志到列表
+   * 刷新附件条目的传输进度（未显示的数据流及正在悬停查看的条目不刷新）
+   */
+  function refreshArtifact(view, key) {
+    if (view.streamId !== state.activeStreamId) return;
+
+    const log = view.logs.find(l => l.attachment && transferKey(l.nodeId, l.attachment.id) === key);
+    const payloadEl = elements.logContainer.querySelector(`[data-transfer="${key}"] .log-payload`);
+
+    if (log && payloadEl && !payloadEl.classList.contains('decrypted')) {
+      payloadEl.textContent = maskedText(log);
+    }
+  }
+
+  /**
+   * 添加日志到数据流（未显示的数据流只计入未读数）
    */
-  function addLog(log) {
-    state.logs.push(log);
+  function addLog(view, log) {
+    view.logs.push(log);
+
+    if (view.streamId !== state.activeStreamId) {
+      if (!log.gap) {
+        view.unread += 1;
+        renderStreamSelect();
+      }
+      return;
+    }
 
     // 清除空状态提示
     const emptyEl = elements.logContainer.querySelector('.log-empty');
@@ -178,10 +875,52 @@
     elements.logContainer.scrollTop = elements.logContainer.scrollHeight;
   }
 
+  /**
+   * 在列表顶部插入历史日志（按时间升序），保持当前阅读位置
+   * @param {Object} view - 所属数据流
+   * @param {Array} logs - 历史日志
+   * @param {boolean} scrollToBottom - 首次回填时滚动到底部
+   */
+  function prependLogs(view, logs, scrollToBottom) {
+    if (logs.length === 0) {
+      return;
+    }
+
+    view.logs.unshift(...logs);
+    if (view.streamId !== state.activeStreamId) {
+      return;
+    }
+
+    const emptyEl = elements.logContainer.querySelector('.log-empty');
+    if (emptyEl) {
+      emptyEl.remove();
+    }
+
+    const fragment = document.createDocumentFragment();
+    logs.filter(matchesFilter).forEach(log => {
+      fragment.appendChild(createLogEntry(log));
+    });
+
+    const container = elements.logContainer;
+    const previousHeight = container.scrollHeight;
+    container.insertBefore(fragment, container.firstChild);
+
+    if (scrollToBottom) {
+      container.scrollTop = container.scrollHeight;
+    } else {
+      container.scrollTop += container.scrollHeight - previousHeight;
+    }
+  }
+
   /**
    * 检查日志是否匹配过滤条件
    */
   function matchesFilter(log) {
+    // 序号缺口始终显示
+    if (log.gap) {
+      return true;
+    }
+
     const textFilter = elements.filterInput.value.toLowerCase();
     const levelFilter = elements.levelFilter.value;
 
@@ -189,7 +928,7 @@
       return false;
     }
 
-    if (textFilter && !log.payload.toLowerCase().includes(textFilter)) {
+    if (textFilter && !LogCrypto.payloadToText(log.payload).toLowerCase().includes(textFilter)) {
       return false;
     }
 
@@ -197,13 +936,19 @@
   }
 
   /**
-   * 重新渲染日志列表（应用过滤器后）
+   * 重新渲染当前数据流的日志列表（应用过滤器后）
    */
   function rerenderLogs() {
+    const view = activeView();
+    if (!view || view.logs.length === 0) {
+      showEmptyLogs();
+      return;
+    }
+
     // 清空容器
     elements.logContainer.innerHTML = '';
 
-    const filteredLogs = state.logs.filter(matchesFilter);
+    const filteredLogs = view.logs.filter(matchesFilter);
 
     if (filteredLogs.length === 0) {
       elements.logContainer.innerHTML = `
@@ -220,11 +965,7 @@
     });
   }
 
-  /**
-   * 清空日志
-   */
-  function clearLogs() {
-    state.logs = [];
+  function showEmptyLogs() {
     elements.logContainer.innerHTML = `
       <div class="log-empty">
         <p>暂无日志</p>
@@ -233,15 +974,140 @@
     `;
   }
 
+  /**
+   * 停止数据流的附件重组计时并释放分块
+   */
+  function clearTransfers(view) {
+    for (const transfer of view.transfers.values()) {
+      clearTimeout(transfer.timer);
+    }
+    view.transfers.clear();
+  }
+
+  /**
+   * 清空当前数据流的日志
+   */
+  function clearLogs() {
+    const view = activeView();
+    if (view) {
+      view.logs = [];
+      view.seq = { last: 0, missing: new Set() };
+      clearTransfers(view);
+    }
+    showEmptyLogs();
+  }
+
+  // ========== 数据流切换 ==========
+
+  /**
+   * 渲染数据流切换下拉框（括号内为未读日志数）
+   */
+  function renderStreamSelect() {
+    const select = elements.streamSelect;
+    select.innerHTML = '';
+
+    if (state.streams.size === 0) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = '-- 未加入数据流 --';
+      select.appendChild(option);
+    }
+
+    for (const view of state.streams.values()) {
+      const option = document.createElement('option');
+      option.value = view.streamId;
+      option.textContent = view.unread > 0 ? `${view.streamName} (${view.unread})` : view.streamName;
+      if (view.knocks.size > 0) {
+        option.textContent += ` [${view.knocks.size} 个申请]`;
+      }
+      select.appendChild(option);
+    }
+
+    select.value = state.activeStreamId || '';
+  }
+
+  /**
+   * 按当前数据流刷新操作按钮、成员列表、输入框与掩护流量开关
+   */
+  function updateStreamControls() {
+    const view = activeView();
+    const isOwner = !!view && view.isOwner;
+
+    elements.btnLeave.classList.toggle('hidden', !view);
+    elements.btnInvite.classList.toggle('hidden', !isOwner);
+    elements.btnRotate.classList.toggle('hidden', !isOwner);
+    elements.btnDelete.classList.toggle('hidden', !isOwner);
+    if (!isOwner) {
+      closeInvitePanel();
+    }
+    updateNodeCount(view ? view.nodes.length : 0);
+    renderParticipants();
+    renderKnocks();
+    renderStreamSelect();
+    updateInputState();
+    updateCoverTraffic();
+  }
+
+  /**
+   * 切换显示的数据流
+   */
+  function switchStream(streamId) {
+    const view = state.streams.get(streamId);
+    if (!view) return;
+
+    state.activeStreamId = streamId;
+    view.unread = 0;
+    closeInvitePanel();
+    updateStreamControls();
+    rerenderLogs();
+    elements.logContainer.scrollTop = elements.logContainer.scrollHeight;
+  }
+
+  /**
+   * 移除已离开的数据流（主动离开、被移出或数据流被关闭），正在显示时切换到其他数据流
+   */
+  function removeStreamView(streamId) {
+    const view = state.streams.get(streamId);
+    if (!view) return;
+
+    clearTransfers(view);
+    state.streams.delete(streamId);
+
+    if (state.activeStreamId !== streamId) {
+      updateStreamControls();
+      return;
+    }
+
+    state.activeStreamId = null;
+    const next = state.streams.keys().next();
+    if (next.done) {
+      updateStreamControls();
+      rerenderLogs();
+    } else {
+      switchStream(next.value);
+    }
+  }
+
   // ========== 模态框控制 ==========
 
-  let modalMode = 'create'; // 'create' 或 'join'
+  let modalMode = 'create'; // 'create'、'join' 或 'rotate'
 
   function showModal(mode) {
     modalMode = mode;
     elements.modal.classList.remove('hidden');
+    elements.streamPasswordLabel.textContent = '访问密钥:';
+
+    elements.streamRetentionGroup.style.display = mode === 'create' ? 'block' : 'none';
+    elements.streamExpiryGroup.style.display = mode === 'create' ? 'block' : 'none';
+    elements.streamApprovalGroup.style.display = mode === 'create' ? 'block' : 'none';
 
-    if (mode === 'create') {
+    if (mode === 'rotate') {
+      elements.modalTitle.textContent = '轮换密钥';
+      elements.streamIdGroup.style.display = 'none';
+      elements.streamName.parentElement.style.display = 'none';
+      elements.streamPasswordLabel.textContent = '新访问密钥:';
+      elements.btnModalConfirm.textContent = '轮换';
+    } else if (mode === 'create') {
       elements.modalTitle.textContent = '创建数据流';
       elements.streamIdGroup.style.display = 'none';
       elements.streamName.style.display = 'block';
@@ -258,6 +1124,9 @@
     elements.streamName.value = '';
     elements.streamId.value = '';
     elements.streamPassword.value = '';
+    elements.streamRetention.value = '';
+    elements.streamExpiry.value = '';
+    elements.streamApproval.checked = false;
   }
 
   function hideModal() {
@@ -273,20 +1142,71 @@
   async function loadSettings() {
     // 从 Chrome 存储加载设置
     if (typeof chrome !== 'undefined' && chrome.storage) {
-      const result = await chrome.storage.sync.get(['serverUrl']);
+      const result = await chrome.storage.sync.get(['serverUrl', 'paddingScheme', 'chaffDisplay']);
       if (result.serverUrl) {
         elements.serverUrl.value = result.serverUrl;
       }
+      if (result.paddingScheme) {
+        elements.paddingScheme.value = result.paddingScheme;
+      }
+      if (result.chaffDisplay) {
+        elements.chaffDisplay.value = result.chaffDisplay;
+      }
+
+      const local = await chrome.storage.local.get(['coverStreams']);
+      state.coverStreams = new Set(local.coverStreams || []);
     }
+
+    LogCrypto.setPadding({ scheme: elements.paddingScheme.value });
+    state.chaffDisplay = elements.chaffDisplay.value;
+  }
+
+  /**
+   * 加载本机身份密钥，首次运行时生成并保存到 chrome.storage.local
+   * 旧版本保存的身份没有交换密钥，补充后写回（签名密钥不变，指纹保持一致）
+   */
+  async function loadIdentity() {
+    let record = null;
+    const storage = typeof chrome !== 'undefined' && chrome.storage ? chrome.storage.local : null;
+
+    if (storage) {
+      const result = await storage.get(['identity']);
+      record = result.identity || null;
+    }
+
+    if (!record) {
+      record = await LogCrypto.generateIdentity();
+      if (storage) {
+        await storage.set({ identity: record });
+      }
+      console.log('[界面] 已生成新的身份密钥');
+    } else {
+      const upgraded = await LogCrypto.ensureExchangeKeys(record);
+      if (upgraded !== record) {
+        record = upgraded;
+        if (storage) {
+          await storage.set({ identity: record });
+        }
+        console.log('[界面] 已为身份密钥补充交换密钥');
+      }
+    }
+
+    state.identity = await LogCrypto.importIdentity(record);
+    elements.identityFingerprint.textContent = state.identity.fingerprint;
   }
 
   async function saveSettings() {
     const url = elements.serverUrl.value.trim() || 'http://localhost:3000';
+    const paddingScheme = elements.paddingScheme.value;
+    const chaffDisplay = elements.chaffDisplay.value;
 
     if (typeof chrome !== 'undefined' && chrome.storage) {
-      await chrome.storage.sync.set({ serverUrl: url });
+      await chrome.storage.sync.set({ serverUrl: url, paddingScheme, chaffDisplay });
     }
 
+    LogCrypto.setPadding({ scheme: paddingScheme });
+    state.chaffDisplay = chaffDisplay;
+
     elements.settingsPanel.classList.add('hidden');
 
     // 如果已连接，重新连接到新服务器
@@ -313,6 +1233,12 @@
   // ========== 数据流操作 ==========
 
   async function handleModalConfirm() {
+    // 邀请链接自带访问密钥
+    if (modalMode === 'join' && joinByInvite(elements.streamId.value)) {
+      hideModal();
+      return;
+    }
+
     const password = elements.streamPassword.value.trim();
 
     if (!password) {
@@ -320,28 +1246,71 @@
       return;
     }
 
-    // 计算密码哈希
-    const passwordHash = await LogCrypto.hashPassword(password);
-
-    // 派生加密密钥
-    state.currentPassword = password;
-    state.cryptoKey = await LogCrypto.deriveKey(password);
+    if (modalMode === 'rotate') {
+      await rotateStreamKey(activeView(), password);
+      hideModal();
+      return;
+    }
 
+    // 密钥根据数据流的 KDF 参数派生（创建时本地生成，加入时随挑战下发）
     if (modalMode === 'create') {
       const streamName = elements.streamName.value.trim() || 'stream-' + generateId();
-      LogSocket.createStream(streamName, passwordHash);
+      const kdf = LogCrypto.generateKdfParams();
+      const keys = await LogCrypto.deriveKeys(password, kdf);
+      // 开启后服务端按 TTL 保留密文，供之后加入的成员回填
+      const ttl = parseInt(elements.streamRetention.value, 10);
+      const expiresIn = parseInt(elements.streamExpiry.value, 10);
+      const identityProof = await LogCrypto.computeCreateProof(state.identity, keys.authKey);
+      state.pendingCreates.push(password);
+      LogSocket.createStream(streamName, kdf, keys.authKey, {
+        identityKey: state.identity.publicKey,
+        identityProof
+      }, {
+        retention: ttl ? { ttl } : null,
+        expiresIn: expiresIn || null,
+        approval: elements.streamApproval.checked
+      });
     } else {
       const streamId = elements.streamId.value.trim();
       if (!streamId) {
         alert('请输入数据流 ID');
         return;
       }
-      LogSocket.joinStream(streamId, passwordHash);
+
+      // 已加入的数据流直接切换过去
+      if (state.streams.has(streamId)) {
+        switchStream(streamId);
+      } else {
+        state.pendingJoins.set(streamId, { password, encKey: null, rejoin: false });
+        LogSocket.joinStream(streamId);
+      }
     }
 
     hideModal();
   }
 
+  /**
+   * 通过邀请链接加入
+   * @returns {boolean} - 输入不是邀请链接时返回 false，按数据流 ID 处理
+   */
+  function joinByInvite(text) {
+    const invite = LogSocket.parseInviteLink(text);
+    if (!invite) {
+      return false;
+    }
+
+    // 邀请令牌只在签发它的服务器上有效
+    const current = LogSocket.getServerUrl().replace(/\/+$/, '');
+    if (invite.serverUrl !== current) {
+      alert(`该邀请来自其他服务器 ${invite.serverUrl}，请先在设置中切换中继服务器`);
+      return true;
+    }
+
+    state.pendingInvites.set(invite.token, invite.password);
+    LogSocket.joinByInvite(invite.token);
+    return true;
+  }
+
   async function handleConnect() {
     if (!state.connected) {
       // 连接到服务器
@@ -350,15 +1319,59 @@
       return;
     }
 
-    // 如果有选中的数据流，尝试加入
-    const selectedStreamId = elements.streamSelect.value;
-    if (selectedStreamId) {
-      // 显示加入模态框
-      showModal('join');
-      elements.streamId.value = selectedStreamId;
-    } else {
-      // 显示加入模态框（手动输入 ID）
-      showModal('join');
+    // 已连接时加入其他数据流（手动输入 ID）
+    showModal('join');
+  }
+
+  /**
+   * 切换到新的密钥纪元（旧密钥保留在密钥环中）
+   */
+  function applyEpoch(view, epoch, key) {
+    view.keyring.set(epoch, key);
+    view.epoch = epoch;
+    view.cryptoKey = key;
+  }
+
+  /**
+   * 确认成员的交换公钥由其身份密钥签名，且身份与成员列表中显示的指纹一致
+   * 中继替换交换公钥或身份时返回 false，此时不能向该成员包装密钥或发送私信
+   */
+  async function isExchangeKeyTrusted(node) {
+    const fingerprint = await LogCrypto.verifyExchangeKey(node);
+    return fingerprint !== null && fingerprint === node.fingerprint;
+  }
+
+  /**
+   * 轮换密钥（创建者）
+   * 新访问密钥逐个包装给当前在线成员；离开的节点拿不到新密钥
+   * 有成员的交换公钥未通过验证时放弃轮换，避免新密钥落入中继手中
+   */
+  async function rotateStreamKey(view, password) {
+    if (!view || !view.isOwner || !view.cryptoKey) {
+      return;
+    }
+
+    try {
+      const kdf = LogCrypto.generateKdfParams();
+      const keys = await LogCrypto.deriveKeys(password, kdf);
+
+      const members = view.nodes.filter(n => n.nodeId !== state.nodeId && n.exchangeKey);
+      const trusted = await Promise.all(members.map(isExchangeKeyTrusted));
+      const untrusted = members.filter((n, i) => !trusted[i]);
+      if (untrusted.length > 0) {
+        alert(`以下成员的交换密钥未通过身份验证，已取消轮换: ${untrusted.map(n => n.nodeId).join(', ')}`);
+        return;
+      }
+
+      const grants = await Promise.all(members.map(async (n) => ({
+        nodeId: n.nodeId,
+        wrapped: await LogCrypto.wrapSecret(password, view.cryptoKey, n.exchangeKey)
+      })));
+
+      view.pendingRotation = { password, encKey: keys.encKey };
+      LogSocket.rotateKey(view.streamId, kdf, keys.authKey, grants);
+    } catch (error) {
+      console.error('[界面] 密钥轮换失败:', error);
     }
   }
 
@@ -367,50 +1380,575 @@
     LogSocket.disconnect();
     updateConnectionStatus('disconnected');
     state.connected = false;
-    state.streamId = null;
-    state.cryptoKey = null;
-    clearLogs();
+    for (const view of state.streams.values()) {
+      clearTransfers(view);
+    }
+    state.streams.clear();
+    state.activeStreamId = null;
+    updateStreamControls();
+    rerenderLogs();
   }
 
   // ========== 消息发送 ==========
 
   async function sendMessage() {
     const message = elements.messageInput.value.trim();
+    const view = activeView();
+
+    // 限流退避中不发送，保留输入内容
+    if (!message || !view || !view.cryptoKey || !state.identity || LogSocket.isRateLimited()) {
+      return;
+    }
+
+    if (view.directTo) {
+      await sendDirect(view, message);
+      return;
+    }
+
+    try {
+      // 签名并加密消息
+      const encrypted = await LogCrypto.sealMessage(message, view.cryptoKey, state.identity, {
+        streamId: view.streamId,
+        nodeId: state.nodeId,
+        epoch: view.epoch
+      });
+
+      // 消息显示为待确认条目，失败时可点击重试，输入框直接清空
+      elements.messageInput.value = '';
+      await sendLog(view, encrypted, LogCrypto.randomLevel(), view.epoch);
+    } catch (error) {
+      console.error('[界面] 加密/发送失败:', error);
+    }
+  }
+
+  /**
+   * 发送日志并在本机列表中显示为待确认条目
+   * 服务端确认后使用其分配的消息 ID、序号与时间
+   * @returns {Promise<Object>} - 日志条目（发送失败时 status 为 'failed'）
+   */
+  async function sendLog(view, payload, level, keyId) {
+    const log = await openLog(view, {
+      id: generateId(),
+      streamId: view.streamId,
+      nodeId: state.nodeId,
+      level,
+      keyId,
+      payload,
+      timestamp: Date.now()
+    });
+
+    log.status = 'pending';
+    addLog(view, log);
+    await deliverLog(log);
+    return log;
+  }
 
-    if (!message || !state.cryptoKey) {
+  /**
+   * 用接收者的交换公钥加密私信，显示为只有接收者能解开的待确认条目
+   * 交换公钥未通过身份验证时拒绝发送，避免私信被中继解开
+   */
+  async function sendDirect(view, message) {
+    const recipient = view.nodes.find(node => node.nodeId === view.directTo);
+    if (!recipient || !recipient.exchangeKey) {
+      alert(`${view.directTo} 已不在数据流中`);
+      setDirectTarget(view, null);
       return;
     }
 
     try {
-      // 加密消息
-      const encrypted = await LogCrypto.encrypt(message, state.cryptoKey);
+      if (!(await isExchangeKeyTrusted(recipient))) {
+        alert(`${recipient.nodeId} 的交换密钥未通过身份验证，私信未发送`);
+        return;
+      }
 
-      // 发送
-      const level = LogCrypto.randomLevel();
-      LogSocket.pushLog(encrypted, level);
+      const sealed = await LogCrypto.sealDirect(message, state.identity, recipient.exchangeKey, {
+        streamId: view.streamId,
+        nodeId: state.nodeId
+      });
 
-      // 清空输入
       elements.messageInput.value = '';
+
+      const log = {
+        id: generateId(),
+        streamId: view.streamId,
+        nodeId: state.nodeId,
+        level: LogCrypto.randomLevel(),
+        payload: sealed.payload,
+        epk: sealed.epk,
+        direct: { to: recipient.nodeId },
+        timestamp: Date.now(),
+        // 本机签名的消息，发出后本机也无法再解开
+        verified: true,
+        fingerprint: state.identity.fingerprint,
+        status: 'pending'
+      };
+
+      addLog(view, log);
+      await deliverLog(log);
     } catch (error) {
-      console.error('[界面] 加密/发送失败:', error);
+      console.error('[界面] 私信加密/发送失败:', error);
     }
   }
 
+  /**
+   * 推送本机日志条目并根据确认结果更新状态
+   */
+  async function deliverLog(log) {
+    log.status = 'pending';
+    log.error = null;
+    updateStatusMarker(log);
+
+    try {
+      const result = log.direct
+        ? await LogSocket.pushDirect(log.streamId, log.direct.to, log.payload, log.epk, log.level)
+        : await LogSocket.pushLog(log.streamId, log.payload, log.level, log.keyId);
+
+      const entry = elements.logContainer.querySelector(`[data-log-id="${log.id}"]`);
+      if (entry) {
+        entry.dataset.logId = result.id;
+      }
+      log.id = result.id;
+      log.seq = result.seq;
+      log.timestamp = result.timestamp;
+      log.status = 'sent';
+      // 与收到的消息按同一顺序记录序号（等待确认期间可能已离开该数据流）；私信没有序号
+      const view = state.streams.get(log.streamId);
+      if (view && !log.direct) {
+        receiveQueue = receiveQueue.then(() => acceptSeq(view, result.seq));
+      }
+
+      const timestampEl = entry && entry.querySelector('.log-timestamp');
+      if (timestampEl) {
+        timestampEl.textContent = formatTimestamp(log.timestamp);
+      }
+    } catch (error) {
+      log.status = 'failed';
+      log.error = error.message;
+      console.error('[界面] 日志发送失败:', error.message);
+      // 可恢复的错误另在面板内提示，其他失败只在条目上标记（点击可重发）
+      if (INLINE_ERRORS.includes(error.code)) {
+        reportError('日志发送失败', error);
+      }
+    }
+
+    updateStatusMarker(log);
+  }
+
+  // ========== 附件 ==========
+
+  // 接收端重组超时：超过该时间未收到新分块视为失败
+  const TRANSFER_TIMEOUT = 60 * 1000;
+
+  /**
+   * 生成随机传输 ID（十六进制）
+   */
+  function generateTransferId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * 加密并分块发送附件：先发送签名的附件清单，再逐块发送
+   */
+  async function sendAttachment(file) {
+    const view = activeView();
+    if (!view || !view.cryptoKey || !state.identity) {
+      return;
+    }
+
+    const context = { streamId: view.streamId, nodeId: state.nodeId, epoch: view.epoch };
+    const keyId = view.epoch;
+
+    try {
+      const encrypted = await LogCrypto.encryptFile(await file.arrayBuffer(), view.cryptoKey, context);
+      const transferId = generateTransferId();
+
+      const manifest = await LogCrypto.sealMessage(`[artifact] ${file.name}`, view.cryptoKey, state.identity, context, {
+        attachment: {
+          id: transferId,
+          name: file.name,
+          type: file.type,
+          size: encrypted.size,
+          chunks: encrypted.chunks.length,
+          sha256: encrypted.sha256
+        }
+      });
+      const log = await sendLog(view, manifest, LogCrypto.randomLevel(), keyId);
+      if (log.status === 'failed') {
+        throw new Error(log.error);
+      }
+
+      const total = encrypted.chunks.length;
+      for (let i = 0; i < total; i++) {
+        await LogSocket.pushChunk(view.streamId, transferId, i, total, encrypted.chunks[i], keyId);
+      }
+    } catch (error) {
+      console.error('[界面] 附件发送失败:', error);
+      reportError('附件发送失败', error);
+    }
+  }
+
+  /**
+   * 接收附件分块（保持加密，查看时才解密）
+   */
+  function receiveChunk(data) {
+    const view = state.streams.get(data.streamId);
+    if (!view) return;
+
+    const key = transferKey(data.nodeId, data.transferId);
+    let transfer = view.transfers.get(key);
+
+    if (!transfer) {
+      transfer = { chunks: [], total: data.total, received: 0, status: 'receiving', timer: null };
+      view.transfers.set(key, transfer);
+    }
+
+    if (transfer.status !== 'receiving' || data.total !== transfer.total || transfer.chunks[data.index]) {
+      return;
+    }
+
+    transfer.chunks[data.index] = data.payload;
+    transfer.received += 1;
+    clearTimeout(transfer.timer);
+
+    if (transfer.received === transfer.total) {
+      transfer.status = 'ready';
+    } else {
+      transfer.timer = setTimeout(() => failTransfer(view, key), TRANSFER_TIMEOUT);
+    }
+
+    refreshArtifact(view, key);
+  }
+
+  /**
+   * 标记附件传输失败并释放已收到的分块
+   */
+  function failTransfer(view, key) {
+    const transfer = view.transfers.get(key);
+    if (!transfer || transfer.status !== 'receiving') return;
+
+    clearTimeout(transfer.timer);
+    transfer.status = 'failed';
+    transfer.chunks = [];
+    refreshArtifact(view, key);
+  }
+
+  // ========== 掩护流量 ==========
+
+  /**
+   * 生成一条掩护消息：伪造的运行日志，在密文内部标记为 chaff
+   * 签名、填充、日志级别与真实消息一致，中继无法区分
+   */
+  async function generateChaff(view) {
+    if (!view.cryptoKey || !state.identity || state.streams.get(view.streamId) !== view) {
+      return null;
+    }
+
+    const payload = await LogCrypto.sealMessage(
+      LogCrypto.randomNoise(),
+      view.cryptoKey,
+      state.identity,
+      { streamId: view.streamId, nodeId: state.nodeId, epoch: view.epoch },
+      { chaff: true }
+    );
+
+    return { payload, level: LogCrypto.randomLevel(), keyId: view.epoch };
+  }
+
+  /**
+   * 根据各数据流的设置开启或关闭掩护流量，开关显示当前数据流的设置
+   */
+  function updateCoverTraffic() {
+    for (const view of state.streams.values()) {
+      const enabled = state.coverStreams.has(view.streamId);
+
+      if (enabled && !LogSocket.isCoverTrafficActive(view.streamId)) {
+        LogSocket.startCoverTraffic(view.streamId, () => generateChaff(view));
+      } else if (!enabled) {
+        LogSocket.stopCoverTraffic(view.streamId);
+      }
+    }
+
+    const streamId = state.activeStreamId;
+    elements.coverTraffic.disabled = !streamId;
+    elements.coverTraffic.checked = !!streamId && state.coverStreams.has(streamId);
+  }
+
+  async function toggleCoverTraffic() {
+    const streamId = state.activeStreamId;
+    if (!streamId) return;
+
+    if (elements.coverTraffic.checked) {
+      state.coverStreams.add(streamId);
+    } else {
+      state.coverStreams.delete(streamId);
+    }
+
+    if (typeof chrome !== 'undefined' && chrome.storage) {
+      await chrome.storage.local.set({ coverStreams: Array.from(state.coverStreams) });
+    }
+
+    updateCoverTraffic();
+  }
+
   // ========== Socket 事件处理 ==========
 
+  // 接收队列：保证日志按到达顺序解密、入列
+  let receiveQueue = Promise.resolve();
+
+  /**
+   * 将服务端消息转换为日志条目，并解密验证（识别掩护流量）
+   * @returns {Promise<Object|null>} - 需要隐藏的掩护消息返回 null
+   */
+  async function openLog(view, data) {
+    const log = {
+      id: data.id || generateId(), // 升级前写入的历史没有消息 ID
+      seq: data.seq,
+      streamId: data.streamId,
+      timestamp: data.timestamp,
+      nodeId: data.nodeId,
+      level: data.level,
+      keyId: data.keyId || 0,
+      payload: data.payload
+    };
+
+    try {
+      if (view.cryptoKey) {
+        await verifyLog(log, view.keyring);
+        if (log.chaff && state.chaffDisplay === 'hide') {
+          return null;
+        }
+      }
+    } catch (error) {
+      console.error('[界面] 日志验证失败:', error);
+    }
+
+    return log;
+  }
+
+  /**
+   * 记录收到的实时消息序号
+   * 序号跳跃时在列表中插入缺口提示，迟到的消息补上缺口；已收到过的序号视为重复
+   * @returns {boolean} - 重复的消息返回 false
+   */
+  function acceptSeq(view, seq) {
+    const tracker = view.seq;
+
+    // 加入后的第一条消息作为起点
+    if (tracker.last === 0) {
+      tracker.last = seq;
+      return true;
+    }
+
+    if (seq <= tracker.last) {
+      if (!tracker.missing.delete(seq)) {
+        return false;
+      }
+      closeGaps(view);
+      return true;
+    }
+
+    if (seq > tracker.last + 1) {
+      for (let missing = tracker.last + 1; missing < seq; missing++) {
+        tracker.missing.add(missing);
+      }
+      addLog(view, { id: generateId(), gap: { from: tracker.last + 1, to: seq - 1 }, timestamp: Date.now() });
+    }
+
+    tracker.last = seq;
+    return true;
+  }
+
+  /**
+   * 移除已全部补齐的缺口提示
+   */
+  function closeGaps(view) {
+    const missing = view.seq.missing;
+    const closed = view.logs.filter(log => {
+      if (!log.gap) return false;
+      for (let seq = log.gap.from; seq <= log.gap.to; seq++) {
+        if (missing.has(seq)) return false;
+      }
+      return true;
+    });
+
+    for (const gap of closed) {
+      view.logs.splice(view.logs.indexOf(gap), 1);
+      const entry = elements.logContainer.querySelector(`[data-log-id="${gap.id}"]`);
+      if (entry) {
+        entry.remove();
+      }
+    }
+  }
+
+  /**
+   * 处理收到的日志
+   * 先记录序号再解密，隐藏的掩护消息同样计入，不会被当作缺口
+   */
+  async function receiveLog(data) {
+    const view = state.streams.get(data.streamId);
+    if (!view) return;
+
+    if (!acceptSeq(view, data.seq)) {
+      console.warn('[界面] 忽略重复消息:', data.id, '#' + data.seq);
+      return;
+    }
+
+    const log = await openLog(view, data);
+    if (log) {
+      addLog(view, log);
+    }
+  }
+
+  /**
+   * 处理发给本机的私信（私信不占用数据流序号）
+   */
+  async function receiveDirect(data) {
+    const view = state.streams.get(data.streamId);
+    if (!view || !state.identity) return;
+
+    const log = {
+      id: data.id,
+      streamId: data.streamId,
+      timestamp: data.timestamp,
+      nodeId: data.nodeId,
+      level: data.level,
+      payload: data.payload,
+      epk: data.epk,
+      direct: { to: data.to }
+    };
+
+    try {
+      await verifyLog(log, view.keyring);
+    } catch (error) {
+      console.error('[界面] 私信验证失败:', error);
+    }
+
+    addLog(view, log);
+  }
+
+  /**
+   * 请求更早的一页历史
+   */
+  function loadMoreHistory(view = activeView()) {
+    const history = view && view.history;
+    if (!history || history.loading || !history.hasMore) {
+      return;
+    }
+
+    history.loading = true;
+    LogSocket.requestHistory(view.streamId, history.cursor === null ? undefined : history.cursor);
+  }
+
+  /**
+   * 处理历史分页：去掉已显示的消息后插入列表顶部
+   * 历史只保存日志消息，附件分块不入库，对应条目标记为已过期
+   */
+  async function receiveHistory(data) {
+    const view = state.streams.get(data.streamId);
+    const history = view && view.history;
+    if (!history) {
+      return;
+    }
+
+    history.loading = false;
+
+    if (!data.success) {
+      history.hasMore = false;
+      console.error('[界面] 历史加载失败:', LogSocket.describeError(data));
+      return;
+    }
+
+    const seen = new Set(view.logs.map(log => log.seq));
+    const logs = [];
+
+    for (const entry of data.entries) {
+      if (seen.has(entry.seq)) continue;
+
+      const log = await openLog(view, entry);
+      if (!log) continue;
+
+      if (log.attachment) {
+        const key = transferKey(log.nodeId, log.attachment.id);
+        if (!view.transfers.has(key)) {
+          view.transfers.set(key, { chunks: [], total: log.attachment.chunks, received: 0, status: 'expired', timer: null });
+        }
+      }
+      logs.push(log);
+    }
+
+    const initial = history.cursor === null;
+    if (data.entries.length > 0) {
+      history.cursor = data.entries[0].seq;
+    }
+    history.hasMore = data.hasMore;
+
+    prependLogs(view, logs, initial);
+  }
+
   function setupSocketCallbacks() {
     LogSocket.on('onConnect', () => {
       state.connected = true;
       updateConnectionStatus('connected');
+      updateInputState();
+      // 重连后等待服务端恢复之前的数据流；已连接时可继续加入其他数据流
       elements.btnConnect.textContent = '加入';
     });
 
     LogSocket.on('onDisconnect', (reason) => {
       state.connected = false;
-      state.streamId = null;
-      updateConnectionStatus('disconnected');
       elements.btnConnect.textContent = '连接';
-      updateNodeCount(0);
+
+      // 意外断开时保留数据流、密钥与日志，自动重连后恢复（见 onStreamResumed）
+      if (state.streams.size > 0 && reason !== 'io client disconnect') {
+        updateConnectionStatus('connecting');
+        for (const view of state.streams.values()) {
+          if (view.history) {
+            view.history.loading = false;
+          }
+        }
+        return;
+      }
+
+      for (const view of state.streams.values()) {
+        clearTransfers(view);
+      }
+      state.streams.clear();
+      state.activeStreamId = null;
+      updateStreamControls();
+      rerenderLogs();
+      updateConnectionStatus('disconnected');
+    });
+
+    // 自动重连失败：保留数据流状态，手动连接后仍可恢复
+    LogSocket.on('onReconnectFailed', () => {
+      updateConnectionStatus('disconnected');
+    });
+
+    LogSocket.on('onStreamResumed', (data) => {
+      const view = state.streams.get(data.streamId);
+      if (!view) return;
+
+      if (data.success) {
+        view.isOwner = data.isOwner;
+        view.role = data.role;
+        view.muted = data.muted;
+        view.approval = data.approval;
+        updateStreamControls();
+        console.log('[界面] 已恢复数据流:', data.streamId);
+        return;
+      }
+
+      // 会话已过期：使用之前输入的访问密钥重新加入，保留已显示的日志
+      if (data.code === 'session_expired' && view.password) {
+        console.log('[界面] 会话已过期，重新加入数据流:', data.streamId);
+        state.pendingJoins.set(data.streamId, { password: view.password, encKey: null, rejoin: true });
+        LogSocket.joinStream(data.streamId);
+        return;
+      }
+
+      removeStreamView(data.streamId);
+      reportError(view.streamName, data);
     });
 
     LogSocket.on('onNodeAssigned', (nodeId) => {
@@ -418,6 +1956,8 @@
     });
 
     LogSocket.on('onStreamCreated', (data) => {
+      const password = state.pendingCreates.shift();
+
       if (data.success) {
         console.log('[界面] 数据流已创建:', data.streamId);
 
@@ -427,61 +1967,435 @@
           console.log('[界面] 数据流 ID 已复制到剪贴板');
         }
 
-        // 更新下拉框
-        const option = document.createElement('option');
-        option.value = data.streamId;
-        option.textContent = data.streamName;
-        elements.streamSelect.appendChild(option);
-        elements.streamSelect.value = data.streamId;
-
         // 使用之前输入的密码自动加入
-        setTimeout(async () => {
-          const passwordHash = await LogCrypto.hashPassword(state.currentPassword);
-          LogSocket.joinStream(data.streamId, passwordHash);
+        state.pendingJoins.set(data.streamId, { password, encKey: null, rejoin: false });
+        setTimeout(() => {
+          LogSocket.joinStream(data.streamId);
         }, 100);
       } else {
-        alert('创建数据流失败: ' + data.error);
+        reportError('创建数据流失败', data);
+      }
+    });
+
+    LogSocket.on('onJoinChallenge', async (data) => {
+      // 通过邀请加入：收到挑战后才知道数据流 ID
+      if (data.invite && state.pendingInvites.has(data.invite)) {
+        const password = state.pendingInvites.get(data.invite);
+        state.pendingInvites.delete(data.invite);
+
+        // 已加入的数据流直接切换过去，邀请不计使用次数
+        if (state.streams.has(data.streamId)) {
+          switchStream(data.streamId);
+          return;
+        }
+        state.pendingJoins.set(data.streamId, { password, encKey: null, rejoin: false });
+      }
+
+      const pending = state.pendingJoins.get(data.streamId);
+      if (!pending) return;
+
+      try {
+        const keys = await LogCrypto.deriveKeys(pending.password, data.kdf);
+        const proof = await LogCrypto.computeJoinProof(keys.authKey, data.streamId, data.nonce);
+        const identityProof = await LogCrypto.computeIdentityProof(state.identity, data.streamId, data.nonce);
+        pending.encKey = keys.encKey;
+        LogSocket.answerJoinChallenge(data.streamId, proof, {
+          identityKey: state.identity.publicKey,
+          identityProof,
+          exchangeKeySig: state.identity.exchangeKeySignature
+        }, state.identity.exchangePublicKey);
+      } catch (error) {
+        console.error('[界面] 密钥派生失败:', error);
+        alert('加入数据流失败: ' + error.message);
       }
     });
 
     LogSocket.on('onStreamJoined', (data) => {
-      if (data.success) {
-        state.streamId = data.streamId;
-        state.streamName = data.streamName;
-        console.log('[界面] 已加入数据流:', data.streamId);
+      // 邀请在下发挑战前即失效
+      if (data.invite) {
+        state.pendingInvites.delete(data.invite);
+        reportError('通过邀请加入失败', data);
+        return;
+      }
 
-        // 更新 UI
-        elements.btnConnect.textContent = '离开';
-        clearLogs();
-      } else {
-        alert('加入数据流失败: ' + data.error);
-        state.cryptoKey = null;
-        state.currentPassword = null;
+      const pending = state.pendingJoins.get(data.streamId);
+      state.pendingJoins.delete(data.streamId);
+
+      if (!data.success) {
+        if (pending && pending.rejoin) {
+          removeStreamView(data.streamId);
+        }
+        reportError('加入数据流失败', data);
+        return;
       }
+
+      if (!pending || !pending.encKey) return;
+
+      // 会话过期后自动重新加入时保留已显示的日志，只重新跟踪序号
+      const rejoined = pending.rejoin && state.streams.has(data.streamId);
+      const view = rejoined
+        ? state.streams.get(data.streamId)
+        : createStreamView(data.streamId, data.streamName);
+
+      view.keyring = new Map();
+      applyEpoch(view, data.epoch, pending.encKey);
+      view.password = pending.password;
+      view.isOwner = data.isOwner;
+      view.role = data.role;
+      view.muted = data.muted;
+      view.approval = data.approval;
+      console.log('[界面] 已加入数据流:', data.streamId);
+
+      if (rejoined) {
+        view.seq = { last: 0, missing: new Set() };
+        updateStreamControls();
+        return;
+      }
+
+      // 数据流开启了历史时回填最近的消息
+      view.history = data.retention ? { cursor: null, hasMore: true, loading: false } : null;
+      state.streams.set(view.streamId, view);
+      switchStream(view.streamId);
+      loadMoreHistory(view);
     });
 
-    LogSocket.on('onStreamLeft', () => {
-      state.streamId = null;
-      state.streamName = null;
-      state.cryptoKey = null;
-      elements.btnConnect.textContent = '加入';
-      updateNodeCount(0);
+    LogSocket.on('onInviteCreated', (data) => {
+      const view = state.streams.get(data.streamId);
+      if (!data.success) {
+        reportError('生成邀请失败', data);
+        return;
+      }
+      if (!view || data.streamId !== state.activeStreamId) return;
+
+      // 访问密钥只写入链接片段，不发送给服务端
+      const link = LogSocket.buildInviteLink(data.token, view.password);
+      elements.inviteLink.value = link;
+      elements.inviteLink.classList.remove('hidden');
+      elements.inviteLink.select();
+
+      if (navigator.clipboard) {
+        navigator.clipboard.writeText(link);
+        console.log('[界面] 邀请链接已复制到剪贴板');
+      }
+
+      LogSocket.listInvites(view.streamId);
     });
 
-    LogSocket.on('onLogReceived', (data) => {
-      const log = {
-        id: generateId(),
-        timestamp: data.timestamp,
+    LogSocket.on('onInvitesListed', (data) => {
+      if (data.streamId !== state.activeStreamId || elements.invitePanel.classList.contains('hidden')) {
+        return;
+      }
+
+      if (!data.success) {
+        reportError('获取邀请列表失败', data);
+        return;
+      }
+      renderInvites(data.invites);
+    });
+
+    LogSocket.on('onInviteRevoked', (data) => {
+      if (!data.success) {
+        reportError('撤销邀请失败', data);
+      }
+      if (data.streamId === state.activeStreamId) {
+        LogSocket.listInvites(data.streamId);
+      }
+    });
+
+    LogSocket.on('onTokenCreated', (data) => {
+      if (!data.success) {
+        reportError('生成写入令牌失败', data);
+        return;
+      }
+      if (data.streamId !== state.activeStreamId) return;
+
+      // 服务端只保存令牌的哈希，关闭面板后无法再次查看
+      elements.tokenValue.value = data.token;
+      elements.tokenValue.classList.remove('hidden');
+      elements.tokenValue.select();
+      elements.tokenNode.textContent = `节点 ID: ${data.writeToken.nodeId}（加密消息时使用）`;
+      elements.tokenNode.classList.remove('hidden');
+      elements.tokenLabel.value = '';
+
+      if (navigator.clipboard) {
+        navigator.clipboard.writeText(data.token);
+        console.log('[界面] 写入令牌已复制到剪贴板');
+      }
+
+      LogSocket.listWriteTokens(data.streamId);
+    });
+
+    LogSocket.on('onTokensListed', (data) => {
+      if (data.streamId !== state.activeStreamId || elements.invitePanel.classList.contains('hidden')) {
+        return;
+      }
+
+      if (!data.success) {
+        reportError('获取写入令牌失败', data);
+        return;
+      }
+      renderWriteTokens(data.tokens);
+    });
+
+    LogSocket.on('onTokenRevoked', (data) => {
+      if (!data.success) {
+        reportError('撤销写入令牌失败', data);
+      }
+      if (data.streamId === state.activeStreamId) {
+        LogSocket.listWriteTokens(data.streamId);
+      }
+    });
+
+    // 加入申请等待审批：保留 pendingJoins，审批结果仍通过 onStreamJoined 返回
+    LogSocket.on('onJoinPending', (data) => {
+      console.log('[界面] 等待管理员审批加入:', data.streamId);
+      alert(`已向数据流 ${data.streamName} 提交加入申请，` +
+        `请等待创建者或管理员核对你的身份指纹 ${state.identity.fingerprint} 后允许`);
+    });
+
+    LogSocket.on('onKnock', (data) => {
+      const view = state.streams.get(data.streamId);
+      if (!view) return;
+
+      view.knocks.set(data.knockId, {
         nodeId: data.nodeId,
-        level: data.level,
-        payload: data.payload
+        fingerprint: data.fingerprint,
+        expiresAt: data.expiresAt
+      });
+      console.log('[界面] 收到加入申请:', data.streamId, data.nodeId);
+
+      if (data.streamId === state.activeStreamId) {
+        renderKnocks();
+      }
+      renderStreamSelect();
+    });
+
+    // 申请已被处理（本机或其他管理员）、超时或被请求者取消
+    LogSocket.on('onKnockClosed', (data) => {
+      const view = state.streams.get(data.streamId);
+      if (!view || !view.knocks.delete(data.knockId)) return;
+
+      if (data.streamId === state.activeStreamId) {
+        renderKnocks();
+      }
+      renderStreamSelect();
+    });
+
+    LogSocket.on('onKnockAnswered', (data) => {
+      if (!data.success) {
+        reportError('处理加入申请失败', data);
+      }
+    });
+
+    LogSocket.on('onApprovalChanged', (data) => {
+      const view = state.streams.get(data.streamId);
+      if (!data.success) {
+        reportError('设置加入审批失败', data);
+      } else if (view) {
+        view.approval = data.required;
+      }
+      if (view && data.streamId === state.activeStreamId) {
+        elements.approvalRequired.checked = view.approval;
+      }
+    });
+
+    LogSocket.on('onJoinFailures', (data) => {
+      const view = state.streams.get(data.streamId);
+      if (!view) return;
+
+      alert(`警告：有人已 ${data.failures} 次以错误的访问密钥尝试加入数据流 ${view.streamName}` +
+        (data.locked ? '，服务端已暂时锁定猜错过密钥的客户端' : '') +
+        '。如访问密钥较弱，建议轮换密钥。');
+    });
+
+    // 离开单个数据流，或断开前离开所有数据流（streamId 为 null）
+    LogSocket.on('onStreamLeft', (data) => {
+      const streamIds = data.streamId ? [data.streamId] : Array.from(state.streams.keys());
+      streamIds.forEach(removeStreamView);
+    });
+
+    LogSocket.on('onStreamDeleted', (data) => {
+      if (!data.success) {
+        reportError('删除数据流失败', data);
+      }
+    });
+
+    LogSocket.on('onStreamClosed', (data) => {
+      const reasons = {
+        deleted: '数据流已被创建者删除',
+        expired: '数据流已过期',
+        idle: '数据流因长时间无人在线已被回收',
+        closed: '数据流已被服务器管理员关闭'
       };
-      addLog(log);
+
+      const view = state.streams.get(data.streamId);
+      if (!view) {
+        return;
+      }
+
+      removeStreamView(data.streamId);
+      console.log('[界面] 数据流已关闭:', data.streamId, data.reason);
+
+      // 创建者主动删除时无需提示
+      if (!(view.isOwner && data.reason === 'deleted')) {
+        alert(`${view.streamName}: ` + (reasons[data.reason] || '数据流已关闭'));
+      }
+    });
+
+    LogSocket.on('onModerated', (data) => {
+      const view = state.streams.get(data.streamId);
+      if (!view) return;
+
+      const by = data.by || '管理员';
+      const name = view.streamName;
+
+      switch (data.action) {
+        case 'kick':
+          removeStreamView(data.streamId);
+          alert(`你已被 ${by} 移出数据流 ${name}`);
+          break;
+        case 'ban':
+          removeStreamView(data.streamId);
+          alert(`你已被 ${by} 封禁，无法再加入数据流 ${name}`);
+          break;
+        case 'mute':
+          alert(`你已被 ${by} 在数据流 ${name} 中禁言`);
+          break;
+        case 'unmute':
+          alert(`${by} 已解除你在数据流 ${name} 中的禁言`);
+          break;
+        case 'role':
+          alert(data.role === 'admin'
+            ? `你已被 ${by} 设为数据流 ${name} 的管理员`
+            : `${by} 取消了你在数据流 ${name} 的管理员权限`);
+          break;
+      }
     });
 
-    LogSocket.on('onNodeListUpdated', (nodes) => {
-      state.nodes = nodes;
-      updateNodeCount(nodes.length);
+    LogSocket.on('onModerationResult', (data) => {
+      if (!data.success) {
+        reportError('操作失败', data);
+      }
+    });
+
+    LogSocket.on('onKeyRotated', (data) => {
+      const view = state.streams.get(data.streamId);
+      const rotation = view && view.pendingRotation;
+      if (view) {
+        view.pendingRotation = null;
+      }
+
+      if (data.success && rotation) {
+        applyEpoch(view, data.epoch, rotation.encKey);
+        view.password = rotation.password;
+        console.log('[界面] 密钥已轮换至纪元', data.epoch);
+
+        // 服务端已作废携带旧访问密钥的邀请
+        if (data.streamId === state.activeStreamId) {
+          closeInvitePanel();
+        }
+      } else if (!data.success) {
+        reportError('密钥轮换失败', data);
+      }
+    });
+
+    LogSocket.on('onRekey', async (data) => {
+      const view = state.streams.get(data.streamId);
+      if (!view) return;
+
+      const secret = data.wrapped && view.cryptoKey
+        ? await LogCrypto.unwrapSecret(data.wrapped, view.cryptoKey, state.identity)
+        : null;
+
+      if (!secret) {
+        alert(`数据流 ${view.streamName} 的密钥已被创建者轮换，请向创建者获取新的访问密钥后重新加入`);
+        return;
+      }
+
+      try {
+        const keys = await LogCrypto.deriveKeys(secret, data.kdf);
+        applyEpoch(view, data.epoch, keys.encKey);
+        view.password = secret;
+        console.log('[界面] 已接收新密钥，纪元', data.epoch);
+      } catch (error) {
+        console.error('[界面] 密钥派生失败:', error);
+      }
+    });
+
+    LogSocket.on('onLogReceived', (data) => {
+      receiveQueue = receiveQueue.then(() => receiveLog(data));
+    });
+
+    LogSocket.on('onDirectReceived', (data) => {
+      receiveQueue = receiveQueue.then(() => receiveDirect(data));
+    });
+
+    LogSocket.on('onHistoryLoaded', (data) => {
+      receiveQueue = receiveQueue.then(() => receiveHistory(data));
+    });
+
+    // 本机掩护消息不回显，但占用的序号需要记录
+    LogSocket.on('onCoverSent', (result) => {
+      const view = state.streams.get(result.streamId);
+      if (view) {
+        receiveQueue = receiveQueue.then(() => acceptSeq(view, result.seq));
+      }
+    });
+
+    LogSocket.on('onChunkReceived', receiveChunk);
+
+    LogSocket.on('onChunkAborted', (data) => {
+      const view = state.streams.get(data.streamId);
+      if (view) {
+        failTransfer(view, transferKey(data.nodeId, data.transferId));
+      }
+    });
+
+    LogSocket.on('onNodeListUpdated', (data) => {
+      const view = state.streams.get(data.streamId);
+      if (!view) return;
+
+      view.nodes = data.nodes;
+
+      // 私信对象离开后恢复为发给整个数据流
+      if (view.directTo && !data.nodes.some(n => n.nodeId === view.directTo)) {
+        view.directTo = null;
+      }
+
+      // 角色与禁言状态可能被管理员修改
+      const self = data.nodes.find(n => n.nodeId === state.nodeId);
+      if (self) {
+        view.role = self.role;
+        view.muted = self.muted;
+        // 被取消管理员后不再处理加入申请
+        if (self.role === 'member' && view.knocks.size > 0) {
+          view.knocks.clear();
+          renderStreamSelect();
+        }
+      }
+
+      if (data.streamId === state.activeStreamId) {
+        updateNodeCount(data.nodes.length);
+        updateInputState();
+        renderParticipants();
+        renderKnocks();
+      }
+    });
+
+    // 被限流：暂停发送并在输入框提示，到期后自动恢复
+    let rateLimitTimer = null;
+    LogSocket.on('onRateLimited', (info) => {
+      state.rateLimitedUntil = Math.max(state.rateLimitedUntil, Date.now() + info.retryAfter);
+      updateInputState();
+
+      clearInterval(rateLimitTimer);
+      rateLimitTimer = setInterval(() => {
+        updateInputState();
+        if (Date.now() >= state.rateLimitedUntil) {
+          clearInterval(rateLimitTimer);
+          rateLimitTimer = null;
+        }
+      }, 1000);
     });
 
     LogSocket.on('onError', (error) => {
@@ -499,13 +2413,13 @@
       elements.settingsPanel.classList.add('hidden');
     });
 
+    // 点击关闭面板内的错误提示
+    elements.notice.addEventListener('click', hideNotice);
+
     // 连接按钮
     elements.btnConnect.addEventListener('click', () => {
-      if (state.streamId) {
-        // 已加入数据流，离开
-        LogSocket.leaveStream();
-      } else if (state.connected) {
-        // 已连接但未加入，显示加入模态框
+      if (state.connected) {
+        // 已连接，显示加入模态框（可同时加入多个数据流）
         showModal('join');
       } else {
         // 未连接，连接服务器
@@ -513,6 +2427,49 @@
       }
     });
 
+    // 离开当前显示的数据流
+    elements.btnLeave.addEventListener('click', () => {
+      if (state.activeStreamId) {
+        LogSocket.leaveStream(state.activeStreamId);
+      }
+    });
+
+    // 轮换密钥按钮（仅创建者可见）
+    elements.btnRotate.addEventListener('click', () => {
+      showModal('rotate');
+    });
+
+    // 邀请（仅创建者可见）
+    elements.btnInvite.addEventListener('click', toggleInvitePanel);
+    elements.btnInviteCreate.addEventListener('click', createInvite);
+    elements.inviteList.addEventListener('click', handleInviteAction);
+    elements.inviteLink.addEventListener('focus', () => elements.inviteLink.select());
+    elements.btnTokenCreate.addEventListener('click', createWriteToken);
+    elements.tokenList.addEventListener('click', handleWriteTokenAction);
+    elements.tokenValue.addEventListener('focus', () => elements.tokenValue.select());
+    elements.approvalRequired.addEventListener('change', () => {
+      if (state.activeStreamId) {
+        LogSocket.setApprovalRequired(state.activeStreamId, elements.approvalRequired.checked);
+      }
+    });
+
+    // 加入申请（创建者与管理员）
+    elements.knockList.addEventListener('click', handleKnockAction);
+
+    // 成员列表
+    elements.nodeCount.addEventListener('click', () => {
+      elements.participantsPanel.classList.toggle('hidden');
+    });
+    elements.participantList.addEventListener('click', handleParticipantAction);
+
+    // 删除数据流按钮（仅创建者可见）
+    elements.btnDelete.addEventListener('click', () => {
+      const view = activeView();
+      if (view && confirm(`删除后所有成员将被移出，且无法恢复。确定删除数据流 ${view.streamName}？`)) {
+        LogSocket.deleteStream(view.streamId);
+      }
+    });
+
     // 创建数据流按钮
     elements.btnCreate.addEventListener('click', () => {
       if (!state.connected) {
@@ -531,11 +2488,21 @@
       }
     });
 
+    // 掩护流量开关（按数据流记忆）
+    elements.coverTraffic.addEventListener('change', toggleCoverTraffic);
+
     // 过滤器
     elements.filterInput.addEventListener('input', rerenderLogs);
     elements.levelFilter.addEventListener('change', rerenderLogs);
     elements.btnClear.addEventListener('click', clearLogs);
 
+    // 滚动到顶部时加载更早的历史
+    elements.logContainer.addEventListener('scroll', () => {
+      if (elements.logContainer.scrollTop < 20) {
+        loadMoreHistory();
+      }
+    });
+
     // 发送消息
     elements.btnSend.addEventListener('click', sendMessage);
     elements.messageInput.addEventListener('keydown', (e) => {
@@ -545,19 +2512,29 @@
       }
     });
 
-    // 下拉框选择数据流
-    elements.streamSelect.addEventListener('change', () => {
-      if (elements.streamSelect.value && state.connected && !state.streamId) {
-        showModal('join');
-        elements.streamId.value = elements.streamSelect.value;
+    // 附件
+    elements.btnAttach.addEventListener('click', () => {
+      elements.fileInput.click();
+    });
+    elements.fileInput.addEventListener('change', () => {
+      const file = elements.fileInput.files[0];
+      elements.fileInput.value = '';
+      if (file) {
+        sendAttachment(file);
       }
     });
+
+    // 下拉框切换显示的数据流
+    elements.streamSelect.addEventListener('change', () => {
+      switchStream(elements.streamSelect.value);
+    });
   }
 
   // ========== 初始化 ==========
 
   async function init() {
     await loadSettings();
+    await loadIdentity();
     setupSocketCallbacks();
     bindEvents();
 
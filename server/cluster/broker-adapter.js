@@ -0,0 +1,99 @@
+/**
+ * LogTrace Panel - 基于本地消息代理的 Socket.IO 适配器
+ *
+ * 房间广播、跨实例 fetchSockets / serverSideEmit 等由 ClusterAdapterWithHeartbeat 实现，
+ * 这里只负责通过代理收发集群消息；与代理断开后自动重连，断开期间的消息丢弃
+ */
+
+const net = require('net');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+const { encodeFrame, createFrameReader } = require('./protocol');
+
+const RECONNECT_DELAY = 1000;
+
+class BrokerAdapter extends ClusterAdapterWithHeartbeat {
+  /**
+   * @param {Namespace} nsp
+   * @param {{host: string, port: number}} broker
+   * @param {Object} [options] - 心跳参数，见 ClusterAdapterOptions
+   */
+  constructor(nsp, broker, options = {}) {
+    super(nsp, options);
+    this.broker = broker;
+    this.connection = null;
+    this.closed = false;
+    this.connect();
+  }
+
+  connect() {
+    const connection = net.connect(this.broker.port, this.broker.host);
+    const read = createFrameReader((frame) => {
+      if (frame.message && frame.message.nsp !== this.nsp.name) return;
+      if (frame.response && frame.response.nsp !== this.nsp.name) return;
+
+      if (frame.type === 'message') {
+        this.onMessage(frame.message);
+      } else if (frame.type === 'response') {
+        this.onResponse(frame.response);
+      }
+    });
+
+    connection.on('connect', () => {
+      connection.write(encodeFrame({ type: 'hello', uid: this.uid }));
+      console.log(`[CLUSTER] Connected to broker ${this.broker.host}:${this.broker.port}`);
+    });
+
+    connection.on('data', read);
+
+    connection.on('error', (error) => {
+      console.error('[CLUSTER] Broker error:', error.message);
+    });
+
+    connection.on('close', () => {
+      this.connection = null;
+      if (!this.closed) {
+        setTimeout(() => this.connect(), RECONNECT_DELAY).unref();
+      }
+    });
+
+    this.connection = connection;
+  }
+
+  send(frame) {
+    if (this.connection && !this.connection.connecting) {
+      this.connection.write(encodeFrame(frame));
+    }
+  }
+
+  doPublish(message) {
+    this.send({ type: 'publish', message });
+    return Promise.resolve('');
+  }
+
+  doPublishResponse(requesterUid, response) {
+    this.send({ type: 'response', to: requesterUid, response });
+    return Promise.resolve();
+  }
+
+  close() {
+    super.close();
+    this.closed = true;
+    if (this.connection) this.connection.end();
+  }
+}
+
+/**
+ * 创建适配器工厂，用于 io.adapter()
+ * @param {string} url - 代理地址，如 tcp://127.0.0.1:4100
+ * @param {Object} [options] - 心跳参数
+ */
+function createBrokerAdapter(url, options) {
+  const { hostname, port } = new URL(url);
+  const broker = { host: hostname, port: parseInt(port, 10) || 4100 };
+
+  return function (nsp) {
+    return new BrokerAdapter(nsp, broker, options);
+  };
+}
+
+module.exports = { createBrokerAdapter };
@@ -0,0 +1,79 @@
+/**
+ * LogTrace Panel - 本地消息代理
+ *
+ * 供多个中继实例在本机或内网共享房间，作为 Redis 等消息服务的简易替代：
+ * - { type: 'hello', uid }               实例注册
+ * - { type: 'publish', message }         转发给其他所有实例
+ * - { type: 'response', to, response }   转发给指定实例
+ *
+ * 单独运行：node cluster/broker.js（端口由 BROKER_PORT 指定，默认 4100）
+ */
+
+const net = require('net');
+const { encodeFrame, createFrameReader } = require('./protocol');
+
+/**
+ * 创建代理服务器（尚未监听）
+ * @returns {net.Server}
+ */
+function createBroker() {
+  // Map<uid, net.Socket>
+  const peers = new Map();
+
+  return net.createServer((connection) => {
+    let uid = null;
+
+    const read = createFrameReader((frame) => {
+      switch (frame.type) {
+        case 'hello':
+          uid = frame.uid;
+          peers.set(uid, connection);
+          console.log(`[BROKER] ${uid} connected (${peers.size} peers)`);
+          break;
+
+        case 'publish': {
+          const data = encodeFrame({ type: 'message', message: frame.message });
+          for (const [peerUid, peer] of peers) {
+            if (peerUid !== uid) peer.write(data);
+          }
+          break;
+        }
+
+        case 'response': {
+          const peer = peers.get(frame.to);
+          if (peer) peer.write(encodeFrame({ type: 'response', response: frame.response }));
+          break;
+        }
+      }
+    });
+
+    connection.on('data', (chunk) => {
+      try {
+        read(chunk);
+      } catch (error) {
+        console.error('[BROKER] Invalid frame:', error.message);
+        connection.destroy();
+      }
+    });
+
+    connection.on('error', () => {});
+
+    connection.on('close', () => {
+      if (uid && peers.get(uid) === connection) {
+        peers.delete(uid);
+        console.log(`[BROKER] ${uid} disconnected (${peers.size} peers)`);
+      }
+    });
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.BROKER_PORT, 10) || 4100;
+  const host = process.env.BROKER_HOST || '127.0.0.1';
+
+  createBroker().listen(port, host, () => {
+    console.log(`[BROKER] Listening on ${host}:${port}`);
+  });
+}
+
+module.exports = { createBroker };
@@ -0,0 +1,28 @@
+/**
+ * LogTrace Panel - Socket.IO 适配器选择
+ *
+ * ADAPTER=memory   单实例（默认）
+ * ADAPTER=broker   通过本地消息代理（cluster/broker.js）在多个实例间共享房间
+ * ADAPTER=<路径>   自定义模块，导出 createAdapter(config) 并返回 io.adapter() 可用的适配器，
+ *                  例如包装 @socket.io/redis-adapter
+ */
+
+const path = require('path');
+const { createBrokerAdapter } = require('./broker-adapter');
+
+/**
+ * @param {Object} config - loadConfig() 的结果
+ * @returns {Function|null} - 适配器；单实例时返回 null
+ */
+function createAdapter(config) {
+  switch (config.ADAPTER) {
+    case 'memory':
+      return null;
+    case 'broker':
+      return createBrokerAdapter(config.BROKER_URL);
+    default:
+      return require(path.resolve(config.ADAPTER)).createAdapter(config);
+  }
+}
+
+module.exports = { createAdapter };
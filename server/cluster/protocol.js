@@ -0,0 +1,38 @@
+/**
+ * LogTrace Panel - 消息代理的帧格式
+ *
+ * 每帧为 4 字节长度（大端）+ v8.serialize 的内容，可直接传输 Buffer 形式的密文
+ */
+
+const v8 = require('v8');
+
+function encodeFrame(message) {
+  const body = v8.serialize(message);
+  const header = Buffer.alloc(4);
+  header.writeUInt32BE(body.length);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * 从 TCP 数据流中切分帧
+ * @param {Function} onMessage - 每解析出一帧调用一次
+ * @returns {Function} - 传入收到的数据块
+ */
+function createFrameReader(onMessage) {
+  let buffer = Buffer.alloc(0);
+
+  return (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    while (buffer.length >= 4) {
+      const length = buffer.readUInt32BE(0);
+      if (buffer.length < 4 + length) break;
+
+      const body = buffer.subarray(4, 4 + length);
+      buffer = buffer.subarray(4 + length);
+      onMessage(v8.deserialize(body));
+    }
+  };
+}
+
+module.exports = { encodeFrame, createFrameReader };
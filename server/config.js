@@ -0,0 +1,140 @@
+/**
+ * LogTrace Panel - 服务端配置
+ *
+ * 所有可调参数都从环境变量（及 .env）读取
+ * 管理接口 POST /admin/reload 会重新调用 loadConfig()
+ */
+
+const os = require('os');
+
+// 修改后需要重启才能生效的配置（监听端口、CORS、存储后端、集群设置、Socket.IO 数据包上限）
+const RESTART_REQUIRED = [
+  'PORT',
+  'CORS_ORIGIN',
+  'HISTORY_STORE',
+  'HISTORY_DIR',
+  'STREAM_STORE',
+  'STREAM_DIR',
+  'STREAM_SECRET',
+  'INSTANCE_ID',
+  'ADAPTER',
+  'BROKER_URL',
+  'MAX_PAYLOAD_BYTES',
+  'MAX_CHUNK_BYTES'
+];
+
+/**
+ * 读取整数配置；未设置或无法解析时使用默认值（0 是有效值，如 JOIN_FREE_ATTEMPTS=0）
+ */
+function int(env, name, fallback) {
+  const value = parseInt(env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * 读取限流配置：RATE_<NAME>_PER_MIN / RATE_<NAME>_BURST
+ */
+function rateLimit(env, name, perMinute, burst) {
+  return {
+    perMinute: int(env, `RATE_${name}_PER_MIN`, perMinute),
+    burst: int(env, `RATE_${name}_BURST`, burst)
+  };
+}
+
+/**
+ * 从环境变量构建配置
+ * @param {Object} [env=process.env]
+ * @returns {Object}
+ */
+function loadConfig(env = process.env) {
+  return {
+    PORT: env.PORT || 3000,
+    CORS_ORIGIN: env.CORS_ORIGIN || '*',
+    // 部署在反向代理之后时，从 X-Forwarded-For 读取客户端 IP
+    TRUST_PROXY: env.TRUST_PROXY === 'true',
+    // 管理接口令牌，未设置时管理接口关闭
+    ADMIN_TOKEN: env.ADMIN_TOKEN || null,
+    // /metrics 令牌，未设置时指标公开
+    METRICS_TOKEN: env.METRICS_TOKEN || null,
+
+    // 访问密钥验证失败的处理：超过免费次数后指数延迟，达到阈值后临时锁定
+    JOIN_FAILURE_WINDOW: int(env, 'JOIN_FAILURE_WINDOW', 15 * 60 * 1000),
+    JOIN_BASE_DELAY: int(env, 'JOIN_BASE_DELAY', 1000),
+    JOIN_MAX_DELAY: int(env, 'JOIN_MAX_DELAY', 60 * 1000),
+    JOIN_CLIENT_POLICY: {
+      freeAttempts: int(env, 'JOIN_FREE_ATTEMPTS', 3),
+      lockoutThreshold: int(env, 'JOIN_LOCKOUT_THRESHOLD', 10),
+      lockoutDuration: int(env, 'JOIN_LOCKOUT_DURATION', 15 * 60 * 1000)
+    },
+    // 针对同一 Stream 的分布式猜测（多个 IP），只作用于自身也有失败记录的客户端
+    JOIN_STREAM_POLICY: {
+      freeAttempts: int(env, 'JOIN_STREAM_FREE_ATTEMPTS', 10),
+      lockoutThreshold: int(env, 'JOIN_STREAM_LOCKOUT_THRESHOLD', 50),
+      lockoutDuration: int(env, 'JOIN_STREAM_LOCKOUT_DURATION', 5 * 60 * 1000)
+    },
+    // Stream 累计失败达到该次数时通知成员（同一 Stream 两次通知至少间隔 JOIN_NOTIFY_INTERVAL）
+    JOIN_NOTIFY_THRESHOLD: int(env, 'JOIN_NOTIFY_THRESHOLD', 5),
+    JOIN_NOTIFY_INTERVAL: int(env, 'JOIN_NOTIFY_INTERVAL', 5 * 60 * 1000),
+
+    // Stream 生命周期：最后一个节点离开后的回收延迟、可设置的最长有效期、总数上限
+    STREAM_IDLE_TIMEOUT: int(env, 'STREAM_IDLE_TIMEOUT', 10 * 60 * 1000),
+    STREAM_MAX_TTL: int(env, 'STREAM_MAX_TTL', 7 * 24 * 60 * 60 * 1000),
+    MAX_STREAMS: int(env, 'MAX_STREAMS', 10000),
+
+    // 附件分块转发限制
+    MAX_CHUNK_BYTES: int(env, 'MAX_CHUNK_BYTES', 96 * 1024),
+    MAX_TRANSFER_CHUNKS: int(env, 'MAX_TRANSFER_CHUNKS', 128),
+    MAX_CONCURRENT_TRANSFERS: int(env, 'MAX_CONCURRENT_TRANSFERS', 2),
+    TRANSFER_TIMEOUT: int(env, 'TRANSFER_TIMEOUT', 30 * 1000),
+
+    // 会话恢复：连接断开后保留节点 ID 与成员身份的宽限期，以及期间缓冲的消息条数上限
+    SESSION_GRACE: int(env, 'SESSION_GRACE', 30 * 1000),
+    SESSION_REPLAY_MAX: int(env, 'SESSION_REPLAY_MAX', 200),
+
+    // 单条日志的最大长度、每个连接最多同时拥有的 Stream 数与同时加入的 Stream 数
+    MAX_PAYLOAD_BYTES: int(env, 'MAX_PAYLOAD_BYTES', 64 * 1024),
+    MAX_STREAMS_PER_CONNECTION: int(env, 'MAX_STREAMS_PER_CONNECTION', 5),
+    MAX_JOINED_STREAMS: int(env, 'MAX_JOINED_STREAMS', 8),
+
+    // 邀请：可设置的最长有效期、最多使用次数，以及每个 Stream 同时有效的邀请数
+    INVITE_MAX_TTL: int(env, 'INVITE_MAX_TTL', 7 * 24 * 60 * 60 * 1000),
+    INVITE_MAX_USES: int(env, 'INVITE_MAX_USES', 100),
+    MAX_INVITES_PER_STREAM: int(env, 'MAX_INVITES_PER_STREAM', 20),
+
+    // 写入令牌：每个 Stream 同时有效的令牌数
+    MAX_WRITE_TOKENS_PER_STREAM: int(env, 'MAX_WRITE_TOKENS_PER_STREAM', 10),
+
+    // 需要审批的 Stream：加入请求等待审批的时长，以及每个 Stream 同时等待的请求数
+    KNOCK_TIMEOUT: int(env, 'KNOCK_TIMEOUT', 5 * 60 * 1000),
+    MAX_PENDING_KNOCKS: int(env, 'MAX_PENDING_KNOCKS', 20),
+
+    // 令牌桶限流：socket 为单个连接，ip 为同一 IP 的所有连接
+    RATE_LIMITS: {
+      message: { socket: rateLimit(env, 'MESSAGE', 300, 30), ip: rateLimit(env, 'IP_MESSAGE', 1200, 120) },
+      bytes: { socket: rateLimit(env, 'BYTES', 16 * 1024 * 1024, 2 * 1024 * 1024) },
+      join: { socket: rateLimit(env, 'JOIN', 20, 5), ip: rateLimit(env, 'IP_JOIN', 60, 15) },
+      create: { socket: rateLimit(env, 'CREATE', 6, 3), ip: rateLimit(env, 'IP_CREATE', 20, 10) }
+    },
+
+    // Stream 记录与在线成员的存储；多实例部署时各实例需共享同一存储
+    STREAM_STORE: env.STREAM_STORE || 'memory',
+    STREAM_DIR: env.STREAM_DIR || './data/streams',
+    // 加密存储中 Stream 认证密钥的服务端密钥；未设置时认证密钥以明文保存
+    // 设置后不能更换，否则已保存的 Stream 无法恢复
+    STREAM_SECRET: env.STREAM_SECRET || null,
+    // 实例标识，重启后应保持不变（用于清理上次运行留下的成员记录）
+    INSTANCE_ID: env.INSTANCE_ID || `${os.hostname()}-${env.PORT || 3000}`,
+    // Socket.IO 适配器：memory | broker | 自定义模块路径
+    ADAPTER: env.ADAPTER || 'memory',
+    BROKER_URL: env.BROKER_URL || 'tcp://127.0.0.1:4100',
+
+    // 密文历史（按 Stream 选择开启）
+    HISTORY_STORE: env.HISTORY_STORE || 'memory',
+    HISTORY_DIR: env.HISTORY_DIR || './data/history',
+    HISTORY_MAX_TTL: int(env, 'HISTORY_MAX_TTL', 24 * 60 * 60 * 1000),
+    HISTORY_MAX_COUNT: int(env, 'HISTORY_MAX_COUNT', 1000),
+    HISTORY_PAGE_SIZE: int(env, 'HISTORY_PAGE_SIZE', 50)
+  };
+}
+
+module.exports = { loadConfig, RESTART_REQUIRED };
@@ -0,0 +1,93 @@
+/**
+ * LogTrace Panel - 错误码
+ *
+ * 所有 Socket 事件的失败结果形如 { success: false, error, code, ... }：
+ * - code 为稳定的错误码，客户端按错误码处理并显示本地化提示（见 extension/lib/socket.js）
+ * - error 为对应的英文说明，仅用于日志与调试，措辞可能调整
+ * 错误码只增不改；附加字段（retryAfter、field 等）见各事件说明
+ */
+
+const ERRORS = {
+  // 通用
+  invalid_payload: 'Invalid payload',           // 未通过结构校验，附带 field 与 reason
+  unknown_event: 'Unknown event',
+  rate_limited: 'Rate limited',                 // 附带 retryAfter（毫秒）
+  storage_unavailable: 'Storage unavailable',
+  not_joined: 'Not connected to any stream',
+  permission_denied: 'Permission denied',
+  owner_only: 'Only the stream owner can do this',
+
+  // 创建 Stream
+  invalid_auth_key: 'Invalid auth key',
+  invalid_kdf: 'Invalid KDF parameters',
+  invalid_expiry: 'Invalid expiry',
+  too_many_streams: 'Too many streams',
+  stream_quota_exceeded: 'Too many streams for this connection',
+
+  // 加入 Stream
+  stream_not_found: 'Stream not found',
+  too_many_joined_streams: 'Too many joined streams',
+  join_locked: 'Too many failed attempts',     // 附带 retryAfter（毫秒）
+  challenge_expired: 'Join challenge expired',
+  invalid_access_key: 'Invalid access key',
+  invalid_identity_proof: 'Invalid identity proof', // 加入或创建时的身份签名无效
+  banned: 'Banned from stream',
+  invite_invalid: 'Invalid invite',
+  too_many_knocks: 'Too many pending join requests',
+  join_declined: 'Join request declined',
+  knock_expired: 'Join request expired',
+  approval_unavailable: 'No moderator online to approve',
+
+  // 会话恢复
+  stream_closed: 'Stream closed',               // 附带 reason（同 stream:closed）
+  key_rotated: 'Key rotated',
+
+  // 管理与密钥轮换
+  node_not_found: 'Node not found',
+  cannot_moderate_self: 'Cannot moderate yourself',
+  invalid_key_params: 'Invalid key parameters',
+
+  // 邀请
+  invalid_invite_options: 'Invalid invite options',
+  too_many_invites: 'Too many invites',
+  invite_not_found: 'Invite not found',
+
+  // 写入令牌与 HTTP 写入
+  invalid_token: 'Invalid write token',
+  too_many_tokens: 'Too many write tokens',
+  token_not_found: 'Write token not found',
+
+  // 消息与私信
+  empty_payload: 'Empty payload',
+  payload_too_large: 'Payload too large',
+  stale_epoch: 'Stale key epoch',
+  muted: 'Muted',
+  recipient_not_found: 'Recipient not found',
+
+  // 历史
+  history_disabled: 'History disabled',
+  history_unavailable: 'History unavailable',
+
+  // 附件分块
+  invalid_chunk: 'Invalid chunk',
+  chunk_too_large: 'Chunk too large',
+  unknown_transfer: 'Unknown transfer',
+  too_many_transfers: 'Too many concurrent transfers',
+  out_of_order: 'Out of order chunk',
+  transfer_timeout: 'Transfer timed out'
+};
+
+/**
+ * 构造失败结果
+ * @param {string} code - ERRORS 中的错误码
+ * @param {Object} [extra] - 附加字段（streamId、retryAfter 等）
+ * @returns {{success: false, error: string, code: string}}
+ */
+function errorResult(code, extra = {}) {
+  if (!ERRORS[code]) {
+    throw new Error(`Unknown error code: ${code}`);
+  }
+  return { success: false, ...extra, error: ERRORS[code], code };
+}
+
+module.exports = { ERRORS, errorResult };
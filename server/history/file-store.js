@@ -0,0 +1,154 @@
+/**
+ * LogTrace Panel - 文件历史存储
+ *
+ * 每个 Stream 一个 JSON Lines 文件，payload 以 Base64 保存
+ * 首次访问时载入内存，追加写入文件；过期或超量时重写文件
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+class FileHistoryStore {
+  /**
+   * @param {{dir: string}} options - 历史文件目录
+   */
+  constructor({ dir }) {
+    this.dir = dir;
+    // Map<streamId, entry[]>，已载入的 Stream
+    this.cache = new Map();
+    // Map<streamId, Promise>，串行化同一 Stream 的文件写入
+    this.queues = new Map();
+  }
+
+  filePath(streamId) {
+    // streamId 为服务端生成的 UUID，这里仍做一次过滤防止路径穿越
+    return path.join(this.dir, streamId.replace(/[^a-zA-Z0-9-]/g, '') + '.jsonl');
+  }
+
+  /**
+   * 同一 Stream 的写操作排队执行
+   */
+  enqueue(streamId, task) {
+    const previous = this.queues.get(streamId) || Promise.resolve();
+    const next = previous.then(task, task);
+    this.queues.set(streamId, next.catch(() => {}));
+    return next;
+  }
+
+  async load(streamId) {
+    if (this.cache.has(streamId)) {
+      return this.cache.get(streamId);
+    }
+
+    let entries = [];
+    try {
+      const content = await fs.readFile(this.filePath(streamId), 'utf8');
+      entries = content
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+          const entry = JSON.parse(line);
+          entry.payload = Buffer.from(entry.payload, 'base64');
+          return entry;
+        });
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    // 并发载入时以先完成者为准
+    if (!this.cache.has(streamId)) {
+      this.cache.set(streamId, entries);
+    }
+    return this.cache.get(streamId);
+  }
+
+  serialize(entry) {
+    return JSON.stringify({ ...entry, payload: Buffer.from(entry.payload).toString('base64') }) + '\n';
+  }
+
+  async rewrite(streamId, entries) {
+    const file = this.filePath(streamId);
+
+    if (entries.length === 0) {
+      await fs.rm(file, { force: true });
+      return;
+    }
+
+    const tmp = file + '.tmp';
+    await fs.writeFile(tmp, entries.map(entry => this.serialize(entry)).join(''));
+    await fs.rename(tmp, file);
+  }
+
+  /**
+   * 追加一条记录，超出 maxCount 时丢弃最旧的记录
+   */
+  async append(streamId, entry, policy) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    return this.enqueue(streamId, async () => {
+      const entries = await this.load(streamId);
+      entries.push(entry);
+
+      if (entries.length > policy.maxCount) {
+        entries.splice(0, entries.length - policy.maxCount);
+        await this.rewrite(streamId, entries);
+      } else {
+        await fs.appendFile(this.filePath(streamId), this.serialize(entry));
+      }
+    });
+  }
+
+  /**
+   * 分页读取：返回 seq 小于 before 的最新 limit 条（升序）
+   */
+  async page(streamId, { before = Infinity, limit, now = Date.now() }) {
+    const entries = (await this.load(streamId))
+      .filter(entry => entry.seq < before && entry.expiresAt > now);
+
+    return {
+      entries: entries.slice(-limit),
+      hasMore: entries.length > limit
+    };
+  }
+
+  /**
+   * 清理所有过期记录（包括尚未载入内存的文件）
+   */
+  async prune(now = Date.now()) {
+    let files = [];
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const file of files) {
+      if (!file.endsWith('.jsonl')) continue;
+      const streamId = file.slice(0, -'.jsonl'.length);
+
+      await this.enqueue(streamId, async () => {
+        const entries = await this.load(streamId);
+        const alive = entries.filter(entry => entry.expiresAt > now);
+
+        if (alive.length !== entries.length) {
+          await this.rewrite(streamId, alive);
+        }
+
+        // 过期清理后不再常驻内存
+        this.cache.delete(streamId);
+      });
+    }
+  }
+
+  /**
+   * 删除某个 Stream 的全部历史
+   */
+  async purge(streamId) {
+    return this.enqueue(streamId, async () => {
+      this.cache.delete(streamId);
+      await fs.rm(this.filePath(streamId), { force: true });
+    });
+  }
+}
+
+module.exports = FileHistoryStore;
@@ -0,0 +1,32 @@
+/**
+ * LogTrace Panel - 历史存储
+ *
+ * 存储接口（所有方法返回 Promise）：
+ * - append(streamId, entry, { maxCount })   追加一条密文记录
+ * - page(streamId, { before, limit, now })  分页读取，返回 { entries, hasMore }
+ * - prune(now)                              清理过期记录
+ * - purge(streamId)                         删除某个 Stream 的全部历史
+ *
+ * entry: { id, seq, nodeId, payload: Buffer, level, keyId, timestamp, expiresAt }
+ */
+
+const MemoryHistoryStore = require('./memory-store');
+const FileHistoryStore = require('./file-store');
+
+/**
+ * 创建历史存储
+ * @param {string} type - 'memory' | 'file'
+ * @param {Object} options - file 类型需要 { dir }
+ */
+function createHistoryStore(type, options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryHistoryStore();
+    case 'file':
+      return new FileHistoryStore(options);
+    default:
+      throw new Error(`Unknown history store: ${type}`);
+  }
+}
+
+module.exports = { createHistoryStore };
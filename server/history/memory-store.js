@@ -0,0 +1,68 @@
+/**
+ * LogTrace Panel - 内存历史存储
+ *
+ * 仅保存客户端推送的不透明密文，进程重启后清空
+ */
+
+class MemoryHistoryStore {
+  constructor() {
+    // Map<streamId, entry[]>，entry 按 seq 升序排列
+    this.streams = new Map();
+  }
+
+  /**
+   * 追加一条记录，超出 maxCount 时丢弃最旧的记录
+   * @param {string} streamId
+   * @param {Object} entry - { id, seq, nodeId, payload, level, keyId, timestamp, expiresAt }
+   * @param {{maxCount: number}} policy
+   */
+  async append(streamId, entry, policy) {
+    let entries = this.streams.get(streamId);
+    if (!entries) {
+      entries = [];
+      this.streams.set(streamId, entries);
+    }
+
+    entries.push(entry);
+    if (entries.length > policy.maxCount) {
+      entries.splice(0, entries.length - policy.maxCount);
+    }
+  }
+
+  /**
+   * 分页读取：返回 seq 小于 before 的最新 limit 条（升序）
+   * @returns {Promise<{entries: Object[], hasMore: boolean}>}
+   */
+  async page(streamId, { before = Infinity, limit, now = Date.now() }) {
+    const entries = (this.streams.get(streamId) || [])
+      .filter(entry => entry.seq < before && entry.expiresAt > now);
+
+    return {
+      entries: entries.slice(-limit),
+      hasMore: entries.length > limit
+    };
+  }
+
+  /**
+   * 清理所有过期记录
+   */
+  async prune(now = Date.now()) {
+    for (const [streamId, entries] of this.streams) {
+      const alive = entries.filter(entry => entry.expiresAt > now);
+      if (alive.length === 0) {
+        this.streams.delete(streamId);
+      } else if (alive.length !== entries.length) {
+        this.streams.set(streamId, alive);
+      }
+    }
+  }
+
+  /**
+   * 删除某个 Stream 的全部历史
+   */
+  async purge(streamId) {
+    this.streams.delete(streamId);
+  }
+}
+
+module.exports = MemoryHistoryStore;
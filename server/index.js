@@ -2,286 +2,2956 @@
  * LogTrace Panel - Relay Server
  *
  * 职责：
- * - 管理 Stream（Channel）的创建与验证
+ * - 管理 Stream（Channel）的创建、验证与生命周期（过期、删除、空闲回收）
  * - 转发加密消息（不解密）
+ * - 按身份管理角色（owner/admin/member）与踢出、封禁、禁言
+ * - 按连接与 IP 限流，限制消息大小与每个连接创建的 Stream 数
+ * - 追踪访问密钥验证失败，按客户端与 Stream 施加指数延迟与临时锁定
  * - 维护在线节点列表
- * - 不存储任何消息历史
+ * - 连接意外断开后的宽限期内，凭会话令牌恢复节点 ID 与成员身份，并补发期间的消息
+ * - 默认不存储消息历史；创建者可选择按 Stream 保留密文历史（带 TTL）
+ * - 按声明的结构校验所有客户端事件（schema.js），失败结果统一携带错误码（errors.js）
+ * - 脚本与 CI 凭创建者签发的写入令牌通过 HTTP 推送已加密的日志（POST /streams/:id/logs）
  */
 
 require('dotenv').config();
+const crypto = require('crypto');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const { v4: uuidv4 } = require('uuid');
+const { createHistoryStore } = require('./history');
+const { createStreamStore } = require('./store');
+const { createAdapter } = require('./cluster');
+const { RateLimiter } = require('./rate-limit');
+const { SecretBox } = require('./secret-box');
+const { JoinGuard } = require('./join-guard');
+const { SessionRegistry } = require('./session');
+const { loadConfig, RESTART_REQUIRED } = require('./config');
+const { errorResult } = require('./errors');
+const { EVENT_SCHEMAS, INGEST_SCHEMA, validate, echoFields } = require('./schema');
+const { MetricsRegistry, EventLoopMonitor } = require('./metrics');
 
-const PORT = process.env.PORT || 3000;
-const CORS_ORIGIN = process.env.CORS_ORIGIN || '*';
+let config = loadConfig();
+
+// KDF 参数校验范围（参数由客户端生成，服务端只做存储与下发）
+const KDF_MIN_ITERATIONS = 100000;
+const KDF_MAX_ITERATIONS = 10000000;
+const KDF_HASHES = ['SHA-256', 'SHA-384', 'SHA-512'];
+
+// 加入挑战的有效期（毫秒）及每个连接最多同时持有的挑战数
+const JOIN_CHALLENGE_TTL = 30 * 1000;
+const MAX_PENDING_CHALLENGES = 16;
+
+const LOG_LEVELS = ['INFO', 'DEBUG', 'WARN', 'ERROR', 'TRACE'];
+
+const RATE_SWEEP_INTERVAL = 60 * 1000;
+const HISTORY_PRUNE_INTERVAL = 60 * 1000;
+
+// 事件循环延迟与每秒消息数的统计窗口
+const METRICS_WINDOW = 15 * 1000;
 
 // 创建 HTTP 服务器
 const httpServer = createServer((req, res) => {
   // 健康检查端点
   if (req.url === '/health') {
-    res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ status: 'ok', timestamp: Date.now() }));
+    sendJson(res, 200, { status: 'ok', timestamp: Date.now() });
+    return;
+  }
+
+  // 运行指标
+  if (req.url === '/metrics') {
+    handleMetricsRequest(req, res);
+    return;
+  }
+
+  // 管理接口
+  if (req.url === '/admin' || req.url.startsWith('/admin/')) {
+    handleAdminRequest(req, res).catch(error => {
+      console.error('[ADMIN] Request failed:', error.message);
+      sendJson(res, 500, { error: 'Internal error' });
+    });
+    return;
+  }
+
+  // HTTP 写入
+  if (req.url.startsWith('/streams/')) {
+    handleIngestRequest(req, res).catch(error => {
+      console.error('[INGEST] Request failed:', error.message);
+      sendJson(res, 500, { error: 'Internal error' });
+    });
     return;
   }
+
+  // 邀请链接在浏览器中打开时只给出提示：令牌由插件提交，链接片段中的访问密钥不会发送到服务端
+  if (req.url.startsWith('/invite/')) {
+    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end('LogTrace 邀请链接：请在 LogTrace 插件中点击「加入」并粘贴完整链接');
+    return;
+  }
+
   res.writeHead(200, { 'Content-Type': 'text/plain' });
   res.end('LogTrace Relay Server');
 });
 
-// 创建 Socket.IO 服务器
-const io = new Server(httpServer, {
-  cors: {
-    origin: CORS_ORIGIN === '*' ? '*' : CORS_ORIGIN.split(','),
-    methods: ['GET', 'POST']
-  }
-});
+// 多实例部署时通过适配器共享房间，单实例时为 null
+const adapter = createAdapter(config);
+
+// 创建 Socket.IO 服务器
+const io = new Server(httpServer, {
+  cors: {
+    origin: config.CORS_ORIGIN === '*' ? '*' : config.CORS_ORIGIN.split(','),
+    methods: ['GET', 'POST']
+  },
+  // 单个数据包上限：最大日志或附件分块加上元数据余量
+  maxHttpBufferSize: Math.max(config.MAX_PAYLOAD_BYTES, config.MAX_CHUNK_BYTES) + 16 * 1024
+});
+
+if (adapter) {
+  io.adapter(adapter);
+}
+
+/**
+ * 内存存储结构
+ *
+ * streams: Map<streamId, {
+ *   id: string,
+ *   name: string,
+ *   authKey: Buffer,            // HKDF 派生的认证密钥，仅用于校验 HMAC 应答
+ *   kdf: { version: 2, salt: string, iterations: number, hash: string } | { version: 1 }（仅升级前创建的 Stream）,
+ *   ownerIdentity: string | null, // 创建者身份（创建时验证签名），可轮换密钥、删除 Stream、任免管理员
+ *   admins: Set<identity>,      // 管理员身份，可踢出、封禁、禁言普通成员
+ *   bans: Set<identity>,        // 被封禁的身份，无法再加入
+ *   muted: Set<identity>,       // 被禁言的身份，无法推送日志
+ *   approval: boolean,          // 是否需要审批：新身份通过验证后等待管理员批准才加入
+ *   approved: Set<identity>,    // 已获批准的身份，之后重新加入无需再次审批（踢出、封禁时移除）
+ *   epoch: number,              // 当前密钥纪元，每次轮换递增
+ *   retention: { ttl: number, maxCount: number } | null,  // 密文历史策略，null 表示不保留
+ *   sendQueue: Promise,         // 串行化本实例上的消息分配序号与广播，保证按序号顺序转发
+ *   createdAt: number,
+ *   expiresAt: number | null,   // 创建时设置的过期时间，null 表示不过期
+ *   failureNoticeAt: number,    // 最近一次向成员发送加入失败通知的时间
+ *   expiryTimer: Timeout | null,
+ *   idleTimer: Timeout | null,  // 无节点时的回收定时器
+ *   nodes: Set<socketId>        // 本实例上的成员连接，全部成员见 streamStore.listMembers()
+ * }>
+ *
+ * nodeMap: Map<socketId, {
+ *   nodeId: string,
+ *   streams: Map<streamId, {     // 已加入的 Stream，一个连接可同时加入多个
+ *     exchangeKey: string | null, // ECDH 公钥，用于接收轮换后的密钥与私信
+ *     exchangeKeySig: string | null, // 身份密钥对交换公钥的签名，其他成员据此验证交换公钥
+ *     identityKey: string,        // 身份公钥（Base64 raw），随节点列表下发
+ *     identity: string,           // 身份公钥的 SHA-256（十六进制），加入时验证签名
+ *     fingerprint: string         // 身份指纹（与客户端显示格式一致）
+ *   }>
+ * }>
+ */
+const streams = new Map();
+const nodeMap = new Map();
+
+/**
+ * 等待审批的加入请求，保存在请求者连接所在的实例
+ * knocks: Map<knockId, { streamId, timer, settle(outcome, by) }>
+ */
+const knocks = new Map();
+
+// streams 为本实例的缓存；Stream 记录与在线成员保存在 streamStore 中，重启后恢复，多个实例共享
+const streamStore = createStreamStore(config.STREAM_STORE, { dir: config.STREAM_DIR });
+
+// 认证密钥可直接回答加入挑战，配置了 STREAM_SECRET 时加密后再写入存储
+const secretBox = config.STREAM_SECRET ? new SecretBox(config.STREAM_SECRET) : null;
+
+// 历史存储只保存不透明的密文信封及路由所需的元数据
+const historyStore = createHistoryStore(config.HISTORY_STORE, { dir: config.HISTORY_DIR });
+
+// 运行指标（只统计数量，不记录 Stream 名称或 ID）
+const registry = new MetricsRegistry();
+const eventLoop = new EventLoopMonitor();
+
+const metrics = {
+  joins: registry.counter('logtrace_joins_total', 'Successful stream joins'),
+  joinFailures: registry.counter('logtrace_join_failures_total', 'Rejected stream joins by reason'),
+  messages: registry.counter('logtrace_messages_relayed_total', 'Log messages relayed'),
+  bytes: registry.counter('logtrace_bytes_relayed_total', 'Payload bytes relayed by type'),
+  rateLimited: registry.counter('logtrace_rate_limited_total', 'Requests rejected by rate limits by kind'),
+  sessionsResumed: registry.counter('logtrace_sessions_resumed_total', 'Sessions resumed after a reconnect'),
+  invalidFrames: registry.counter('logtrace_invalid_frames_total', 'Inbound frames rejected by schema validation by event'),
+  // 最近一个统计窗口的消息速率
+  messageRate: { last: 0, value: 0 }
+};
+
+registry.gauge('logtrace_connected_sockets', 'Connected sockets', () => io.of('/').sockets.size);
+registry.gauge('logtrace_joined_nodes', 'Sockets joined to a stream', () => {
+  let joined = 0;
+  for (const nodeInfo of nodeMap.values()) {
+    if (nodeInfo.streams.size > 0) joined += 1;
+  }
+  return joined;
+});
+registry.gauge('logtrace_active_streams', 'Active streams', () => streams.size);
+registry.gauge('logtrace_detached_sessions', 'Disconnected sessions within the grace period',
+  () => sessions.detachedCount());
+registry.gauge('logtrace_messages_per_second', 'Log messages relayed per second over the last window',
+  () => metrics.messageRate.value);
+registry.gauge('logtrace_event_loop_lag_seconds', 'Event loop delay over the last window', () => [
+  { labels: { quantile: '0.5' }, value: eventLoop.snapshot.p50 },
+  { labels: { quantile: '0.99' }, value: eventLoop.snapshot.p99 },
+  { labels: { quantile: '1' }, value: eventLoop.snapshot.max }
+]);
+
+/**
+ * 按配置创建限流器：{ [kind]: { socket: RateLimiter, ip?: RateLimiter } }
+ */
+function createLimiters() {
+  const result = {};
+  for (const [kind, scopes] of Object.entries(config.RATE_LIMITS)) {
+    result[kind] = {};
+    for (const [scope, options] of Object.entries(scopes)) {
+      result[kind][scope] = new RateLimiter(options);
+    }
+  }
+  return result;
+}
+
+/**
+ * 合并加入失败策略与公共的延迟参数
+ */
+function joinPolicy(policy) {
+  return {
+    ...policy,
+    baseDelay: config.JOIN_BASE_DELAY,
+    maxDelay: config.JOIN_MAX_DELAY,
+    window: config.JOIN_FAILURE_WINDOW
+  };
+}
+
+// 限流器，配置重载时重建
+let limiters = createLimiters();
+
+// 加入失败追踪：按客户端 IP 与 Stream 分别计数
+const joinGuard = new JoinGuard(joinPolicy(config.JOIN_CLIENT_POLICY), joinPolicy(config.JOIN_STREAM_POLICY));
+
+/**
+ * 会话恢复参数
+ */
+function sessionPolicy() {
+  return { grace: config.SESSION_GRACE, replayMax: config.SESSION_REPLAY_MAX };
+}
+
+// 会话令牌 -> 节点 ID 与断开时的成员状态
+const sessions = new SessionRegistry(sessionPolicy());
+
+/**
+ * 重新读取 .env 与环境变量并应用
+ * 限流器重建（令牌桶重置），失败记录保留并使用新策略
+ * @returns {{restartRequired: string[]}} - 已修改但需要重启才能生效的配置项
+ */
+function reloadConfig() {
+  require('dotenv').config({ override: true });
+
+  const previous = config;
+  config = loadConfig();
+  limiters = createLimiters();
+  joinGuard.setPolicies(joinPolicy(config.JOIN_CLIENT_POLICY), joinPolicy(config.JOIN_STREAM_POLICY));
+  sessions.options = sessionPolicy();
+
+  console.log('[ADMIN] Config reloaded');
+
+  return {
+    restartRequired: RESTART_REQUIRED.filter(key => String(previous[key]) !== String(config[key]))
+  };
+}
+
+/**
+ * 获取客户端 IP
+ * @param {Object} headers - 请求头（socket.handshake.headers 或 req.headers）
+ * @param {string} address - 连接的远端地址
+ */
+function getClientIp(headers, address) {
+  if (config.TRUST_PROXY) {
+    const forwarded = headers['x-forwarded-for'];
+    if (forwarded) {
+      return forwarded.split(',')[0].trim();
+    }
+  }
+  return address;
+}
+
+/**
+ * 发送 JSON 响应
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Stream ID 的哈希（管理接口不暴露原始 ID，原始 ID 即加入凭据的一部分）
+ */
+function hashStreamId(streamId) {
+  return crypto.createHash('sha256').update(streamId).digest('hex').slice(0, 16);
+}
+
+/**
+ * 校验令牌：Authorization: Bearer <token>
+ */
+function isAuthorized(req, token) {
+  const header = req.headers.authorization || '';
+  const match = /^Bearer (.+)$/.exec(header);
+  if (!match) return false;
+
+  // 比较摘要，避免长度不同导致的提前返回
+  const expected = crypto.createHash('sha256').update(token).digest();
+  const actual = crypto.createHash('sha256').update(match[1]).digest();
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * 运行指标（Prometheus 文本格式），设置 METRICS_TOKEN 时需要令牌
+ */
+function handleMetricsRequest(req, res) {
+  if (config.METRICS_TOKEN && !isAuthorized(req, config.METRICS_TOKEN)) {
+    sendJson(res, 401, { error: 'Unauthorized' });
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+  res.end(registry.render());
+}
+
+/**
+ * 管理接口（需设置 ADMIN_TOKEN）
+ *
+ * GET    /admin/streams          Stream 列表（ID 为哈希，不含名称）
+ * DELETE /admin/streams/:hash    强制关闭 Stream，成员收到 stream:closed
+ * GET    /admin/connections      本实例的连接与节点数
+ * POST   /admin/reload           重新加载配置（仅本实例）
+ */
+async function handleAdminRequest(req, res) {
+  // 未配置令牌时管理接口不存在
+  if (!config.ADMIN_TOKEN) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  if (!isAuthorized(req, config.ADMIN_TOKEN)) {
+    sendJson(res, 401, { error: 'Unauthorized' });
+    return;
+  }
+
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const closeMatch = /^\/admin\/streams\/([a-f0-9]{16})$/.exec(pathname);
+
+  if (req.method === 'GET' && pathname === '/admin/streams') {
+    const list = [];
+    for (const record of await streamStore.list()) {
+      list.push({
+        id: hashStreamId(record.id),
+        nodeCount: (await streamStore.listMembers(record.id)).length,
+        epoch: record.epoch,
+        history: !!record.retention,
+        createdAt: record.createdAt,
+        expiresAt: record.expiresAt
+      });
+    }
+    sendJson(res, 200, { streams: list });
+    return;
+  }
+
+  if (req.method === 'DELETE' && closeMatch) {
+    for (const record of await streamStore.list()) {
+      if (hashStreamId(record.id) === closeMatch[1]) {
+        deleteStream(record.id, 'closed');
+        sendJson(res, 200, { success: true, id: closeMatch[1] });
+        return;
+      }
+    }
+    sendJson(res, 404, { error: 'Stream not found' });
+    return;
+  }
+
+  if (req.method === 'GET' && pathname === '/admin/connections') {
+    let joined = 0;
+    for (const nodeInfo of nodeMap.values()) {
+      if (nodeInfo.streams.size > 0) joined += 1;
+    }
+    sendJson(res, 200, {
+      instance: config.INSTANCE_ID,
+      sockets: io.of('/').sockets.size,
+      joined,
+      idle: nodeMap.size - joined,
+      detached: sessions.detachedCount(),
+      streams: await streamStore.count()
+    });
+    return;
+  }
+
+  if (req.method === 'POST' && pathname === '/admin/reload') {
+    sendJson(res, 200, { success: true, ...reloadConfig() });
+    return;
+  }
+
+  sendJson(res, 404, { error: 'Not found' });
+}
+
+// HTTP 写入失败时的状态码
+const INGEST_STATUS = {
+  invalid_payload: 400,
+  empty_payload: 400,
+  invalid_token: 401,
+  stream_not_found: 404,
+  stale_epoch: 409,
+  payload_too_large: 413,
+  rate_limited: 429,
+  storage_unavailable: 503
+};
+
+/**
+ * 读取请求体，超过上限时返回 null（继续读完并丢弃，以便正常回复）
+ * @returns {Promise<Buffer|null>}
+ */
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= limit) {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => resolve(size <= limit ? Buffer.concat(chunks) : null));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * HTTP 写入限流：每个写入令牌相当于一个连接，同时计入客户端 IP
+ * @returns {number} - 0 表示放行，否则为需要等待的毫秒数
+ */
+function consumeIngest(kind, tokenId, ip, cost = 1) {
+  const { socket: byToken, ip: byIp } = limiters[kind];
+  const retryAfter = byToken.take(`token:${tokenId}`, cost) || (byIp ? byIp.take(ip, cost) : 0);
+  if (retryAfter) {
+    metrics.rateLimited.inc({ kind });
+  }
+  return retryAfter;
+}
+
+/**
+ * HTTP 写入，均以 Authorization: Bearer <写入令牌> 认证：
+ * - GET /streams/:id：返回加密所需的参数 { success, streamId, nodeId, epoch, kdf }
+ * - POST /streams/:id/logs：请求体为 JSON { payload: Base64 信封, level?, keyId? }
+ *   服务端不解析信封，与 log:push 同样分配 ID 与序号后广播给所有成员，消息的节点 ID 为令牌的 nodeId
+ *   成功返回 { success, streamId, id, seq, timestamp }
+ * 失败返回 { success: false, error, code }（状态码见 INGEST_STATUS）
+ */
+async function handleIngestRequest(req, res) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const match = /^\/streams\/([^/]+)(\/logs)?$/.exec(pathname);
+  if (!match) {
+    sendJson(res, 404, { error: 'Not found' });
+    return;
+  }
+  const method = match[2] ? 'POST' : 'GET';
+  if (req.method !== method) {
+    res.setHeader('Allow', method);
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+
+  const streamId = match[1];
+  const fail = (code, extra = {}) => {
+    if (code === 'rate_limited') {
+      res.setHeader('Retry-After', Math.ceil(extra.retryAfter / 1000));
+    }
+    sendJson(res, INGEST_STATUS[code], errorResult(code, { streamId, ...extra }));
+  };
+
+  // 令牌不属于该 Stream 时同样视为无效，不透露 Stream 是否存在
+  const auth = /^Bearer (\S+)$/.exec(req.headers.authorization || '');
+  const token = auth ? await streamStore.getToken(hashToken(auth[1])) : null;
+  if (!token || token.streamId !== streamId || (token.expiresAt && token.expiresAt <= Date.now())) {
+    fail('invalid_token');
+    return;
+  }
+
+  // 查询参数：KDF 参数本就随加入挑战下发，不含机密
+  if (method === 'GET') {
+    const stream = await getStream(streamId);
+    if (!stream) {
+      fail('stream_not_found');
+      return;
+    }
+    sendJson(res, 200, {
+      success: true,
+      streamId: stream.id,
+      nodeId: token.nodeId,
+      epoch: stream.epoch,
+      kdf: stream.kdf
+    });
+    return;
+  }
+
+  // Base64 编码后的长度上限加上 JSON 字段的余量
+  const body = await readBody(req, Math.ceil(config.MAX_PAYLOAD_BYTES / 3) * 4 + 1024);
+  if (!body) {
+    fail('payload_too_large');
+    return;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(body.toString('utf8'));
+  } catch (error) {
+    data = null;
+  }
+
+  const invalid = validate(INGEST_SCHEMA, data);
+  if (invalid) {
+    metrics.invalidFrames.inc({ event: 'http:ingest' });
+    fail('invalid_payload', { field: invalid.field, reason: invalid.reason });
+    return;
+  }
+
+  const payload = Buffer.from(data.payload, 'base64');
+  const { keyId = 0 } = data;
+  const level = LOG_LEVELS.includes(data.level) ? data.level : 'INFO';
+
+  if (payload.length === 0) {
+    fail('empty_payload');
+    return;
+  }
+  if (payload.length > config.MAX_PAYLOAD_BYTES) {
+    fail('payload_too_large');
+    return;
+  }
+
+  const ip = getClientIp(req.headers, req.socket.remoteAddress);
+  const retryAfter = consumeIngest('message', token.id, ip) || consumeIngest('bytes', token.id, ip, payload.length);
+  if (retryAfter) {
+    fail('rate_limited', { retryAfter });
+    return;
+  }
+
+  const stream = await getStream(streamId);
+  if (!stream) {
+    fail('stream_not_found');
+    return;
+  }
+
+  // 轮换后拒绝旧纪元的消息，脚本须使用新的访问密钥加密
+  if (keyId !== stream.epoch) {
+    fail('stale_epoch', { epoch: stream.epoch });
+    return;
+  }
+
+  let message;
+  try {
+    message = await relayLog(stream, io.to(stream.id), { nodeId: token.nodeId, payload, level, keyId });
+  } catch (error) {
+    fail('storage_unavailable');
+    return;
+  }
+
+  sendJson(res, 200, {
+    success: true,
+    streamId: stream.id,
+    id: message.id,
+    seq: message.seq,
+    timestamp: message.timestamp
+  });
+}
+
+/**
+ * 计算日志载荷长度（字节）
+ */
+function payloadSize(payload) {
+  return Buffer.isBuffer(payload) ? payload.length : Buffer.byteLength(String(payload));
+}
+
+/**
+ * 生成随机节点 ID
+ */
+function generateNodeId() {
+  return 'node-' + uuidv4().slice(0, 8);
+}
+
+/**
+ * 校验客户端提交的 KDF 参数（创建与轮换）
+ * 只接受 v2（随机盐）；v1（固定盐）只保留在升级前已存在的 Stream 记录中，不能再新建
+ * @returns {Object|null} - 规范化后的参数，非法时返回 null
+ */
+function normalizeKdfParams(kdf) {
+  if (!kdf || typeof kdf !== 'object' || kdf.version !== 2) {
+    return null;
+  }
+
+  const { salt, iterations, hash } = kdf;
+
+  if (typeof salt !== 'string' || !/^[A-Za-z0-9+/]{22,}={0,2}$/.test(salt)) {
+    return null;
+  }
+  if (!Number.isInteger(iterations) ||
+      iterations < KDF_MIN_ITERATIONS ||
+      iterations > KDF_MAX_ITERATIONS) {
+    return null;
+  }
+  if (!KDF_HASHES.includes(hash)) {
+    return null;
+  }
+
+  return { version: 2, salt, iterations, hash };
+}
+
+/**
+ * 解析客户端提交的认证密钥（Base64 编码的 32 字节）
+ * @returns {Buffer|null}
+ */
+function parseAuthKey(authKey) {
+  if (typeof authKey !== 'string') return null;
+  const buf = Buffer.from(authKey, 'base64');
+  return buf.length === 32 ? buf : null;
+}
+
+/**
+ * 校验 ECDH 公钥（Base64 编码的 65 字节未压缩 P-256 点）
+ * @returns {string|null}
+ */
+function parseExchangeKey(exchangeKey) {
+  if (typeof exchangeKey !== 'string') return null;
+  return Buffer.from(exchangeKey, 'base64').length === 65 ? exchangeKey : null;
+}
+
+/**
+ * 解析身份公钥（Base64 编码的 65 字节未压缩 P-256 点）
+ * @returns {Buffer|null}
+ */
+function parseIdentityKey(identityKey) {
+  if (typeof identityKey !== 'string') return null;
+  const raw = Buffer.from(identityKey, 'base64');
+  return raw.length === 65 && raw[0] === 0x04 ? raw : null;
+}
+
+/**
+ * 校验身份密钥的签名：ECDSA-P256-SHA256
+ * 签名为 WebCrypto 输出的 IEEE P1363 格式（r||s）
+ * @param {Buffer} identityKey - parseIdentityKey 的返回值
+ * @param {string} message - 签名原文
+ */
+function verifyIdentitySignature(identityKey, message, signature) {
+  if (typeof signature !== 'string') return false;
+
+  try {
+    const key = crypto.createPublicKey({
+      key: {
+        kty: 'EC',
+        crv: 'P-256',
+        x: identityKey.subarray(1, 33).toString('base64url'),
+        y: identityKey.subarray(33).toString('base64url')
+      },
+      format: 'jwk'
+    });
+
+    return crypto.verify(
+      'sha256',
+      Buffer.from(message),
+      { key, dsaEncoding: 'ieee-p1363' },
+      Buffer.from(signature, 'base64')
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 校验加入时的身份签名："logtrace-identity|<streamId>|<nonce>"
+ */
+function verifyIdentityProof(identityKey, streamId, nonce, signature) {
+  return verifyIdentitySignature(identityKey, `logtrace-identity|${streamId}|${nonce}`, signature);
+}
+
+/**
+ * 校验交换公钥的签名："logtrace-exchange|<exchangeKey>"
+ * 签名随成员信息转发，其他成员包装密钥或发送私信前自行验证，服务端校验只用于尽早拒绝错误数据
+ */
+function verifyExchangeKeySignature(identityKey, exchangeKey, signature) {
+  return verifyIdentitySignature(identityKey, `logtrace-exchange|${exchangeKey}`, signature);
+}
+
+/**
+ * 由身份公钥计算身份 ID 与显示指纹
+ * @returns {{identity: string, fingerprint: string}}
+ */
+function describeIdentity(identityKey) {
+  const digest = crypto.createHash('sha256').update(identityKey).digest('hex');
+  return {
+    identity: digest,
+    fingerprint: digest.slice(0, 20).match(/.{4}/g).join(' ')
+  };
+}
+
+/**
+ * 校验加入应答：proof = HMAC-SHA256(authKey, "logtrace-join|<streamId>|<nonce>")
+ */
+function verifyJoinProof(authKey, streamId, nonce, proof) {
+  if (typeof proof !== 'string') return false;
+
+  const expected = crypto
+    .createHmac('sha256', authKey)
+    .update(`logtrace-join|${streamId}|${nonce}`)
+    .digest();
+  const actual = Buffer.from(proof, 'base64');
+
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * 校验创建者提交的历史保留策略，超出服务端上限时截断
+ * @param {Object} retention - { ttl: number, maxCount?: number }
+ * @returns {Object|null} - 规范化后的策略，未开启或非法时返回 null
+ */
+function normalizeRetention(retention) {
+  if (!retention || typeof retention !== 'object') return null;
+
+  const { ttl, maxCount = config.HISTORY_MAX_COUNT } = retention;
+  if (!Number.isInteger(ttl) || ttl <= 0 || !Number.isInteger(maxCount) || maxCount <= 0) {
+    return null;
+  }
+
+  return {
+    ttl: Math.min(ttl, config.HISTORY_MAX_TTL),
+    maxCount: Math.min(maxCount, config.HISTORY_MAX_COUNT)
+  };
+}
+
+/**
+ * 校验创建者提交的有效期（毫秒），超出上限时截断
+ * @returns {number|null|undefined} - 有效期；不设置时返回 null，非法时返回 undefined
+ */
+function normalizeExpiresIn(expiresIn) {
+  if (expiresIn === undefined || expiresIn === null) return null;
+  if (!Number.isInteger(expiresIn) || expiresIn <= 0) return undefined;
+  return Math.min(expiresIn, config.STREAM_MAX_TTL);
+}
+
+/**
+ * 令牌的哈希：邀请与写入令牌的存储、列出与撤销都使用哈希，令牌本身只返回给创建者一次
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * 校验创建邀请的有效期（毫秒）与使用次数，超出上限时截断
+ * @returns {{expiresIn: number, maxUses: number}|null}
+ */
+function normalizeInviteOptions(data) {
+  const { expiresIn, maxUses = 1 } = data;
+  if (!Number.isInteger(expiresIn) || expiresIn <= 0 || !Number.isInteger(maxUses) || maxUses <= 0) {
+    return null;
+  }
+
+  return {
+    expiresIn: Math.min(expiresIn, config.INVITE_MAX_TTL),
+    maxUses: Math.min(maxUses, config.INVITE_MAX_USES)
+  };
+}
+
+/**
+ * 发送给创建者的邀请信息（不含令牌）
+ */
+function describeInvite(invite) {
+  return {
+    id: invite.id,
+    createdBy: invite.createdBy,
+    createdAt: invite.createdAt,
+    expiresAt: invite.expiresAt,
+    maxUses: invite.maxUses,
+    uses: invite.uses
+  };
+}
+
+/**
+ * Stream 仍然有效的邀请（按创建时间排序），顺带删除已过期的
+ * @returns {Promise<Object[]>}
+ */
+async function listActiveInvites(streamId) {
+  const now = Date.now();
+  const invites = await streamStore.listInvites(streamId);
+
+  for (const invite of invites) {
+    if (invite.expiresAt <= now) {
+      streamStore.deleteInvite(invite.id).catch(error => {
+        console.error(`[STORE] Failed to delete invite of ${streamId}:`, error.message);
+      });
+    }
+  }
+
+  return invites
+    .filter(invite => invite.expiresAt > now && invite.uses < invite.maxUses)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * 发送给创建者的写入令牌信息（不含令牌）
+ */
+function describeWriteToken(token) {
+  return {
+    id: token.id,
+    nodeId: token.nodeId,
+    label: token.label,
+    createdBy: token.createdBy,
+    createdAt: token.createdAt,
+    expiresAt: token.expiresAt
+  };
+}
+
+/**
+ * Stream 仍然有效的写入令牌（按创建时间排序），顺带删除已过期的
+ * @returns {Promise<Object[]>}
+ */
+async function listActiveTokens(streamId) {
+  const now = Date.now();
+  const tokens = await streamStore.listTokens(streamId);
+
+  for (const token of tokens) {
+    if (token.expiresAt && token.expiresAt <= now) {
+      streamStore.deleteToken(token.id).catch(error => {
+        console.error(`[STORE] Failed to delete write token of ${streamId}:`, error.message);
+      });
+    }
+  }
+
+  return tokens
+    .filter(token => !token.expiresAt || token.expiresAt > now)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * 获取身份在 Stream 中的角色
+ * @returns {'owner'|'admin'|'member'}
+ */
+function getRole(stream, identity) {
+  if (identity && identity === stream.ownerIdentity) return 'owner';
+  if (identity && stream.admins.has(identity)) return 'admin';
+  return 'member';
+}
+
+/**
+ * 管理权限：创建者可管理所有其他人，管理员只能管理普通成员
+ */
+function canModerate(actorRole, targetRole) {
+  if (actorRole === 'owner') return targetRole !== 'owner';
+  if (actorRole === 'admin') return targetRole === 'member';
+  return false;
+}
+
+/**
+ * Stream 中需要持久化的字段
+ * 认证密钥在配置了 STREAM_SECRET 时保存为 sealedAuthKey，否则保存为明文的 authKey
+ */
+function toRecord(stream) {
+  const authKey = secretBox
+    ? { sealedAuthKey: secretBox.seal(stream.authKey, stream.id) }
+    : { authKey: stream.authKey.toString('base64') };
+
+  return {
+    id: stream.id,
+    name: stream.name,
+    ...authKey,
+    kdf: stream.kdf,
+    ownerIdentity: stream.ownerIdentity,
+    admins: Array.from(stream.admins),
+    bans: Array.from(stream.bans),
+    muted: Array.from(stream.muted),
+    approval: stream.approval,
+    approved: Array.from(stream.approved),
+    epoch: stream.epoch,
+    retention: stream.retention,
+    createdAt: stream.createdAt,
+    expiresAt: stream.expiresAt
+  };
+}
+
+/**
+ * 用存储中的记录覆盖可变字段（其他实例修改后刷新缓存）
+ */
+function applyRecord(stream, record) {
+  stream.authKey = openAuthKey(record);
+  stream.kdf = record.kdf;
+  stream.ownerIdentity = record.ownerIdentity;
+  stream.admins = new Set(record.admins);
+  stream.bans = new Set(record.bans);
+  stream.muted = new Set(record.muted);
+  // 升级前保存的记录没有审批字段
+  stream.approval = record.approval === true;
+  stream.approved = new Set(record.approved || []);
+  stream.epoch = record.epoch;
+}
+
+/**
+ * 读取记录中的认证密钥（设置 STREAM_SECRET 之前保存的记录仍为明文）
+ * 缺少或配错 STREAM_SECRET 时抛出异常
+ */
+function openAuthKey(record) {
+  if (!record.sealedAuthKey) {
+    return Buffer.from(record.authKey, 'base64');
+  }
+  if (!secretBox) {
+    throw new Error('STREAM_SECRET is required to read sealed auth keys');
+  }
+  return secretBox.open(record.sealedAuthKey, record.id);
+}
+
+/**
+ * 由存储记录创建本实例的缓存，并设置过期与空闲回收定时器
+ */
+function hydrateStream(record) {
+  const stream = {
+    id: record.id,
+    name: record.name,
+    retention: record.retention,
+    sendQueue: Promise.resolve(),
+    createdAt: record.createdAt,
+    expiresAt: record.expiresAt,
+    expiryTimer: null,
+    idleTimer: null,
+    failureNoticeAt: 0,
+    nodes: new Set()
+  };
+  applyRecord(stream, record);
+
+  if (stream.expiresAt) {
+    stream.expiryTimer = setTimeout(() => deleteStream(stream.id, 'expired'), stream.expiresAt - Date.now());
+  }
+  scheduleIdleCleanup(stream);
+  streams.set(stream.id, stream);
+
+  return stream;
+}
+
+/**
+ * 获取 Stream，本实例未缓存时从存储载入
+ * @returns {Promise<Object|null>}
+ */
+async function getStream(streamId) {
+  if (streams.has(streamId)) {
+    return streams.get(streamId);
+  }
+
+  const record = await streamStore.get(streamId);
+  if (!record) return null;
+
+  if (record.expiresAt && record.expiresAt <= Date.now()) {
+    deleteStream(streamId, 'expired');
+    return null;
+  }
+
+  // 并发载入时以先完成者为准
+  if (streams.has(streamId)) {
+    return streams.get(streamId);
+  }
+  try {
+    return hydrateStream(record);
+  } catch (error) {
+    console.error(`[STORE] Failed to load ${streamId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * 通知其他实例（单实例时不发送）
+ */
+function notifyInstances(event, data) {
+  if (adapter) {
+    io.serverSideEmit(event, data);
+  }
+}
+
+/**
+ * 保存 Stream 记录并通知其他实例刷新缓存
+ * 多个实例同时修改同一 Stream 时以最后写入为准
+ */
+async function persistStream(stream) {
+  try {
+    await streamStore.save(toRecord(stream));
+    notifyInstances('relay:stream:updated', { streamId: stream.id });
+  } catch (error) {
+    console.error(`[STORE] Failed to save ${stream.id}:`, error.message);
+  }
+}
+
+/**
+ * 为日志分配序号并转发：开启历史时写入密文，广播给成员，并缓冲给宽限期内断开的会话
+ * 在 stream.sendQueue 中依次执行，保证按序号顺序转发（log:push 与 HTTP 写入共用）
+ * @param {Object} stream - Stream
+ * @param {Object} target - 广播目标：socket.to(room) 不发回发送者，HTTP 写入为 io.to(room)
+ * @param {Object} entry - { nodeId, payload: Buffer, level, keyId }
+ * @returns {Promise<Object>} - 转发的消息；分配序号失败时 reject
+ */
+function relayLog(stream, target, entry) {
+  const { nodeId, payload, level, keyId } = entry;
+
+  const send = async () => {
+    const message = {
+      id: uuidv4(),
+      seq: await streamStore.nextSeq(stream.id),
+      streamId: stream.id,
+      nodeId,
+      payload,
+      level,
+      keyId,
+      timestamp: Date.now()
+    };
+
+    // 开启历史的 Stream 写入密文
+    if (stream.retention) {
+      historyStore.append(stream.id, {
+        id: message.id,
+        seq: message.seq,
+        nodeId,
+        payload,
+        level,
+        keyId,
+        timestamp: message.timestamp,
+        expiresAt: message.timestamp + stream.retention.ttl
+      }, stream.retention).catch(error => {
+        console.error(`[HISTORY] Failed to store message for ${stream.id}:`, error.message);
+      });
+    }
+
+    target.emit('log:broadcast', message);
+    sessions.buffer(stream.id, message);
+    metrics.messages.inc();
+    metrics.bytes.inc({ type: 'log' }, payloadSize(payload));
+    return message;
+  };
+
+  const relayed = stream.sendQueue.then(send);
+  stream.sendQueue = relayed.catch(error => {
+    console.error(`[STORE] Failed to assign seq for ${stream.id}:`, error.message);
+  });
+  return relayed;
+}
+
+/**
+ * 按节点 ID 查找 Stream 成员（包括其他实例上的连接）
+ * @returns {Promise<Object|null>} - 成员记录 { socketId, nodeId, identity, ... }
+ */
+async function findMember(streamId, nodeId) {
+  const members = await streamStore.listMembers(streamId);
+  return members.find(member => member.nodeId === nodeId) || null;
+}
+
+/**
+ * 获取 Stream 中的在线节点列表
+ */
+async function getStreamNodes(streamId) {
+  const stream = streams.get(streamId);
+  if (!stream) return [];
+
+  const members = await streamStore.listMembers(streamId);
+  return members.map(member => ({
+    nodeId: member.nodeId,
+    exchangeKey: member.exchangeKey,
+    exchangeKeySig: member.exchangeKeySig,
+    identityKey: member.identityKey,
+    fingerprint: member.fingerprint,
+    role: getRole(stream, member.identity),
+    muted: stream.muted.has(member.identity)
+  }));
+}
+
+/**
+ * 广播节点列表更新
+ */
+function broadcastNodeList(streamId) {
+  getStreamNodes(streamId).then(nodes => {
+    io.to(streamId).emit('node:list', { streamId, nodes });
+  }).catch(error => {
+    console.error(`[STORE] Failed to list members of ${streamId}:`, error.message);
+  });
+}
+
+/**
+ * 删除 Stream：通知并移出所有成员（包括其他实例上的连接），清理存储与历史
+ * @param {string} streamId
+ * @param {string} reason - 'deleted' | 'expired' | 'idle' | 'closed'（管理员关闭）
+ */
+function deleteStream(streamId, reason) {
+  io.to(streamId).emit('stream:closed', { streamId, reason });
+  io.in(streamId).socketsLeave(streamId);
+
+  dropStream(streamId);
+  sessions.closeStream(streamId, reason);
+  notifyInstances('relay:stream:deleted', { streamId, reason });
+
+  streamStore.delete(streamId).catch(error => {
+    console.error(`[STORE] Failed to delete ${streamId}:`, error.message);
+  });
+
+  historyStore.purge(streamId).catch(error => {
+    console.error(`[HISTORY] Failed to purge ${streamId}:`, error.message);
+  });
+
+  console.log(`[STREAM:DELETE] ${streamId} deleted (${reason})`);
+}
+
+/**
+ * 移除本实例的 Stream 缓存，并清除本实例成员的 Stream 状态
+ */
+function dropStream(streamId) {
+  const stream = streams.get(streamId);
+  if (!stream) return;
+
+  streams.delete(streamId);
+  clearTimeout(stream.expiryTimer);
+  clearTimeout(stream.idleTimer);
+
+  for (const [knockId, knock] of knocks) {
+    if (knock.streamId === streamId) settleKnock(knockId, streamId, 'closed');
+  }
+
+  for (const socketId of stream.nodes) {
+    resetNode(socketId, streamId);
+  }
+}
+
+/**
+ * 清除节点在某个 Stream 中的状态（不影响连接本身及其他 Stream）
+ */
+function resetNode(socketId, streamId) {
+  const nodeInfo = nodeMap.get(socketId);
+  if (nodeInfo) {
+    nodeInfo.streams.delete(streamId);
+  }
+}
+
+/**
+ * 将成员移出 Stream（踢出、封禁），并通知该成员
+ * 成员连接在其他实例上时，由该实例清理节点状态
+ * @param {Object} notice - 发送给被移出成员的 stream:moderated 内容
+ */
+function evictNode(stream, socketId, notice) {
+  io.to(socketId).emit('stream:moderated', notice);
+  io.in(socketId).socketsLeave(stream.id);
+
+  releaseNode(socketId, stream.id);
+  notifyInstances('relay:node:evicted', { streamId: stream.id, socketId });
+}
+
+/**
+ * 本实例上的连接被移出 Stream 时清理其状态
+ */
+function releaseNode(socketId, streamId) {
+  const nodeInfo = nodeMap.get(socketId);
+  if (nodeInfo && nodeInfo.streams.has(streamId)) {
+    resetNode(socketId, streamId);
+    detachNode(socketId, streamId);
+  }
+}
+
+/**
+ * Stream 无节点时开始计时，超时后回收（到期时重新确认所有实例上都没有成员）
+ */
+function scheduleIdleCleanup(stream) {
+  clearTimeout(stream.idleTimer);
+  stream.idleTimer = setTimeout(() => {
+    streamStore.listMembers(stream.id).then(members => {
+      if (members.length === 0 && streams.get(stream.id) === stream) {
+        deleteStream(stream.id, 'idle');
+      }
+    }).catch(error => {
+      console.error(`[STORE] Failed to list members of ${stream.id}:`, error.message);
+    });
+  }, config.STREAM_IDLE_TIMEOUT);
+}
+
+/**
+ * 将节点移出 Stream，最后一个节点离开时开始空闲计时
+ */
+function detachNode(socketId, streamId) {
+  const stream = streams.get(streamId);
+  if (!stream) return;
+
+  stream.nodes.delete(socketId);
+
+  streamStore.removeMember(streamId, socketId).then(async () => {
+    broadcastNodeList(streamId);
+
+    const members = await streamStore.listMembers(streamId);
+    if (members.length === 0 && streams.get(streamId) === stream) {
+      scheduleIdleCleanup(stream);
+    }
+  }).catch(error => {
+    console.error(`[STORE] Failed to remove member from ${streamId}:`, error.message);
+  });
+}
+
+/**
+ * 向 Stream 的创建者与管理员（包括其他实例上的连接）发送事件
+ * @returns {Promise<number>} - 收到事件的连接数
+ */
+async function notifyModerators(streamId, event, data) {
+  const stream = streams.get(streamId);
+  if (!stream) return 0;
+
+  const members = await streamStore.listMembers(streamId);
+  const moderators = members.filter(member => getRole(stream, member.identity) !== 'member');
+  for (const member of moderators) {
+    io.to(member.socketId).emit(event, data);
+  }
+  return moderators.length;
+}
+
+/**
+ * 结束一个加入请求，并通知管理员关闭对应的提示
+ * @param {'approved'|'declined'|'expired'|'cancelled'|'unavailable'|'closed'} outcome
+ * @param {string} [by] - 审批者节点 ID
+ * @returns {boolean} - 请求不在本实例（或已结束）时返回 false
+ */
+function settleKnock(knockId, streamId, outcome, by = null) {
+  const knock = knocks.get(knockId);
+  if (!knock || knock.streamId !== streamId) return false;
+
+  knocks.delete(knockId);
+  clearTimeout(knock.timer);
+  knock.settle(outcome, by);
+
+  if (outcome !== 'closed') {
+    notifyModerators(streamId, 'stream:knock:closed', { streamId, knockId, outcome, by }).catch(error => {
+      console.error(`[STORE] Failed to list members of ${streamId}:`, error.message);
+    });
+  }
+  return true;
+}
+
+/**
+ * 连接意外断开（或被携带同一令牌的新连接接管）时保留会话，记录其成员状态以便恢复
+ */
+function suspendSession(session, socketId) {
+  const nodeInfo = nodeMap.get(socketId);
+  const memberships = [];
+
+  for (const [streamId, member] of nodeInfo ? nodeInfo.streams : []) {
+    const stream = streams.get(streamId);
+    if (stream) {
+      memberships.push({ streamId, ...member, epoch: stream.epoch });
+    }
+  }
+
+  sessions.detach(session, memberships);
+}
+
+// 其他实例上的变更
+io.on('relay:stream:updated', ({ streamId }) => {
+  const stream = streams.get(streamId);
+  if (!stream) return;
+
+  streamStore.get(streamId).then(record => {
+    if (record && streams.get(streamId) === stream) {
+      applyRecord(stream, record);
+    }
+  }).catch(error => {
+    console.error(`[STORE] Failed to reload ${streamId}:`, error.message);
+  });
+});
+
+io.on('relay:stream:deleted', ({ streamId, reason }) => {
+  dropStream(streamId);
+  sessions.closeStream(streamId, reason);
+});
+
+io.on('relay:node:evicted', ({ streamId, socketId }) => {
+  releaseNode(socketId, streamId);
+});
+
+// 其他实例上的管理员审批了本实例上的加入请求
+io.on('relay:knock:answer', ({ knockId, streamId, outcome, by }) => {
+  settleKnock(knockId, streamId, outcome, by);
+});
+
+// Socket.IO 连接处理
+io.on('connection', (socket) => {
+  // 携带会话令牌重连时沿用原节点 ID；旧连接尚未检测到断开时由新连接接管
+  let session = sessions.get(socket.handshake.auth && socket.handshake.auth.session);
+  if (session && session.socketId) {
+    const previous = io.of('/').sockets.get(session.socketId);
+    suspendSession(session, session.socketId);
+    if (previous) {
+      previous.disconnect(true);
+    }
+  }
+
+  const resumed = !!session;
+  if (resumed) {
+    sessions.resume(session, socket.id);
+  } else {
+    session = sessions.create(generateNodeId(), socket.id);
+  }
+
+  const nodeId = session.nodeId;
+  nodeMap.set(socket.id, { nodeId, streams: new Map() });
+
+  console.log(`[CONNECT] ${nodeId} ${resumed ? 'resumed' : 'connected'} (socket: ${socket.id})`);
+
+  // 发送节点 ID 与会话令牌给客户端；streams 为正在恢复的 Stream
+  socket.emit('node:assigned', {
+    nodeId,
+    session: session.token,
+    resumed,
+    streams: resumed ? Array.from(session.memberships.keys()) : []
+  });
+
+  const clientIp = getClientIp(socket.handshake.headers, socket.handshake.address);
+
+  // 本连接创建的 Stream（用于限制数量）
+  const createdStreams = new Set();
+
+  /**
+   * 按连接与 IP 扣减令牌
+   * @param {string} kind - 'message' | 'bytes' | 'join' | 'create'
+   * @param {number} [cost=1]
+   * @returns {number} - 0 表示放行，否则为需要等待的毫秒数
+   */
+  function consume(kind, cost = 1) {
+    const { socket: bySocket, ip: byIp } = limiters[kind];
+    const retryAfter = bySocket.take(socket.id, cost) || (byIp ? byIp.take(clientIp, cost) : 0);
+    if (retryAfter) {
+      metrics.rateLimited.inc({ kind });
+    }
+    return retryAfter;
+  }
+
+  /**
+   * 发送限流错误
+   */
+  function rejectRateLimited(event, retryAfter, extra = {}) {
+    socket.emit(event, errorResult('rate_limited', { ...extra, retryAfter }));
+  }
+
+  /**
+   * 注册客户端事件：数据先按 EVENT_SCHEMAS 校验，不合法时回复 invalid_payload（附带 field 与 reason），
+   * 不进入处理函数；带 ack 的事件通过 ack 回复，否则发送 schema.reply
+   */
+  function on(event, handler) {
+    const schema = EVENT_SCHEMAS[event];
+
+    socket.on(event, (data, ack) => {
+      const invalid = validate(schema, data);
+      if (!invalid) {
+        handler(data === undefined ? {} : data, ack);
+        return;
+      }
+
+      metrics.invalidFrames.inc({ event });
+      const result = errorResult('invalid_payload', {
+        ...echoFields(schema, data),
+        field: invalid.field,
+        reason: invalid.reason
+      });
+      if (typeof ack === 'function') {
+        ack(result);
+      } else {
+        socket.emit(schema.reply, result);
+      }
+    });
+  }
+
+  // 未定义的事件：带 ack 时回复 unknown_event，否则忽略
+  socket.onAny((event, ...args) => {
+    if (EVENT_SCHEMAS[event]) return;
+
+    metrics.invalidFrames.inc({ event: 'unknown' });
+    const ack = args[args.length - 1];
+    if (typeof ack === 'function') {
+      ack(errorResult('unknown_event', { event: String(event).slice(0, 64) }));
+    }
+  });
+
+  // 待应答的加入挑战：Map<streamId, { nonce, expiresAt, inviteId }>，通过邀请加入时记录邀请
+  // 哈希，应答通过后才计入使用次数
+  const challenges = new Map();
+
+  // 进行中的附件传输：Map<transferId, { streamId, total, next, timer }>
+  const transfers = new Map();
+
+  // 本连接等待审批的加入请求：Map<streamId, knockId>
+  const pendingKnocks = new Map();
+
+  /**
+   * 检查加入是否因验证失败过多而被延迟或锁定（本连接的 IP 没有失败记录时总是允许）
+   * @returns {number} - 0 表示允许，否则为需要等待的毫秒数
+   */
+  function checkJoinAllowed(streamId) {
+    return joinGuard.check(clientIp, streamId);
+  }
+
+  /**
+   * 记录一次访问密钥验证失败，必要时通知 Stream 成员
+   */
+  function recordJoinFailure(stream) {
+    metrics.joinFailures.inc({ reason: 'access_key' });
+
+    const { client, stream: total } = joinGuard.fail(clientIp, stream.id);
+
+    if (client.locked || total.locked) {
+      console.warn(`[STREAM:LOCKOUT] ${stream.id} ${total.locked ? 'locked for failing clients' : `locked for ${clientIp}`}`);
+    }
+
+    const now = Date.now();
+    const notify = total.locked ||
+      (total.count >= config.JOIN_NOTIFY_THRESHOLD && now - stream.failureNoticeAt >= config.JOIN_NOTIFY_INTERVAL);
+
+    if (notify) {
+      stream.failureNoticeAt = now;
+      io.to(stream.id).emit('stream:join:failures', {
+        streamId: stream.id,
+        failures: total.count,
+        locked: total.locked
+      });
+    }
+  }
+
+  /**
+   * 检查本连接是否已达到同时加入的 Stream 数上限（重新加入已加入的 Stream 不受限）
+   */
+  function isJoinLimitReached(streamId) {
+    const { streams: joined } = nodeMap.get(socket.id);
+    return !joined.has(streamId) && joined.size >= config.MAX_JOINED_STREAMS;
+  }
+
+  /**
+   * 发送加入锁定错误
+   */
+  function rejectJoinLocked(streamId, retryAfter, extra = {}) {
+    metrics.joinFailures.inc({ reason: 'locked' });
+    socket.emit('stream:join:result', errorResult('join_locked', { streamId, ...extra, retryAfter }));
+  }
+
+  /**
+   * 中止附件传输，通知 Stream 成员丢弃已收到的分块
+   */
+  function abortTransfer(transferId, reason) {
+    const transfer = transfers.get(transferId);
+    if (!transfer) return;
+
+    clearTimeout(transfer.timer);
+    transfers.delete(transferId);
+
+    io.to(transfer.streamId).emit('log:chunk:abort', {
+      streamId: transfer.streamId,
+      nodeId,
+      transferId,
+      reason
+    });
+  }
+
+  /**
+   * 中止附件传输
+   * @param {string|null} streamId - 只中止该 Stream 上的传输，null 表示全部
+   */
+  function abortAllTransfers(reason, streamId = null) {
+    for (const [transferId, transfer] of Array.from(transfers)) {
+      if (!streamId || transfer.streamId === streamId) {
+        abortTransfer(transferId, reason);
+      }
+    }
+  }
+
+  /**
+   * 查找本连接在 Stream 中的成员状态
+   * 未指定 streamId 时，只加入了一个 Stream 的连接默认使用该 Stream
+   * @returns {{stream: Object, member: Object}|null}
+   */
+  function getMembership(streamId) {
+    const nodeInfo = nodeMap.get(socket.id);
+    if (!nodeInfo) return null;
+
+    if (streamId === undefined && nodeInfo.streams.size === 1) {
+      streamId = nodeInfo.streams.keys().next().value;
+    }
+
+    const member = nodeInfo.streams.get(streamId);
+    const stream = member && streams.get(streamId);
+    return stream ? { stream, member } : null;
+  }
+
+  /**
+   * 离开 Stream：中止该 Stream 上的附件传输，广播更新的节点列表
+   */
+  function leaveStream(streamId) {
+    abortAllTransfers('left', streamId);
+    socket.leave(streamId);
+
+    console.log(`[STREAM:LEAVE] ${nodeId} left ${streamId}`);
+
+    // 最后一个节点离开后开始空闲计时
+    detachNode(socket.id, streamId);
+    resetNode(socket.id, streamId);
+  }
+
+  /**
+   * 加入 Stream（已加入的其他 Stream 不受影响），记录成员后广播更新的节点列表
+   * @param {Object} member - { exchangeKey, exchangeKeySig, identityKey, identity, fingerprint }
+   */
+  function attachToStream(stream, member) {
+    const streamId = stream.id;
+
+    clearTimeout(stream.idleTimer);
+    stream.idleTimer = null;
+    stream.nodes.add(socket.id);
+    socket.join(streamId);
+    nodeMap.get(socket.id).streams.set(streamId, member);
+
+    streamStore.addMember(streamId, {
+      socketId: socket.id,
+      nodeId,
+      instanceId: config.INSTANCE_ID,
+      ...member
+    }).then(() => {
+      // 写入期间已离开或断开时撤销
+      const current = nodeMap.get(socket.id);
+      if (!current || current.streams.get(streamId) !== member) {
+        return streamStore.removeMember(streamId, socket.id);
+      }
+      broadcastNodeList(streamId);
+    }).catch(error => {
+      console.error(`[STORE] Failed to add member to ${streamId}:`, error.message);
+    });
+  }
+
+  /**
+   * 加入或恢复成功时返回给客户端的 Stream 信息
+   */
+  function describeMembership(stream, identity) {
+    const role = getRole(stream, identity);
+    return {
+      streamId: stream.id,
+      streamName: stream.name,
+      epoch: stream.epoch,
+      role,
+      isOwner: role === 'owner',
+      muted: stream.muted.has(identity),
+      approval: stream.approval,
+      retention: stream.retention,
+      expiresAt: stream.expiresAt
+    };
+  }
+
+  /**
+   * 恢复断开前在某个 Stream 中的成员身份，并补发宽限期内缓冲的消息
+   * 期间 Stream 被关闭、身份被封禁或密钥已轮换时恢复失败，客户端需要重新加入
+   */
+  async function restoreMembership(membership) {
+    const { streamId } = membership;
+
+    const fail = (code, extra = {}) => {
+      sessions.drain(session, streamId);
+      socket.emit('stream:resumed', errorResult(code, { streamId, ...extra }));
+    };
+
+    if (membership.closed) {
+      fail('stream_closed', { reason: membership.closed });
+      return;
+    }
+
+    let stream = null;
+    try {
+      stream = await getStream(streamId);
+    } catch (error) {
+      console.error(`[STORE] Failed to load ${streamId}:`, error.message);
+      fail('storage_unavailable');
+      return;
+    }
+
+    // 等待期间再次断开
+    if (!socket.connected) return;
+
+    if (!stream) {
+      fail('stream_closed', { reason: 'deleted' });
+      return;
+    }
+    if (stream.bans.has(membership.identity)) {
+      fail('banned');
+      return;
+    }
+    // 轮换的新密钥只下发给当时在线的成员
+    if (stream.epoch !== membership.epoch) {
+      fail('key_rotated');
+      return;
+    }
+
+    const replay = sessions.drain(session, streamId);
+    attachToStream(stream, {
+      exchangeKey: membership.exchangeKey,
+      exchangeKeySig: membership.exchangeKeySig,
+      identityKey: membership.identityKey,
+      identity: membership.identity,
+      fingerprint: membership.fingerprint
+    });
+
+    console.log(`[STREAM:RESUME] ${nodeId} resumed ${streamId} (${replay.length} buffered)`);
+
+    socket.emit('stream:resumed', {
+      success: true,
+      ...describeMembership(stream, membership.identity)
+    });
+    for (const message of replay) {
+      socket.emit('log:broadcast', message);
+    }
+  }
+
+  if (resumed) {
+    metrics.sessionsResumed.inc();
+    for (const membership of session.memberships.values()) {
+      restoreMembership(membership);
+    }
+  }
+
+  /**
+   * 创建 Stream
+   * 创建者须用身份私钥签名认证密钥（"logtrace-create|<authKey>"），Stream 创建时即绑定创建者身份，
+   * 与创建时的连接无关（断线、恢复会话或换用新连接后仍是创建者）
+   * @param {Object} data - { streamName: string, authKey: string, identityKey: string, identityProof: string, kdf?: Object,
+   *   retention?: Object, expiresIn?: number, approval?: boolean }，approval 为 true 时新成员需经管理员审批
+   */
+  on('stream:create', async (data) => {
+    const retryAfter = consume('create');
+    if (retryAfter) {
+      rejectRateLimited('stream:create:result', retryAfter);
+      return;
+    }
+
+    const { streamName } = data;
+    const authKey = parseAuthKey(data.authKey);
+
+    if (!authKey) {
+      socket.emit('stream:create:result', errorResult('invalid_auth_key'));
+      return;
+    }
+
+    const identityKey = parseIdentityKey(data.identityKey);
+    if (!identityKey ||
+        !verifyIdentitySignature(identityKey, `logtrace-create|${data.authKey}`, data.identityProof)) {
+      socket.emit('stream:create:result', errorResult('invalid_identity_proof'));
+      return;
+    }
+
+    const kdf = normalizeKdfParams(data.kdf);
+    if (!kdf) {
+      socket.emit('stream:create:result', errorResult('invalid_kdf'));
+      return;
+    }
+
+    const expiresIn = normalizeExpiresIn(data.expiresIn);
+    if (expiresIn === undefined) {
+      socket.emit('stream:create:result', errorResult('invalid_expiry'));
+      return;
+    }
+
+    const streamCount = await streamStore.count().catch(() => Infinity);
+    if (streamCount >= config.MAX_STREAMS) {
+      socket.emit('stream:create:result', errorResult('too_many_streams'));
+      return;
+    }
+
+    for (const id of createdStreams) {
+      if (!streams.has(id)) createdStreams.delete(id);
+    }
+    if (createdStreams.size >= config.MAX_STREAMS_PER_CONNECTION) {
+      socket.emit('stream:create:result', errorResult('stream_quota_exceeded'));
+      return;
+    }
+
+    const retention = normalizeRetention(data.retention);
+    const streamId = uuidv4();
+    const now = Date.now();
+
+    const stream = {
+      id: streamId,
+      name: streamName,
+      authKey,
+      kdf,
+      ownerIdentity: describeIdentity(identityKey).identity,
+      admins: new Set(),
+      bans: new Set(),
+      muted: new Set(),
+      approval: data.approval === true,
+      approved: new Set(),
+      epoch: 0,
+      retention,
+      sendQueue: Promise.resolve(),
+      createdAt: now,
+      expiresAt: expiresIn ? now + expiresIn : null,
+      expiryTimer: null,
+      idleTimer: null,
+      failureNoticeAt: 0,
+      nodes: new Set()
+    };
+
+    try {
+      await streamStore.save(toRecord(stream));
+    } catch (error) {
+      console.error(`[STORE] Failed to save ${streamId}:`, error.message);
+      socket.emit('stream:create:result', errorResult('storage_unavailable'));
+      return;
+    }
+
+    if (expiresIn) {
+      stream.expiryTimer = setTimeout(() => deleteStream(streamId, 'expired'), expiresIn);
+    }
+    // 创建者尚未加入，同样按空闲回收
+    scheduleIdleCleanup(stream);
+
+    streams.set(streamId, stream);
+    createdStreams.add(streamId);
+
+    console.log(`[STREAM:CREATE] ${streamId} created by ${nodeId}`);
+
+    socket.emit('stream:create:result', {
+      success: true,
+      streamId,
+      streamName,
+      kdf,
+      retention,
+      expiresAt: stream.expiresAt,
+      approval: stream.approval
+    });
+  });
+
+  /**
+   * 请求加入 Stream：下发一次性挑战
+   * 通过邀请加入时只提交邀请令牌，由服务端查出对应的 Stream，挑战中附带 invite 以便客户端对应请求
+   * @param {Object} data - { streamId: string } | { invite: string }
+   */
+  on('stream:join', async (data) => {
+    const invite = data.invite || null;
+    let { streamId } = data;
+
+    // 邀请加入的失败结果附带邀请令牌，客户端此时还不知道 Stream ID
+    const reject = (code) => {
+      socket.emit('stream:join:result', errorResult(code, { streamId, ...(invite ? { invite } : {}) }));
+    };
+
+    const retryAfter = consume('join');
+    if (retryAfter) {
+      rejectRateLimited('stream:join:result', retryAfter, invite ? { streamId, invite } : { streamId });
+      return;
+    }
+
+    let stream = null;
+    let inviteId = null;
+    try {
+      if (invite) {
+        inviteId = hashToken(invite);
+        const record = await streamStore.getInvite(inviteId);
+        if (!record || record.expiresAt <= Date.now() || record.uses >= record.maxUses) {
+          reject('invite_invalid');
+          return;
+        }
+        streamId = record.streamId;
+      }
+
+      stream = streamId ? await getStream(streamId) : null;
+    } catch (error) {
+      console.error(`[STORE] Failed to load ${streamId || 'invite'}:`, error.message);
+      reject('storage_unavailable');
+      return;
+    }
+
+    if (!stream) {
+      reject('stream_not_found');
+      return;
+    }
+
+    if (isJoinLimitReached(streamId)) {
+      reject('too_many_joined_streams');
+      return;
+    }
+
+    // 清理过期挑战，并限制同时持有的数量
+    const now = Date.now();
+    for (const [id, challenge] of challenges) {
+      if (challenge.expiresAt < now) challenges.delete(id);
+    }
+    challenges.delete(streamId);
+    if (challenges.size >= MAX_PENDING_CHALLENGES) {
+      challenges.delete(challenges.keys().next().value);
+    }
+
+    const lockedFor = checkJoinAllowed(streamId);
+    if (lockedFor) {
+      rejectJoinLocked(streamId, lockedFor, invite ? { invite } : {});
+      return;
+    }
+
+    const nonce = crypto.randomBytes(32).toString('base64');
+    challenges.set(streamId, { nonce, expiresAt: now + JOIN_CHALLENGE_TTL, inviteId });
+
+    socket.emit('stream:join:challenge', {
+      streamId,
+      ...(invite ? { invite } : {}),
+      nonce,
+      kdf: stream.kdf
+    });
+  });
+
+  /**
+   * 提交挑战应答，验证通过后加入 Stream
+   * 除访问密钥的 HMAC 应答外，还需用身份私钥签名同一挑战，角色与封禁均按身份记录
+   * 通过邀请获取的挑战在全部校验通过后才使用一次邀请，邀请已失效时加入失败
+   * 交换公钥须附带身份密钥的签名（exchangeKeySig），否则不记录交换公钥（无法接收轮换的密钥与私信）
+   * @param {Object} data - { streamId, proof, identityKey, identityProof, exchangeKey?, exchangeKeySig? }
+   */
+  on('stream:join:proof', async (data) => {
+    const { streamId, proof } = data;
+
+    // 挑战只能使用一次
+    const challenge = challenges.get(streamId);
+    challenges.delete(streamId);
+
+    const stream = streams.get(streamId);
+
+    if (!stream) {
+      socket.emit('stream:join:result', errorResult('stream_not_found', { streamId }));
+      return;
+    }
+
+    if (!challenge || challenge.expiresAt < Date.now()) {
+      socket.emit('stream:join:result', errorResult('challenge_expired', { streamId }));
+      return;
+    }
+
+    // 并行获取的挑战同样受失败延迟约束
+    const lockedFor = checkJoinAllowed(streamId);
+    if (lockedFor) {
+      rejectJoinLocked(streamId, lockedFor);
+      return;
+    }
+
+    if (isJoinLimitReached(streamId)) {
+      socket.emit('stream:join:result', errorResult('too_many_joined_streams', { streamId }));
+      return;
+    }
+
+    // 验证 HMAC 应答
+    if (!verifyJoinProof(stream.authKey, streamId, challenge.nonce, proof)) {
+      recordJoinFailure(stream);
+      socket.emit('stream:join:result', errorResult('invalid_access_key', { streamId }));
+      return;
+    }
+
+    joinGuard.reset(clientIp, streamId);
+
+    // 验证身份签名
+    const identityKey = parseIdentityKey(data.identityKey);
+    if (!identityKey ||
+        !verifyIdentityProof(identityKey, streamId, challenge.nonce, data.identityProof)) {
+      metrics.joinFailures.inc({ reason: 'identity' });
+      socket.emit('stream:join:result', errorResult('invalid_identity_proof', { streamId }));
+      return;
+    }
+
+    const { identity, fingerprint } = describeIdentity(identityKey);
+
+    if (stream.bans.has(identity)) {
+      metrics.joinFailures.inc({ reason: 'banned' });
+      socket.emit('stream:join:result', errorResult('banned', { streamId }));
+      return;
+    }
+
+    if (challenge.inviteId) {
+      let redeemed;
+      try {
+        redeemed = await streamStore.redeemInvite(challenge.inviteId, Date.now());
+      } catch (error) {
+        console.error(`[STORE] Failed to redeem invite of ${streamId}:`, error.message);
+        socket.emit('stream:join:result', errorResult('storage_unavailable', { streamId }));
+        return;
+      }
+
+      if (!redeemed) {
+        socket.emit('stream:join:result', errorResult('invite_invalid', { streamId }));
+        return;
+      }
+
+      // 等待存储期间 Stream 可能已被关闭
+      if (streams.get(streamId) !== stream) {
+        socket.emit('stream:join:result', errorResult('stream_not_found', { streamId }));
+        return;
+      }
+
+      console.log(`[INVITE:USE] ${nodeId} used invite ${redeemed.id.slice(0, 8)} of ${streamId} (${redeemed.uses}/${redeemed.maxUses})`);
+    }
+
+    const exchangeKey = parseExchangeKey(data.exchangeKey);
+    const signed = exchangeKey && verifyExchangeKeySignature(identityKey, exchangeKey, data.exchangeKeySig);
+
+    const member = {
+      exchangeKey: signed ? exchangeKey : null,
+      exchangeKeySig: signed ? data.exchangeKeySig : null,
+      identityKey: data.identityKey,
+      identity,
+      fingerprint
+    };
+
+    // 需要审批时，未获批准的普通成员先等待管理员审批
+    if (stream.approval && getRole(stream, identity) === 'member' && !stream.approved.has(identity)) {
+      knock(stream, member);
+      return;
+    }
+
+    admit(stream, member);
+  });
+
+  /**
+   * 验证通过后加入 Stream 并回复加入结果
+   */
+  function admit(stream, member) {
+    attachToStream(stream, member);
+
+    console.log(`[STREAM:JOIN] ${nodeId} joined ${stream.id}`);
+    metrics.joins.inc();
+
+    socket.emit('stream:join:result', {
+      success: true,
+      ...describeMembership(stream, member.identity),
+      kdf: stream.kdf
+    });
+  }
+
+  // 加入请求未获批准时的错误码
+  const KNOCK_FAILURES = {
+    declined: 'join_declined',
+    expired: 'knock_expired',
+    unavailable: 'approval_unavailable',
+    closed: 'stream_not_found'
+  };
+
+  /**
+   * 提交加入请求：请求者收到 stream:join:pending，在线的创建者与管理员收到 stream:knock，
+   * 批准前不进入房间，也不出现在 node:list 中
+   */
+  async function knock(stream, member) {
+    const streamId = stream.id;
+
+    // 同一 Stream 只保留最新的请求
+    if (pendingKnocks.has(streamId)) {
+      settleKnock(pendingKnocks.get(streamId), streamId, 'cancelled');
+    }
+
+    let pending = 0;
+    for (const other of knocks.values()) {
+      if (other.streamId === streamId) pending += 1;
+    }
+    if (pending >= config.MAX_PENDING_KNOCKS) {
+      socket.emit('stream:join:result', errorResult('too_many_knocks', { streamId }));
+      return;
+    }
+
+    const knockId = uuidv4();
+    const expiresAt = Date.now() + config.KNOCK_TIMEOUT;
+
+    knocks.set(knockId, {
+      streamId,
+      timer: setTimeout(() => settleKnock(knockId, streamId, 'expired'), config.KNOCK_TIMEOUT),
+      settle: (outcome, by) => {
+        if (pendingKnocks.get(streamId) === knockId) {
+          pendingKnocks.delete(streamId);
+        }
+
+        if (outcome === 'approved') {
+          admitApproved(stream, member, by);
+        } else if (outcome !== 'cancelled') {
+          console.log(`[STREAM:KNOCK] ${nodeId} not admitted to ${streamId} (${outcome})`);
+          socket.emit('stream:join:result', errorResult(KNOCK_FAILURES[outcome], { streamId }));
+        }
+      }
+    });
+    pendingKnocks.set(streamId, knockId);
+
+    console.log(`[STREAM:KNOCK] ${nodeId} requested to join ${streamId}`);
+    socket.emit('stream:join:pending', { streamId, streamName: stream.name, expiresAt });
+
+    let notified = 0;
+    try {
+      notified = await notifyModerators(streamId, 'stream:knock', {
+        streamId,
+        knockId,
+        nodeId,
+        fingerprint: member.fingerprint,
+        expiresAt
+      });
+    } catch (error) {
+      console.error(`[STORE] Failed to list members of ${streamId}:`, error.message);
+    }
+
+    if (notified === 0) {
+      settleKnock(knockId, streamId, 'unavailable');
+    }
+  }
+
+  /**
+   * 加入请求获批：重新确认 Stream 与身份状态后加入，并记录批准以便之后直接加入
+   */
+  function admitApproved(stream, member, by) {
+    const streamId = stream.id;
+
+    let code = null;
+    if (streams.get(streamId) !== stream) {
+      code = 'stream_not_found';
+    } else if (stream.bans.has(member.identity)) {
+      code = 'banned';
+    } else if (isJoinLimitReached(streamId)) {
+      code = 'too_many_joined_streams';
+    }
+
+    if (code) {
+      socket.emit('stream:join:result', errorResult(code, { streamId }));
+      return;
+    }
+
+    stream.approved.add(member.identity);
+    persistStream(stream);
+
+    console.log(`[STREAM:KNOCK] ${nodeId} approved for ${streamId} by ${by}`);
+    admit(stream, member);
+  }
+
+  /**
+   * 撤回本连接等待审批的加入请求
+   * @param {string} [streamId] - 省略时撤回全部
+   */
+  function cancelKnocks(streamId) {
+    for (const [id, knockId] of Array.from(pendingKnocks)) {
+      if (streamId === undefined || id === streamId) {
+        settleKnock(knockId, id, 'cancelled');
+      }
+    }
+  }
+
+  /**
+   * 审批加入请求（管理员及以上）
+   * 请求者连接在其他实例上时转发给该实例处理
+   * @param {Object} data - { streamId, knockId, approve: boolean }
+   */
+  on('stream:knock:answer', (data = {}) => {
+    const membership = getMembership(data.streamId);
+
+    if (!membership) {
+      socket.emit('stream:knock:result', errorResult('not_joined', {
+        streamId: data.streamId,
+        knockId: data.knockId
+      }));
+      return;
+    }
+
+    const { stream, member } = membership;
+    if (getRole(stream, member.identity) === 'member') {
+      socket.emit('stream:knock:result', errorResult('permission_denied', {
+        streamId: stream.id,
+        knockId: data.knockId
+      }));
+      return;
+    }
+
+    const outcome = data.approve === true ? 'approved' : 'declined';
+    if (!settleKnock(data.knockId, stream.id, outcome, nodeId)) {
+      notifyInstances('relay:knock:answer', { knockId: data.knockId, streamId: stream.id, outcome, by: nodeId });
+    }
+
+    socket.emit('stream:knock:result', {
+      success: true,
+      streamId: stream.id,
+      knockId: data.knockId,
+      approved: outcome === 'approved'
+    });
+  });
+
+  /**
+   * 开启或关闭加入审批（仅创建者），已加入的成员不受影响
+   * @param {Object} data - { streamId, required: boolean }
+   */
+  on('stream:approval', (data = {}) => {
+    const membership = getMembership(data.streamId);
+
+    if (!membership) {
+      socket.emit('stream:approval:result', errorResult('not_joined', { streamId: data.streamId }));
+      return;
+    }
+
+    const { stream, member } = membership;
+    if (getRole(stream, member.identity) !== 'owner') {
+      socket.emit('stream:approval:result', errorResult('owner_only', { streamId: stream.id }));
+      return;
+    }
+
+    stream.approval = data.required === true;
+    persistStream(stream);
+
+    console.log(`[STREAM:APPROVAL] ${stream.id} approval ${stream.approval ? 'required' : 'off'} by ${nodeId}`);
+    socket.emit('stream:approval:result', { success: true, streamId: stream.id, required: stream.approval });
+  });
+
+  /**
+   * 离开 Stream
+   * @param {Object} [data] - { streamId?: string }，未指定时离开所有已加入的 Stream
+   */
+  on('stream:leave', (data = {}) => {
+    const currentNode = nodeMap.get(socket.id);
+    const { streamId } = data;
+
+    cancelKnocks(streamId);
+
+    if (streamId === undefined) {
+      for (const id of Array.from(currentNode.streams.keys())) {
+        leaveStream(id);
+      }
+    } else if (currentNode.streams.has(streamId)) {
+      leaveStream(streamId);
+    }
+
+    socket.emit('stream:leave:result', { success: true, streamId: streamId || null });
+  });
+
+  /**
+   * 删除 Stream（仅创建者），所有成员收到 stream:closed
+   * @param {Object} [data] - { streamId }
+   */
+  on('stream:delete', (data = {}) => {
+    const membership = getMembership(data.streamId);
+
+    if (!membership) {
+      socket.emit('stream:delete:result', errorResult('not_joined'));
+      return;
+    }
+
+    const { stream, member } = membership;
+    if (getRole(stream, member.identity) !== 'owner') {
+      socket.emit('stream:delete:result', errorResult('owner_only'));
+      return;
+    }
+
+    abortAllTransfers('deleted', stream.id);
+    deleteStream(stream.id, 'deleted');
+
+    socket.emit('stream:delete:result', { success: true, streamId: stream.id });
+  });
+
+  /**
+   * 管理操作的公共校验
+   * 失败时发送 stream:<action>:result 错误并返回 null
+   * @returns {Promise<Object|null>} - { stream, target（成员记录）, role }
+   */
+  async function resolveModeration(action, data = {}) {
+    const fail = (code) => {
+      socket.emit(`stream:${action}:result`, errorResult(code, {
+        action,
+        streamId: data.streamId,
+        nodeId: data.nodeId
+      }));
+      return null;
+    };
+
+    const membership = getMembership(data.streamId);
+    if (!membership) {
+      return fail('not_joined');
+    }
+    const { stream, member } = membership;
+
+    let target;
+    try {
+      target = await findMember(stream.id, data.nodeId);
+    } catch (error) {
+      console.error(`[STORE] Failed to list members of ${stream.id}:`, error.message);
+      return fail('storage_unavailable');
+    }
+
+    if (!target) {
+      return fail('node_not_found');
+    }
+    if (target.socketId === socket.id) {
+      return fail('cannot_moderate_self');
+    }
+
+    const role = getRole(stream, member.identity);
+    if (!canModerate(role, getRole(stream, target.identity))) {
+      return fail('permission_denied');
+    }
+
+    return { stream, target, role };
+  }
+
+  /**
+   * 通知某个身份的所有在线连接（包括其他实例上的连接）
+   */
+  function notifyIdentity(stream, identity, notice) {
+    streamStore.listMembers(stream.id).then(members => {
+      for (const member of members) {
+        if (member.identity === identity) {
+          io.to(member.socketId).emit('stream:moderated', notice);
+        }
+      }
+    }).catch(error => {
+      console.error(`[STORE] Failed to list members of ${stream.id}:`, error.message);
+    });
+  }
+
+  /**
+   * 踢出成员（管理员及以上），被踢出者可凭访问密钥重新加入
+   * @param {Object} data - { nodeId: string }
+   */
+  on('stream:kick', async (data) => {
+    const ctx = await resolveModeration('kick', data);
+    if (!ctx) return;
+
+    // 需要审批的 Stream 中，被踢出者重新加入时需再次审批
+    if (ctx.stream.approved.delete(ctx.target.identity)) {
+      await persistStream(ctx.stream);
+    }
+
+    evictNode(ctx.stream, ctx.target.socketId, { streamId: ctx.stream.id, action: 'kick', by: nodeId });
+
+    console.log(`[STREAM:KICK] ${ctx.target.nodeId} kicked from ${ctx.stream.id} by ${nodeId}`);
+    socket.emit('stream:kick:result', { success: true, action: 'kick', streamId: ctx.stream.id, nodeId: data.nodeId });
+  });
+
+  /**
+   * 封禁成员（管理员及以上）：按身份封禁，同一身份的所有连接均被移出
+   * @param {Object} data - { nodeId: string }
+   */
+  on('stream:ban', async (data) => {
+    const ctx = await resolveModeration('ban', data);
+    if (!ctx) return;
+
+    const { stream, target } = ctx;
+    stream.bans.add(target.identity);
+    stream.admins.delete(target.identity);
+    stream.approved.delete(target.identity);
+    await persistStream(stream);
+
+    const members = await streamStore.listMembers(stream.id).catch(() => [target]);
+    for (const member of members) {
+      if (member.identity === target.identity) {
+        evictNode(stream, member.socketId, { streamId: stream.id, action: 'ban', by: nodeId });
+      }
+    }
+
+    console.log(`[STREAM:BAN] ${target.nodeId} banned from ${stream.id} by ${nodeId}`);
+    socket.emit('stream:ban:result', { success: true, action: 'ban', streamId: stream.id, nodeId: data.nodeId });
+  });
+
+  /**
+   * 禁言或解除禁言（管理员及以上），按身份记录
+   * @param {Object} data - { nodeId: string, muted?: boolean }
+   */
+  on('stream:mute', async (data) => {
+    const ctx = await resolveModeration('mute', data);
+    if (!ctx) return;
+
+    const { stream, target } = ctx;
+    const muted = data.muted !== false;
+    const action = muted ? 'mute' : 'unmute';
+
+    if (muted) {
+      stream.muted.add(target.identity);
+    } else {
+      stream.muted.delete(target.identity);
+    }
+    await persistStream(stream);
+
+    notifyIdentity(stream, target.identity, { streamId: stream.id, action, by: nodeId });
+    broadcastNodeList(stream.id);
+
+    console.log(`[STREAM:MUTE] ${target.nodeId} ${action}d in ${stream.id} by ${nodeId}`);
+    socket.emit('stream:mute:result', { success: true, action, streamId: stream.id, nodeId: data.nodeId });
+  });
+
+  /**
+   * 任免管理员（仅创建者）
+   * @param {Object} data - { nodeId: string, role: 'admin' | 'member' }
+   */
+  on('stream:role', async (data) => {
+    const ctx = await resolveModeration('role', data);
+    if (!ctx) return;
+
+    const { stream, target } = ctx;
+
+    if (ctx.role !== 'owner') {
+      socket.emit('stream:role:result', errorResult('owner_only', {
+        action: 'role',
+        streamId: stream.id,
+        nodeId: data.nodeId
+      }));
+      return;
+    }
+
+    if (data.role === 'admin') {
+      stream.admins.add(target.identity);
+    } else {
+      stream.admins.delete(target.identity);
+    }
+    await persistStream(stream);
+
+    notifyIdentity(stream, target.identity, {
+      streamId: stream.id,
+      action: 'role',
+      role: data.role,
+      by: nodeId
+    });
+    broadcastNodeList(stream.id);
+
+    console.log(`[STREAM:ROLE] ${target.nodeId} set to ${data.role} in ${stream.id} by ${nodeId}`);
+    socket.emit('stream:role:result', { success: true, action: 'role', streamId: stream.id, nodeId: data.nodeId });
+  });
+
+  /**
+   * 轮换密钥（仅创建者）
+   * 新访问密钥由创建者逐个包装给当前成员，服务端只负责递增纪元并转发；已发出的邀请随之作废
+   * @param {Object} data - { streamId, kdf: Object, authKey: string, grants: [{ nodeId, wrapped }] }
+   */
+  on('stream:rotate', async (data) => {
+    const membership = getMembership(data.streamId);
 
-/**
- * 内存存储结构
- *
- * streams: Map<streamId, {
- *   id: string,
- *   name: string,
- *   passwordHash: string,
- *   createdAt: number,
- *   nodes: Set<socketId>
- * }>
- *
- * nodeMap: Map<socketId, {
- *   nodeId: string,
- *   streamId: string | null
- * }>
- */
-const streams = new Map();
-const nodeMap = new Map();
+    if (!membership) {
+      socket.emit('stream:rotate:result', errorResult('not_joined', { streamId: data.streamId }));
+      return;
+    }
 
-/**
- * 生成随机节点 ID
- */
-function generateNodeId() {
-  return 'node-' + uuidv4().slice(0, 8);
-}
+    const { stream, member } = membership;
+    if (getRole(stream, member.identity) !== 'owner') {
+      socket.emit('stream:rotate:result', errorResult('owner_only', { streamId: data.streamId }));
+      return;
+    }
 
-/**
- * 获取 Stream 中的在线节点列表
- */
-function getStreamNodes(streamId) {
-  const stream = streams.get(streamId);
-  if (!stream) return [];
+    const kdf = normalizeKdfParams(data.kdf);
+    const authKey = parseAuthKey(data.authKey);
 
-  const nodes = [];
-  for (const socketId of stream.nodes) {
-    const nodeInfo = nodeMap.get(socketId);
-    if (nodeInfo) {
-      nodes.push(nodeInfo.nodeId);
+    if (!kdf || !authKey) {
+      socket.emit('stream:rotate:result', errorResult('invalid_key_params', { streamId: data.streamId }));
+      return;
     }
-  }
-  return nodes;
-}
 
-/**
- * 广播节点列表更新
- */
-function broadcastNodeList(streamId) {
-  const nodes = getStreamNodes(streamId);
-  io.to(streamId).emit('node:list', { streamId, nodes });
-}
+    const grants = new Map((data.grants || []).map(grant => [grant.nodeId, grant.wrapped]));
 
-// Socket.IO 连接处理
-io.on('connection', (socket) => {
-  const nodeId = generateNodeId();
-  nodeMap.set(socket.id, { nodeId, streamId: null });
+    stream.kdf = kdf;
+    stream.authKey = authKey;
+    stream.epoch += 1;
+    await persistStream(stream);
+
+    // 已发出的邀请链接携带旧访问密钥，一并作废
+    streamStore.listInvites(stream.id)
+      .then(invites => Promise.all(invites.map(invite => streamStore.deleteInvite(invite.id))))
+      .catch(error => {
+        console.error(`[STORE] Failed to revoke invites of ${stream.id}:`, error.message);
+      });
 
-  console.log(`[CONNECT] ${nodeId} connected (socket: ${socket.id})`);
+    console.log(`[STREAM:ROTATE] ${stream.id} rotated to epoch ${stream.epoch} by ${nodeId}`);
+
+    // 向每个成员下发新纪元；未获授权的成员只收到通知
+    const members = await streamStore.listMembers(stream.id).catch(() => []);
+    for (const member of members) {
+      if (member.socketId === socket.id) continue;
+
+      io.to(member.socketId).emit('stream:rekey', {
+        streamId: stream.id,
+        epoch: stream.epoch,
+        kdf,
+        from: nodeId,
+        wrapped: grants.get(member.nodeId) || null
+      });
+    }
 
-  // 发送节点 ID 给客户端
-  socket.emit('node:assigned', { nodeId });
+    socket.emit('stream:rotate:result', {
+      success: true,
+      streamId: stream.id,
+      epoch: stream.epoch
+    });
+  });
 
   /**
-   * 创建 Stream
-   * @param {Object} data - { streamName: string, passwordHash: string }
+   * 邀请与写入令牌操作的公共校验（仅创建者）
+   * 失败时发送 <resource>:<action>:result 错误并返回 null
+   * @param {string} resource - 'invite' | 'token'
+   * @returns {Object|null} - Stream
    */
-  socket.on('stream:create', (data) => {
-    const { streamName, passwordHash } = data;
+  function resolveOwner(resource, action, data = {}) {
+    const fail = (code) => {
+      socket.emit(`${resource}:${action}:result`, errorResult(code, { streamId: data.streamId }));
+      return null;
+    };
 
-    if (!streamName || !passwordHash) {
-      socket.emit('stream:create:result', {
-        success: false,
-        error: 'Missing required parameters'
-      });
+    const membership = getMembership(data.streamId);
+    if (!membership) {
+      return fail('not_joined');
+    }
+
+    const { stream, member } = membership;
+    if (getRole(stream, member.identity) !== 'owner') {
+      return fail('owner_only');
+    }
+
+    return stream;
+  }
+
+  /**
+   * 创建邀请（仅创建者）
+   * 令牌只在结果中返回一次，服务端只保存其哈希；访问密钥由客户端放在邀请链接的片段中，不经过服务端
+   * @param {Object} data - { streamId, expiresIn: number（毫秒）, maxUses?: number（默认 1） }
+   */
+  on('invite:create', async (data = {}) => {
+    const stream = resolveOwner('invite', 'create', data);
+    if (!stream) return;
+
+    const options = normalizeInviteOptions(data);
+    if (!options) {
+      socket.emit('invite:create:result', errorResult('invalid_invite_options', { streamId: stream.id }));
       return;
     }
 
-    const streamId = uuidv4();
+    const token = crypto.randomBytes(24).toString('base64url');
+    const now = Date.now();
+    const invite = {
+      id: hashToken(token),
+      streamId: stream.id,
+      createdBy: nodeId,
+      createdAt: now,
+      // 邀请不会比 Stream 本身更晚过期
+      expiresAt: Math.min(now + options.expiresIn, stream.expiresAt || Infinity),
+      maxUses: options.maxUses,
+      uses: 0
+    };
 
-    streams.set(streamId, {
-      id: streamId,
-      name: streamName,
-      passwordHash,
-      createdAt: Date.now(),
-      nodes: new Set()
+    try {
+      const invites = await listActiveInvites(stream.id);
+      if (invites.length >= config.MAX_INVITES_PER_STREAM) {
+        socket.emit('invite:create:result', errorResult('too_many_invites', { streamId: stream.id }));
+        return;
+      }
+
+      await streamStore.saveInvite(invite);
+    } catch (error) {
+      console.error(`[STORE] Failed to save invite of ${stream.id}:`, error.message);
+      socket.emit('invite:create:result', errorResult('storage_unavailable', { streamId: stream.id }));
+      return;
+    }
+
+    console.log(`[INVITE:CREATE] ${invite.id.slice(0, 8)} for ${stream.id} by ${nodeId} (${invite.maxUses} uses)`);
+
+    socket.emit('invite:create:result', {
+      success: true,
+      streamId: stream.id,
+      token,
+      invite: describeInvite(invite)
     });
+  });
 
-    console.log(`[STREAM:CREATE] ${streamId} created by ${nodeId}`);
+  /**
+   * 列出仍然有效的邀请（仅创建者）
+   * @param {Object} data - { streamId }
+   */
+  on('invite:list', async (data = {}) => {
+    const stream = resolveOwner('invite', 'list', data);
+    if (!stream) return;
 
-    socket.emit('stream:create:result', {
+    let invites;
+    try {
+      invites = await listActiveInvites(stream.id);
+    } catch (error) {
+      console.error(`[STORE] Failed to list invites of ${stream.id}:`, error.message);
+      socket.emit('invite:list:result', errorResult('storage_unavailable', { streamId: stream.id }));
+      return;
+    }
+
+    socket.emit('invite:list:result', {
       success: true,
-      streamId,
-      streamName
+      streamId: stream.id,
+      invites: invites.map(describeInvite)
     });
   });
 
   /**
-   * 加入 Stream
-   * @param {Object} data - { streamId: string, passwordHash: string }
+   * 撤销邀请（仅创建者），已通过邀请加入的成员不受影响
+   * @param {Object} data - { streamId, inviteId }
    */
-  socket.on('stream:join', (data) => {
-    const { streamId, passwordHash } = data;
+  on('invite:revoke', async (data = {}) => {
+    const stream = resolveOwner('invite', 'revoke', data);
+    if (!stream) return;
 
-    const stream = streams.get(streamId);
+    const { inviteId } = data;
+    let invite = null;
+    try {
+      invite = await streamStore.getInvite(inviteId);
+      if (invite && invite.streamId === stream.id) {
+        await streamStore.deleteInvite(inviteId);
+      }
+    } catch (error) {
+      console.error(`[STORE] Failed to revoke invite of ${stream.id}:`, error.message);
+      socket.emit('invite:revoke:result', errorResult('storage_unavailable', {
+        streamId: stream.id,
+        inviteId
+      }));
+      return;
+    }
 
-    if (!stream) {
-      socket.emit('stream:join:result', {
-        success: false,
-        error: 'Stream not found'
-      });
+    if (!invite || invite.streamId !== stream.id) {
+      socket.emit('invite:revoke:result', errorResult('invite_not_found', {
+        streamId: stream.id,
+        inviteId
+      }));
       return;
     }
 
-    // 验证密码哈希
-    if (stream.passwordHash !== passwordHash) {
-      socket.emit('stream:join:result', {
-        success: false,
-        error: 'Invalid access key'
-      });
+    console.log(`[INVITE:REVOKE] ${inviteId.slice(0, 8)} of ${stream.id} revoked by ${nodeId}`);
+    socket.emit('invite:revoke:result', { success: true, streamId: stream.id, inviteId });
+  });
+
+  /**
+   * 签发写入令牌（仅创建者），脚本凭令牌通过 HTTP 推送已加密的日志
+   * 令牌只在结果中返回一次，服务端只保存其哈希；写入的消息使用令牌专属的节点 ID（加密时须作为附加认证数据）
+   * @param {Object} data - { streamId, label?: string, expiresIn?: number（毫秒，省略表示随 Stream 失效；与 Stream 相同，不超过 STREAM_MAX_TTL） }
+   */
+  on('token:create', async (data = {}) => {
+    const stream = resolveOwner('token', 'create', data);
+    if (!stream) return;
+
+    const expiresIn = normalizeExpiresIn(data.expiresIn);
+    if (expiresIn === undefined) {
+      socket.emit('token:create:result', errorResult('invalid_expiry', { streamId: stream.id }));
       return;
     }
 
-    // 离开之前的 Stream
-    const currentNode = nodeMap.get(socket.id);
-    if (currentNode && currentNode.streamId) {
-      const oldStream = streams.get(currentNode.streamId);
-      if (oldStream) {
-        oldStream.nodes.delete(socket.id);
-        socket.leave(currentNode.streamId);
-        broadcastNodeList(currentNode.streamId);
+    const token = crypto.randomBytes(24).toString('base64url');
+    const now = Date.now();
+    const expiresAt = expiresIn ? now + expiresIn : null;
+    const record = {
+      id: hashToken(token),
+      streamId: stream.id,
+      nodeId: generateNodeId(),
+      label: data.label || '',
+      createdBy: nodeId,
+      createdAt: now,
+      // 令牌不会比 Stream 本身更晚过期
+      expiresAt: stream.expiresAt ? Math.min(expiresAt || Infinity, stream.expiresAt) : expiresAt
+    };
+
+    try {
+      const tokens = await listActiveTokens(stream.id);
+      if (tokens.length >= config.MAX_WRITE_TOKENS_PER_STREAM) {
+        socket.emit('token:create:result', errorResult('too_many_tokens', { streamId: stream.id }));
+        return;
       }
-    }
 
-    // 加入新 Stream
-    stream.nodes.add(socket.id);
-    socket.join(streamId);
-    nodeMap.set(socket.id, { nodeId, streamId });
+      await streamStore.saveToken(record);
+    } catch (error) {
+      console.error(`[STORE] Failed to save write token of ${stream.id}:`, error.message);
+      socket.emit('token:create:result', errorResult('storage_unavailable', { streamId: stream.id }));
+      return;
+    }
 
-    console.log(`[STREAM:JOIN] ${nodeId} joined ${streamId}`);
+    console.log(`[TOKEN:CREATE] ${record.id.slice(0, 8)} (${record.nodeId}) for ${stream.id} by ${nodeId}`);
 
-    socket.emit('stream:join:result', {
+    socket.emit('token:create:result', {
       success: true,
-      streamId,
-      streamName: stream.name
+      streamId: stream.id,
+      token,
+      writeToken: describeWriteToken(record)
     });
-
-    // 广播更新的节点列表
-    broadcastNodeList(streamId);
   });
 
   /**
-   * 离开 Stream
+   * 列出仍然有效的写入令牌（仅创建者）
+   * @param {Object} data - { streamId }
    */
-  socket.on('stream:leave', () => {
-    const currentNode = nodeMap.get(socket.id);
+  on('token:list', async (data = {}) => {
+    const stream = resolveOwner('token', 'list', data);
+    if (!stream) return;
 
-    if (currentNode && currentNode.streamId) {
-      const stream = streams.get(currentNode.streamId);
-      if (stream) {
-        stream.nodes.delete(socket.id);
-        socket.leave(currentNode.streamId);
+    let tokens;
+    try {
+      tokens = await listActiveTokens(stream.id);
+    } catch (error) {
+      console.error(`[STORE] Failed to list write tokens of ${stream.id}:`, error.message);
+      socket.emit('token:list:result', errorResult('storage_unavailable', { streamId: stream.id }));
+      return;
+    }
 
-        console.log(`[STREAM:LEAVE] ${nodeId} left ${currentNode.streamId}`);
+    socket.emit('token:list:result', {
+      success: true,
+      streamId: stream.id,
+      tokens: tokens.map(describeWriteToken)
+    });
+  });
 
-        // 广播更新的节点列表
-        broadcastNodeList(currentNode.streamId);
+  /**
+   * 撤销写入令牌（仅创建者），之后使用该令牌的请求返回 invalid_token
+   * @param {Object} data - { streamId, tokenId }
+   */
+  on('token:revoke', async (data = {}) => {
+    const stream = resolveOwner('token', 'revoke', data);
+    if (!stream) return;
 
-        // 如果 Stream 没有节点了，可选择删除（当前保留）
-        // if (stream.nodes.size === 0) {
-        //   streams.delete(currentNode.streamId);
-        // }
+    const { tokenId } = data;
+    let token = null;
+    try {
+      token = await streamStore.getToken(tokenId);
+      if (token && token.streamId === stream.id) {
+        await streamStore.deleteToken(tokenId);
       }
+    } catch (error) {
+      console.error(`[STORE] Failed to revoke write token of ${stream.id}:`, error.message);
+      socket.emit('token:revoke:result', errorResult('storage_unavailable', {
+        streamId: stream.id,
+        tokenId
+      }));
+      return;
+    }
 
-      nodeMap.set(socket.id, { nodeId, streamId: null });
+    if (!token || token.streamId !== stream.id) {
+      socket.emit('token:revoke:result', errorResult('token_not_found', {
+        streamId: stream.id,
+        tokenId
+      }));
+      return;
     }
 
-    socket.emit('stream:leave:result', { success: true });
+    console.log(`[TOKEN:REVOKE] ${tokenId.slice(0, 8)} of ${stream.id} revoked by ${nodeId}`);
+    socket.emit('token:revoke:result', { success: true, streamId: stream.id, tokenId });
   });
 
   /**
    * 推送日志（加密消息）
-   * @param {Object} data - { payload: string, level?: string }
+   * payload 为客户端生成的二进制信封，服务端不解析、原样转发给其他成员
+   * 服务端为每条消息分配 ID 与 Stream 内单调递增的序号，通过 ack 回复发送者
+   * （未提供 ack 时回复 log:push:result）
+   * @param {Object} data - { streamId, payload: Buffer, level?: string, keyId?: number }
+   * @param {Function} [ack] - ({ success, streamId, id, seq, timestamp } | { success: false, error, code })
    */
-  socket.on('log:push', (data) => {
-    const currentNode = nodeMap.get(socket.id);
+  on('log:push', (data, ack) => {
+    const reply = (result) => {
+      if (typeof ack === 'function') {
+        ack(result);
+      } else {
+        socket.emit('log:push:result', result);
+      }
+    };
 
-    if (!currentNode || !currentNode.streamId) {
-      socket.emit('log:push:result', {
-        success: false,
-        error: 'Not connected to any stream'
-      });
+    const membership = getMembership(data.streamId);
+
+    if (!membership) {
+      reply(errorResult('not_joined'));
+      return;
+    }
+
+    const { stream, member } = membership;
+    const { payload, keyId = 0 } = data;
+    const level = LOG_LEVELS.includes(data.level) ? data.level : 'INFO';
+
+    const size = payloadSize(payload);
+    if (size === 0) {
+      reply(errorResult('empty_payload'));
+      return;
+    }
+    if (size > config.MAX_PAYLOAD_BYTES) {
+      reply(errorResult('payload_too_large'));
+      return;
+    }
+
+    const retryAfter = consume('message') || consume('bytes', size);
+    if (retryAfter) {
+      reply(errorResult('rate_limited', { retryAfter }));
+      return;
+    }
+
+    // 轮换后拒绝旧纪元的消息，未获新密钥的节点无法继续发言
+    if (keyId !== stream.epoch) {
+      reply(errorResult('stale_epoch'));
       return;
     }
 
-    const { payload, level = 'INFO' } = data;
+    if (stream.muted.has(member.identity)) {
+      reply(errorResult('muted'));
+      return;
+    }
 
-    if (!payload) {
-      socket.emit('log:push:result', {
-        success: false,
-        error: 'Empty payload'
+    // 转发给 Stream 中的其他节点，发送者通过 ack 获得 ID 与序号
+    relayLog(stream, socket.to(stream.id), { nodeId, payload, level, keyId }).then(message => {
+      reply({
+        success: true,
+        streamId: stream.id,
+        id: message.id,
+        seq: message.seq,
+        timestamp: message.timestamp
       });
+    }, () => {
+      reply(errorResult('storage_unavailable'));
+    });
+  });
+
+  /**
+   * 私信：发送者用接收者的 ECDH 公钥加密，只转发给同一 Stream 中的目标节点
+   * 私信不分配序号、不写入历史，也不在断线期间缓冲
+   * @param {Object} data - { streamId, to: nodeId, payload: Buffer, epk: string, level?: string }
+   *   epk 为发送者的一次性 ECDH 公钥（Base64 raw），服务端不解析
+   * @param {Function} [ack] - ({ success, streamId, id, to, timestamp } | { success: false, error, code })
+   */
+  on('log:direct', async (data, ack) => {
+    const reply = (result) => {
+      if (typeof ack === 'function') {
+        ack(result);
+      } else {
+        socket.emit('log:direct:result', result);
+      }
+    };
+
+    const membership = getMembership(data.streamId);
+
+    if (!membership) {
+      reply(errorResult('not_joined'));
+      return;
+    }
+
+    const { stream, member } = membership;
+    const { payload, epk } = data;
+    const level = LOG_LEVELS.includes(data.level) ? data.level : 'INFO';
+
+    const size = payloadSize(payload);
+    if (size === 0) {
+      reply(errorResult('empty_payload'));
+      return;
+    }
+    if (size > config.MAX_PAYLOAD_BYTES) {
+      reply(errorResult('payload_too_large'));
+      return;
+    }
+
+    const retryAfter = consume('message') || consume('bytes', size);
+    if (retryAfter) {
+      reply(errorResult('rate_limited', { retryAfter }));
+      return;
+    }
+
+    if (stream.muted.has(member.identity)) {
+      reply(errorResult('muted'));
+      return;
+    }
+
+    let target;
+    try {
+      target = await findMember(stream.id, data.to);
+    } catch (error) {
+      console.error(`[STORE] Failed to list members of ${stream.id}:`, error.message);
+      reply(errorResult('storage_unavailable'));
+      return;
+    }
+
+    if (!target || target.socketId === socket.id) {
+      reply(errorResult('recipient_not_found'));
       return;
     }
 
     const message = {
-      streamId: currentNode.streamId,
-      nodeId: currentNode.nodeId,
+      id: uuidv4(),
+      streamId: stream.id,
+      nodeId,
+      to: target.nodeId,
       payload,
+      epk,
       level,
       timestamp: Date.now()
     };
 
-    // 广播给 Stream 中的所有节点（包括发送者）
-    io.to(currentNode.streamId).emit('log:broadcast', message);
+    // 目标连接可能在其他实例上，由适配器转发
+    io.to(target.socketId).emit('log:direct', message);
+    metrics.messages.inc();
+    metrics.bytes.inc({ type: 'direct' }, size);
 
-    socket.emit('log:push:result', { success: true });
+    reply({
+      success: true,
+      streamId: stream.id,
+      id: message.id,
+      to: target.nodeId,
+      timestamp: message.timestamp
+    });
   });
 
   /**
-   * 获取 Stream 列表（用于调试，生产环境可移除）
+   * 读取密文历史（仅当前 Stream 成员）
+   * 返回 seq 小于 before 的最新一页，按时间升序
+   * @param {Object} data - { streamId, before?: number, limit?: number }
    */
-  socket.on('stream:list', () => {
-    const list = [];
-    for (const [id, stream] of streams) {
-      list.push({
-        id,
-        name: stream.name,
-        nodeCount: stream.nodes.size,
-        createdAt: stream.createdAt
+  on('log:history', async (data = {}) => {
+    const membership = getMembership(data.streamId);
+
+    if (!membership) {
+      socket.emit('log:history:result', errorResult('not_joined'));
+      return;
+    }
+
+    const { stream } = membership;
+    if (!stream.retention) {
+      socket.emit('log:history:result', errorResult('history_disabled', { streamId: stream.id }));
+      return;
+    }
+
+    const before = Number.isInteger(data.before) ? data.before : Infinity;
+    const limit = Number.isInteger(data.limit)
+      ? Math.min(Math.max(data.limit, 1), config.HISTORY_PAGE_SIZE)
+      : config.HISTORY_PAGE_SIZE;
+
+    try {
+      const page = await historyStore.page(stream.id, { before, limit, now: Date.now() });
+
+      socket.emit('log:history:result', {
+        success: true,
+        streamId: stream.id,
+        entries: page.entries.map(entry => ({
+          id: entry.id,
+          streamId: stream.id,
+          nodeId: entry.nodeId,
+          payload: entry.payload,
+          level: entry.level,
+          keyId: entry.keyId,
+          timestamp: entry.timestamp,
+          seq: entry.seq
+        })),
+        hasMore: page.hasMore
       });
+    } catch (error) {
+      console.error(`[HISTORY] Failed to read history for ${stream.id}:`, error.message);
+      socket.emit('log:history:result', errorResult('history_unavailable', { streamId: stream.id }));
+    }
+  });
+
+  /**
+   * 推送附件分块（加密信封，服务端不解析）
+   * 分块必须按顺序发送；超时未收到下一块时中止传输
+   * @param {Object} data - { streamId, transferId: string, index: number, total: number, payload: Buffer, keyId?: number }
+   */
+  on('log:chunk', (data) => {
+    const membership = getMembership(data.streamId);
+    const { transferId, index, total, payload, keyId = 0 } = data;
+
+    const fail = (code) => {
+      socket.emit('log:chunk:result', errorResult(code, { transferId, index }));
+    };
+
+    if (!membership) {
+      fail('not_joined');
+      return;
+    }
+
+    if (total > config.MAX_TRANSFER_CHUNKS || index >= total) {
+      fail('invalid_chunk');
+      return;
+    }
+
+    if (payload.length === 0 || payload.length > config.MAX_CHUNK_BYTES) {
+      fail('chunk_too_large');
+      return;
+    }
+
+    const { stream, member } = membership;
+    if (keyId !== stream.epoch) {
+      fail('stale_epoch');
+      return;
+    }
+
+    if (stream.muted.has(member.identity)) {
+      fail('muted');
+      return;
+    }
+
+    // 分块只计入流量限制；被限流时保留传输状态，客户端稍后重发同一块
+    const retryAfter = consume('bytes', payload.length);
+    if (retryAfter) {
+      socket.emit('log:chunk:result', errorResult('rate_limited', {
+        transferId,
+        index,
+        retryAfter
+      }));
+      return;
+    }
+
+    let transfer = transfers.get(transferId);
+
+    if (!transfer) {
+      if (index !== 0) {
+        fail('unknown_transfer');
+        return;
+      }
+      if (transfers.size >= config.MAX_CONCURRENT_TRANSFERS) {
+        fail('too_many_transfers');
+        return;
+      }
+      transfer = { streamId: stream.id, total, next: 0, timer: null };
+      transfers.set(transferId, transfer);
+    }
+
+    if (index !== transfer.next || total !== transfer.total || transfer.streamId !== stream.id) {
+      abortTransfer(transferId, 'out_of_order');
+      fail('out_of_order');
+      return;
+    }
+
+    // 重置重组超时
+    clearTimeout(transfer.timer);
+    transfer.next += 1;
+
+    io.to(stream.id).emit('log:chunk', {
+      streamId: stream.id,
+      nodeId,
+      transferId,
+      index,
+      total,
+      payload,
+      keyId
+    });
+    metrics.bytes.inc({ type: 'chunk' }, payload.length);
+
+    if (transfer.next === transfer.total) {
+      transfers.delete(transferId);
+    } else {
+      transfer.timer = setTimeout(() => {
+        abortTransfer(transferId, 'timeout');
+        socket.emit('log:chunk:result', errorResult('transfer_timeout', {
+          transferId,
+          index: transfer.next
+        }));
+      }, config.TRANSFER_TIMEOUT);
     }
-    socket.emit('stream:list:result', { streams: list });
+
+    socket.emit('log:chunk:result', { success: true, transferId, index });
   });
 
   /**
    * 断开连接处理
    */
-  socket.on('disconnect', () => {
+  socket.on('disconnect', (reason) => {
+    abortAllTransfers('disconnected');
+    cancelKnocks();
+
+    // 主动断开时结束会话；意外断开时保留宽限期（已被新连接接管的会话不再处理）
+    if (session.socketId === socket.id) {
+      if (reason === 'client namespace disconnect' || reason === 'server namespace disconnect') {
+        sessions.delete(session);
+      } else {
+        suspendSession(session, socket.id);
+      }
+    }
+
+    for (const { socket: bySocket } of Object.values(limiters)) {
+      bySocket.delete(socket.id);
+    }
+
     const currentNode = nodeMap.get(socket.id);
 
     if (currentNode) {
-      if (currentNode.streamId) {
-        const stream = streams.get(currentNode.streamId);
-        if (stream) {
-          stream.nodes.delete(socket.id);
-          broadcastNodeList(currentNode.streamId);
-        }
+      for (const streamId of currentNode.streams.keys()) {
+        detachNode(socket.id, streamId);
       }
       nodeMap.delete(socket.id);
     }
@@ -290,24 +2960,100 @@ io.on('connection', (socket) => {
   });
 });
 
-// 启动服务器
-httpServer.listen(PORT, () => {
-  console.log(`
+// 定期清理过期历史
+setInterval(() => {
+  historyStore.prune(Date.now()).catch(error => {
+    console.error('[HISTORY] Prune failed:', error.message);
+  });
+}, HISTORY_PRUNE_INTERVAL).unref();
+
+// 定期清理已补满的限流桶与过期的失败记录
+setInterval(() => {
+  for (const scopes of Object.values(limiters)) {
+    for (const limiter of Object.values(scopes)) {
+      limiter.sweep();
+    }
+  }
+  joinGuard.sweep();
+}, RATE_SWEEP_INTERVAL).unref();
+
+// 结束指标统计窗口
+setInterval(() => {
+  eventLoop.rotate();
+  const total = metrics.messages.total();
+  metrics.messageRate.value = (total - metrics.messageRate.last) / (METRICS_WINDOW / 1000);
+  metrics.messageRate.last = total;
+}, METRICS_WINDOW).unref();
+
+/**
+ * 恢复已保存的 Stream 后开始监听
+ */
+async function start() {
+  // 本实例上次运行留下的成员记录已失效
+  await streamStore.removeInstance(config.INSTANCE_ID);
+
+  if (config.STREAM_STORE !== 'memory' && !secretBox) {
+    console.warn('[STORE] STREAM_SECRET is not set, stream auth keys are stored unencrypted');
+  }
+
+  const now = Date.now();
+  let restored = 0;
+  for (const record of await streamStore.list()) {
+    if (record.expiresAt && record.expiresAt <= now) {
+      deleteStream(record.id, 'expired');
+      continue;
+    }
+
+    let stream;
+    try {
+      stream = hydrateStream(record);
+    } catch (error) {
+      console.error(`[STORE] Failed to restore ${record.id}:`, error.message);
+      continue;
+    }
+    restored += 1;
+
+    // 设置 STREAM_SECRET 之前保存的明文认证密钥改为加密保存
+    if (secretBox && !record.sealedAuthKey) {
+      await persistStream(stream);
+    }
+  }
+  if (restored > 0) {
+    console.log(`[STORE] Restored ${restored} streams`);
+  }
+
+  httpServer.listen(config.PORT, () => {
+    console.log(`
 ╔════════════════════════════════════════════╗
 ║       LogTrace Relay Server Started        ║
 ╠════════════════════════════════════════════╣
-║  Port: ${PORT.toString().padEnd(36)}║
-║  CORS: ${CORS_ORIGIN.slice(0, 36).padEnd(36)}║
+║  Port: ${config.PORT.toString().padEnd(36)}║
+║  CORS: ${config.CORS_ORIGIN.slice(0, 36).padEnd(36)}║
 ║  Mode: ${(process.env.NODE_ENV || 'development').padEnd(36)}║
+║  History: ${config.HISTORY_STORE.padEnd(33)}║
+║  Store: ${config.STREAM_STORE.padEnd(35)}║
+║  Adapter: ${config.ADAPTER.slice(0, 33).padEnd(33)}║
+║  Instance: ${config.INSTANCE_ID.slice(0, 32).padEnd(32)}║
 ╚════════════════════════════════════════════╝
-  `);
+    `);
+  });
+}
+
+start().catch(error => {
+  console.error('[SERVER] Failed to start:', error);
+  process.exit(1);
 });
 
 // 优雅关闭
 process.on('SIGTERM', () => {
   console.log('[SERVER] Shutting down...');
   io.close(() => {
-    console.log('[SERVER] Closed');
-    process.exit(0);
+    // 移除本实例的成员记录，其他实例不再把这些连接计入在线节点
+    streamStore.removeInstance(config.INSTANCE_ID).catch(error => {
+      console.error('[STORE] Failed to remove members:', error.message);
+    }).finally(() => {
+      console.log('[SERVER] Closed');
+      process.exit(0);
+    });
   });
 });
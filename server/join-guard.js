@@ -0,0 +1,166 @@
+/**
+ * LogTrace Panel - 加入失败追踪
+ *
+ * 按键（客户端或 Stream）记录访问密钥验证失败的次数：
+ * - 超过免费次数后，每次失败都要等待指数增长的延迟才能再次尝试
+ * - 达到锁定阈值后，在锁定时长内拒绝所有尝试
+ * - 超过统计窗口没有新的失败时清零
+ *
+ * JoinGuard 组合两个追踪器：按 "IP|streamId" 统计单个客户端，按 streamId 统计针对同一 Stream 的分布式猜测
+ * Stream 的失败记录只用于通知成员和拖慢自身已有失败的客户端，不会拒绝没有失败记录的客户端，
+ * 否则知道 Stream ID 的人故意猜错就能把所有成员挡在门外
+ */
+
+class FailureTracker {
+  /**
+   * @param {Object} options
+   * @param {number} options.freeAttempts - 不产生延迟的失败次数
+   * @param {number} options.baseDelay - 首次延迟（毫秒），之后每次翻倍
+   * @param {number} options.maxDelay - 延迟上限（毫秒）
+   * @param {number} options.lockoutThreshold - 触发锁定的失败次数（0 表示不锁定）
+   * @param {number} options.lockoutDuration - 锁定时长（毫秒）
+   * @param {number} options.window - 统计窗口（毫秒）
+   */
+  constructor(options) {
+    this.options = options;
+    // Map<key, { count, lastFailureAt, nextAttemptAt, lockedUntil }>
+    this.records = new Map();
+  }
+
+  /**
+   * 读取仍在统计窗口内的记录
+   */
+  getRecord(key, now) {
+    const record = this.records.get(key);
+    if (!record) return null;
+
+    if (record.lockedUntil <= now && now - record.lastFailureAt > this.options.window) {
+      this.records.delete(key);
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * 检查是否允许尝试
+   * @returns {number} - 0 表示允许，否则为需要等待的毫秒数
+   */
+  check(key) {
+    const now = Date.now();
+    const record = this.getRecord(key, now);
+    if (!record) return 0;
+
+    const until = Math.max(record.nextAttemptAt, record.lockedUntil);
+    return until > now ? until - now : 0;
+  }
+
+  /**
+   * 记录一次失败
+   * @returns {{count: number, locked: boolean}} - locked 表示本次失败触发了锁定
+   */
+  fail(key) {
+    const now = Date.now();
+    const { freeAttempts, baseDelay, maxDelay, lockoutThreshold, lockoutDuration } = this.options;
+
+    let record = this.getRecord(key, now);
+    if (!record) {
+      record = { count: 0, lastFailureAt: now, nextAttemptAt: 0, lockedUntil: 0 };
+      this.records.set(key, record);
+    }
+
+    record.count += 1;
+    record.lastFailureAt = now;
+
+    const excess = record.count - freeAttempts;
+    if (excess > 0) {
+      record.nextAttemptAt = now + Math.min(maxDelay, baseDelay * 2 ** (excess - 1));
+    }
+
+    let locked = false;
+    if (lockoutThreshold > 0 && record.count % lockoutThreshold === 0) {
+      record.lockedUntil = now + lockoutDuration;
+      locked = true;
+    }
+
+    return { count: record.count, locked };
+  }
+
+  /**
+   * 是否有仍在统计窗口内的失败记录
+   */
+  has(key) {
+    return this.getRecord(key, Date.now()) !== null;
+  }
+
+  /**
+   * 验证成功后清除记录
+   */
+  reset(key) {
+    this.records.delete(key);
+  }
+
+  /**
+   * 清理过期记录，保持 Map 有界
+   */
+  sweep() {
+    const now = Date.now();
+    for (const key of Array.from(this.records.keys())) {
+      this.getRecord(key, now);
+    }
+  }
+}
+
+class JoinGuard {
+  /**
+   * @param {Object} clientPolicy - 单个客户端的 FailureTracker 参数
+   * @param {Object} streamPolicy - 整个 Stream 的 FailureTracker 参数
+   */
+  constructor(clientPolicy, streamPolicy) {
+    this.clients = new FailureTracker(clientPolicy);
+    this.streams = new FailureTracker(streamPolicy);
+  }
+
+  /**
+   * 更换策略（配置重载），已有失败记录保留
+   */
+  setPolicies(clientPolicy, streamPolicy) {
+    this.clients.options = clientPolicy;
+    this.streams.options = streamPolicy;
+  }
+
+  /**
+   * 检查客户端是否允许尝试加入
+   * Stream 的延迟与锁定只作用于自身已有失败记录的客户端
+   * @returns {number} - 0 表示允许，否则为需要等待的毫秒数
+   */
+  check(ip, streamId) {
+    const key = `${ip}|${streamId}`;
+    if (!this.clients.has(key)) return 0;
+    return Math.max(this.clients.check(key), this.streams.check(streamId));
+  }
+
+  /**
+   * 记录一次失败
+   * @returns {{client: {count: number, locked: boolean}, stream: {count: number, locked: boolean}}}
+   */
+  fail(ip, streamId) {
+    return {
+      client: this.clients.fail(`${ip}|${streamId}`),
+      stream: this.streams.fail(streamId)
+    };
+  }
+
+  /**
+   * 验证成功后清除该客户端的记录（Stream 的累计失败保留）
+   */
+  reset(ip, streamId) {
+    this.clients.reset(`${ip}|${streamId}`);
+  }
+
+  sweep() {
+    this.clients.sweep();
+    this.streams.sweep();
+  }
+}
+
+module.exports = { FailureTracker, JoinGuard };
@@ -0,0 +1,165 @@
+/**
+ * LogTrace Panel - 运行指标
+ *
+ * 以 Prometheus 文本格式输出计数器与仪表
+ * 标签只用于有限的分类（事件类型、失败原因），不包含 Stream 名称或 ID
+ */
+
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+/**
+ * 标签值转义（反斜杠、双引号、换行）
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels);
+  if (keys.length === 0) return '';
+  return `{${keys.map(key => `${key}="${escapeLabel(labels[key])}"`).join(',')}}`;
+}
+
+class Metric {
+  /**
+   * @param {string} name
+   * @param {string} help
+   * @param {'counter'|'gauge'} type
+   * @param {Function} [collect] - 输出前调用，返回 number 或 [{labels, value}]
+   */
+  constructor(name, help, type, collect) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.collect = collect;
+    // Map<序列化后的标签, { labels, value }>
+    this.series = new Map();
+  }
+
+  getSeries(labels) {
+    const key = formatLabels(labels);
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = { labels, value: 0 };
+      this.series.set(key, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * 输出文本格式
+   */
+  render() {
+    let samples = Array.from(this.series.values());
+
+    if (this.collect) {
+      const collected = this.collect();
+      samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+    }
+
+    const lines = [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`
+    ];
+    for (const { labels, value } of samples) {
+      lines.push(`${this.name}${formatLabels(labels)} ${Number.isFinite(value) ? value : 0}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) {
+    super(name, help, 'counter');
+  }
+
+  /**
+   * @param {Object} [labels={}]
+   * @param {number} [value=1]
+   */
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels).value += value;
+  }
+
+  /**
+   * 所有标签的合计
+   */
+  total() {
+    let sum = 0;
+    for (const entry of this.series.values()) {
+      sum += entry.value;
+    }
+    return sum;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, collect) {
+    super(name, help, 'gauge', collect);
+  }
+
+  /**
+   * @param {Object} [labels={}]
+   * @param {number} value
+   */
+  set(labels, value) {
+    this.getSeries(labels).value = value;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  counter(name, help) {
+    const metric = new Counter(name, help);
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * @param {Function} [collect] - 提供时在每次输出前取值
+   */
+  gauge(name, help, collect) {
+    const metric = new Gauge(name, help, collect);
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * @returns {string} - Prometheus 文本格式
+   */
+  render() {
+    return this.metrics.map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+/**
+ * 事件循环延迟采样
+ * 每个窗口结束时记录分位数并重新采样，输出的是最近一个完整窗口的值
+ */
+class EventLoopMonitor {
+  constructor() {
+    this.histogram = monitorEventLoopDelay({ resolution: 20 });
+    this.histogram.enable();
+    this.snapshot = { p50: 0, p99: 0, max: 0 };
+  }
+
+  /**
+   * 结束当前窗口（秒）
+   */
+  rotate() {
+    const { histogram } = this;
+    if (histogram.count > 0) {
+      this.snapshot = {
+        p50: histogram.percentile(50) / 1e9,
+        p99: histogram.percentile(99) / 1e9,
+        max: histogram.max / 1e9
+      };
+    }
+    histogram.reset();
+  }
+}
+
+module.exports = { MetricsRegistry, EventLoopMonitor };
@@ -0,0 +1,91 @@
+/**
+ * LogTrace Panel - 令牌桶限流
+ *
+ * 每个键（socketId 或 IP）一个令牌桶，按固定速率补充，最多积累 burst 个
+ */
+
+class TokenBucket {
+  /**
+   * @param {number} perMinute - 每分钟补充的令牌数
+   * @param {number} burst - 桶容量
+   */
+  constructor(perMinute, burst) {
+    this.rate = perMinute / 60000;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+  }
+
+  refill(now) {
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) * this.rate);
+    this.updatedAt = now;
+  }
+
+  /**
+   * 尝试取出令牌，不足时不扣减
+   * @returns {number} - 0 表示成功，否则为需要等待的毫秒数
+   */
+  take(cost, now) {
+    this.refill(now);
+
+    // 单次消耗超过容量时按容量计算，避免永远无法通过
+    cost = Math.min(cost, this.burst);
+
+    if (this.tokens >= cost) {
+      this.tokens -= cost;
+      return 0;
+    }
+    // 补充速率为 0 时令牌不再补充，按一分钟提示重试
+    return this.rate > 0 ? Math.ceil((cost - this.tokens) / this.rate) : 60000;
+  }
+
+  isFull(now) {
+    this.refill(now);
+    return this.tokens >= this.burst;
+  }
+}
+
+class RateLimiter {
+  /**
+   * @param {{perMinute: number, burst: number}} options
+   */
+  constructor({ perMinute, burst }) {
+    this.perMinute = perMinute;
+    this.burst = burst;
+    // Map<key, TokenBucket>
+    this.buckets = new Map();
+  }
+
+  /**
+   * 为指定键扣减令牌
+   * @param {string} key
+   * @param {number} [cost=1]
+   * @returns {number} - 0 表示放行，否则为需要等待的毫秒数
+   */
+  take(key, cost = 1) {
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = new TokenBucket(this.perMinute, this.burst);
+      this.buckets.set(key, bucket);
+    }
+    return bucket.take(cost, Date.now());
+  }
+
+  delete(key) {
+    this.buckets.delete(key);
+  }
+
+  /**
+   * 清理已补满的桶（与新建的桶等价），保持 Map 有界
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.isFull(now)) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = { RateLimiter };
@@ -0,0 +1,394 @@
+/**
+ * LogTrace Panel - 入站事件结构校验
+ *
+ * 每个客户端事件声明数据结构，处理函数只会收到通过校验的数据：
+ * - 字段规则：type（'string' | 'integer' | 'boolean' | 'binary' | 'object' | 'array'，可为数组表示任一类型）、
+ *   required、nullable、minLength / maxLength（字符串长度或二进制字节数）、pattern、min / max、enum、
+ *   fields（对象的字段）、items（数组元素）、maxItems
+ * - 未声明的字段忽略（便于新旧版本客户端共存），取值范围等业务规则仍由处理函数检查
+ * - reply 为不带 ack 时回复失败结果的事件，echo 为失败结果中原样带回的字段，便于客户端对应请求
+ * HTTP 写入（POST /streams/:id/logs）的 JSON 请求体使用同样的规则（INGEST_SCHEMA）
+ */
+
+const STREAM_ID = { type: 'string', maxLength: 64 };
+const NODE_ID = { type: 'string', required: true, maxLength: 64 };
+const LEVEL = { type: 'string', maxLength: 16 };
+const KEY_ID = { type: 'integer', min: 0 };
+const BASE64_KEY = { type: 'string', maxLength: 256 };
+const TOKEN_ID = { type: 'string', required: true, pattern: /^[a-f0-9]{64}$/ };
+
+// 轮换密钥时每个在线成员一份包装密钥，超出此数量的请求直接拒绝，不再逐个校验
+const MAX_ROTATE_GRANTS = 1000;
+
+// 写入令牌有效期的结构上限（一年）；实际有效期再按 STREAM_MAX_TTL 截断
+const MAX_TOKEN_TTL = 365 * 24 * 60 * 60 * 1000;
+
+// 新建或轮换时只接受 v2（随机盐），v1（固定盐）只存在于升级前创建的 Stream 记录中
+const KDF = {
+  type: 'object',
+  required: true,
+  fields: {
+    version: { type: 'integer', required: true, enum: [2] },
+    salt: { type: 'string', maxLength: 256 },
+    iterations: { type: 'integer' },
+    hash: { type: 'string', maxLength: 16 }
+  }
+};
+
+const EVENT_SCHEMAS = {
+  'stream:create': {
+    reply: 'stream:create:result',
+    fields: {
+      streamName: { type: 'string', required: true, minLength: 1, maxLength: 256 },
+      authKey: { ...BASE64_KEY, required: true },
+      identityKey: { ...BASE64_KEY, required: true },
+      identityProof: { ...BASE64_KEY, required: true },
+      kdf: KDF,
+      retention: {
+        type: 'object',
+        nullable: true,
+        fields: {
+          ttl: { type: 'integer', required: true, min: 1 },
+          maxCount: { type: 'integer', min: 1 }
+        }
+      },
+      expiresIn: { type: 'integer', nullable: true },
+      approval: { type: 'boolean' }
+    }
+  },
+
+  'stream:join': {
+    reply: 'stream:join:result',
+    echo: ['streamId', 'invite'],
+    fields: {
+      streamId: STREAM_ID,
+      invite: { type: 'string', maxLength: 128 }
+    }
+  },
+
+  'stream:join:proof': {
+    reply: 'stream:join:result',
+    echo: ['streamId'],
+    fields: {
+      streamId: { ...STREAM_ID, required: true },
+      proof: { type: 'string', required: true, maxLength: 128 },
+      identityKey: { ...BASE64_KEY, required: true },
+      identityProof: { ...BASE64_KEY, required: true },
+      exchangeKey: { ...BASE64_KEY, nullable: true },
+      exchangeKeySig: { ...BASE64_KEY, nullable: true }
+    }
+  },
+
+  'stream:knock:answer': {
+    reply: 'stream:knock:result',
+    echo: ['streamId', 'knockId'],
+    fields: {
+      streamId: STREAM_ID,
+      knockId: { type: 'string', required: true, maxLength: 64 },
+      approve: { type: 'boolean', required: true }
+    }
+  },
+
+  'stream:approval': {
+    reply: 'stream:approval:result',
+    echo: ['streamId'],
+    fields: {
+      streamId: STREAM_ID,
+      required: { type: 'boolean', required: true }
+    }
+  },
+
+  'stream:leave': {
+    reply: 'stream:leave:result',
+    echo: ['streamId'],
+    fields: {
+      streamId: STREAM_ID
+    }
+  },
+
+  'stream:delete': {
+    reply: 'stream:delete:result',
+    echo: ['streamId'],
+    fields: {
+      streamId: STREAM_ID
+    }
+  },
+
+  'stream:kick': {
+    reply: 'stream:kick:result',
+    echo: ['streamId', 'nodeId'],
+    fields: {
+      streamId: STREAM_ID,
+      nodeId: NODE_ID
+    }
+  },
+
+  'stream:ban': {
+    reply: 'stream:ban:result',
+    echo: ['streamId', 'nodeId'],
+    fields: {
+      streamId: STREAM_ID,
+      nodeId: NODE_ID
+    }
+  },
+
+  'stream:mute': {
+    reply: 'stream:mute:result',
+    echo: ['streamId', 'nodeId'],
+    fields: {
+      streamId: STREAM_ID,
+      nodeId: NODE_ID,
+      muted: { type: 'boolean' }
+    }
+  },
+
+  'stream:role': {
+    reply: 'stream:role:result',
+    echo: ['streamId', 'nodeId'],
+    fields: {
+      streamId: STREAM_ID,
+      nodeId: NODE_ID,
+      role: { type: 'string', required: true, enum: ['admin', 'member'] }
+    }
+  },
+
+  'stream:rotate': {
+    reply: 'stream:rotate:result',
+    echo: ['streamId'],
+    fields: {
+      streamId: STREAM_ID,
+      kdf: KDF,
+      authKey: { ...BASE64_KEY, required: true },
+      grants: {
+        type: 'array',
+        maxItems: MAX_ROTATE_GRANTS,
+        items: {
+          type: 'object',
+          fields: {
+            nodeId: NODE_ID,
+            wrapped: { type: 'string', required: true, maxLength: 4096 }
+          }
+        }
+      }
+    }
+  },
+
+  'invite:create': {
+    reply: 'invite:create:result',
+    echo: ['streamId'],
+    fields: {
+      streamId: STREAM_ID,
+      expiresIn: { type: 'integer', required: true, min: 1 },
+      maxUses: { type: 'integer', min: 1 }
+    }
+  },
+
+  'invite:list': {
+    reply: 'invite:list:result',
+    echo: ['streamId'],
+    fields: {
+      streamId: STREAM_ID
+    }
+  },
+
+  'invite:revoke': {
+    reply: 'invite:revoke:result',
+    echo: ['streamId', 'inviteId'],
+    fields: {
+      streamId: STREAM_ID,
+      inviteId: TOKEN_ID
+    }
+  },
+
+  'token:create': {
+    reply: 'token:create:result',
+    echo: ['streamId'],
+    fields: {
+      streamId: STREAM_ID,
+      label: { type: 'string', maxLength: 64 },
+      expiresIn: { type: 'integer', nullable: true, min: 1, max: MAX_TOKEN_TTL }
+    }
+  },
+
+  'token:list': {
+    reply: 'token:list:result',
+    echo: ['streamId'],
+    fields: {
+      streamId: STREAM_ID
+    }
+  },
+
+  'token:revoke': {
+    reply: 'token:revoke:result',
+    echo: ['streamId', 'tokenId'],
+    fields: {
+      streamId: STREAM_ID,
+      tokenId: TOKEN_ID
+    }
+  },
+
+  'log:push': {
+    reply: 'log:push:result',
+    echo: ['streamId'],
+    fields: {
+      streamId: STREAM_ID,
+      payload: { type: ['binary', 'string'], required: true },
+      level: LEVEL,
+      keyId: KEY_ID
+    }
+  },
+
+  'log:direct': {
+    reply: 'log:direct:result',
+    echo: ['streamId'],
+    fields: {
+      streamId: STREAM_ID,
+      to: NODE_ID,
+      payload: { type: ['binary', 'string'], required: true },
+      epk: { type: 'string', required: true, pattern: /^[A-Za-z0-9+/]{43,128}={0,2}$/ },
+      level: LEVEL
+    }
+  },
+
+  'log:history': {
+    reply: 'log:history:result',
+    echo: ['streamId'],
+    fields: {
+      streamId: STREAM_ID,
+      before: { type: 'integer', nullable: true },
+      limit: { type: 'integer', nullable: true }
+    }
+  },
+
+  'log:chunk': {
+    reply: 'log:chunk:result',
+    echo: ['streamId', 'transferId', 'index'],
+    fields: {
+      streamId: STREAM_ID,
+      transferId: { type: 'string', required: true, pattern: /^[a-f0-9]{16,64}$/ },
+      index: { type: 'integer', required: true, min: 0 },
+      total: { type: 'integer', required: true, min: 1 },
+      payload: { type: 'binary', required: true },
+      keyId: KEY_ID
+    }
+  }
+};
+
+// HTTP 写入的请求体：payload 为 Base64 编码的二进制信封，长度上限由处理函数按 MAX_PAYLOAD_BYTES 检查
+const INGEST_SCHEMA = {
+  fields: {
+    payload: { type: 'string', required: true, minLength: 1, pattern: /^[A-Za-z0-9+/]+={0,2}$/ },
+    level: LEVEL,
+    keyId: KEY_ID
+  }
+};
+
+/**
+ * 判断值是否符合某个类型
+ */
+function isType(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'binary': return Buffer.isBuffer(value);
+    case 'array': return Array.isArray(value);
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value) && !Buffer.isBuffer(value);
+    default: return false;
+  }
+}
+
+/**
+ * 按字段规则校验一个值
+ * @returns {{field: string, reason: string}|null} - reason: required / type / length / pattern / range / enum
+ */
+function checkValue(rule, value, path) {
+  if (value === undefined || value === null) {
+    if (value === null && rule.nullable) return null;
+    if (value === undefined && !rule.required) return null;
+    return { field: path, reason: value === null ? 'type' : 'required' };
+  }
+
+  const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+  if (!types.some(type => isType(type, value))) {
+    return { field: path, reason: 'type' };
+  }
+
+  if (typeof value === 'string' || Buffer.isBuffer(value)) {
+    if ((rule.minLength !== undefined && value.length < rule.minLength) ||
+        (rule.maxLength !== undefined && value.length > rule.maxLength)) {
+      return { field: path, reason: 'length' };
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return { field: path, reason: 'pattern' };
+    }
+  }
+
+  if (typeof value === 'number' &&
+      ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max))) {
+    return { field: path, reason: 'range' };
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return { field: path, reason: 'enum' };
+  }
+
+  if (rule.fields) {
+    return checkFields(rule.fields, value, path);
+  }
+
+  if (rule.items) {
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return { field: path, reason: 'length' };
+    }
+    for (let i = 0; i < value.length; i++) {
+      const invalid = checkValue(rule.items, value[i], `${path}[${i}]`);
+      if (invalid) return invalid;
+    }
+  }
+
+  return null;
+}
+
+function checkFields(fields, value, path) {
+  for (const [name, rule] of Object.entries(fields)) {
+    const invalid = checkValue(rule, value[name], path ? `${path}.${name}` : name);
+    if (invalid) return invalid;
+  }
+  return null;
+}
+
+/**
+ * 校验事件数据
+ * 所有字段均可省略的事件允许不带数据（按空对象处理）
+ * @param {Object} schema - EVENT_SCHEMAS 中的条目
+ * @returns {{field: string|null, reason: string}|null} - 通过时返回 null；数据本身不是对象时 field 为 null
+ */
+function validate(schema, data) {
+  if (data === undefined && !Object.values(schema.fields).some(rule => rule.required)) {
+    return null;
+  }
+  if (!isType('object', data)) {
+    return { field: null, reason: 'type' };
+  }
+  return checkFields(schema.fields, data, '');
+}
+
+/**
+ * 失败结果中需要带回的字段（只带回基本类型）
+ */
+function echoFields(schema, data) {
+  const echo = {};
+  if (!isType('object', data)) return echo;
+
+  for (const name of schema.echo || []) {
+    const value = data[name];
+    if (typeof value === 'string' || Number.isInteger(value)) {
+      echo[name] = value;
+    }
+  }
+  return echo;
+}
+
+module.exports = { EVENT_SCHEMAS, INGEST_SCHEMA, validate, echoFields };
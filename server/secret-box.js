@@ -0,0 +1,62 @@
+/**
+ * LogTrace Panel - 存储记录中的机密字段加密
+ *
+ * Stream 的认证密钥可以直接回答加入挑战，写入存储前用服务端密钥（STREAM_SECRET）加密：
+ * - 加密密钥：HKDF-SHA256(STREAM_SECRET, info = "logtrace/v1/stream-store")
+ * - 格式："v1:" + Base64(IV(12) || GCM 标签(16) || 密文)
+ * - AAD 为所属记录的 ID，密文不能挪到其他记录中使用
+ */
+
+const crypto = require('crypto');
+
+const VERSION = 'v1';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HKDF_INFO = 'logtrace/v1/stream-store';
+
+class SecretBox {
+  /**
+   * @param {string} secret - 服务端密钥
+   */
+  constructor(secret) {
+    this.key = Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), HKDF_INFO, 32));
+  }
+
+  /**
+   * @param {Buffer} plaintext
+   * @param {string} aad - 所属记录的 ID
+   * @returns {string}
+   */
+  seal(plaintext, aad) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return `${VERSION}:${Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64')}`;
+  }
+
+  /**
+   * 密钥不匹配或内容被篡改时抛出异常
+   * @param {string} sealed
+   * @param {string} aad
+   * @returns {Buffer}
+   */
+  open(sealed, aad) {
+    const [version, payload] = String(sealed).split(':');
+    if (version !== VERSION || !payload) {
+      throw new Error('Unsupported sealed value');
+    }
+
+    const data = Buffer.from(payload, 'base64');
+    if (data.length < IV_LENGTH + TAG_LENGTH) {
+      throw new Error('Sealed value is truncated');
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, data.subarray(0, IV_LENGTH));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+  }
+}
+
+module.exports = { SecretBox };
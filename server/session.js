@@ -0,0 +1,164 @@
+/**
+ * LogTrace Panel - 会话恢复
+ *
+ * 每个连接对应一个会话，连接时向客户端下发会话令牌：
+ * - 连接意外断开后会话保留一段宽限期，期间携带同一令牌重连可恢复节点 ID 与各 Stream 的成员身份
+ * - 宽限期内发往这些 Stream 的消息暂存在会话的回放缓冲中，恢复后按序补发
+ * - 会话只保存在本实例内存中，多实例部署需要让重连回到同一实例（粘滞会话）
+ */
+
+const crypto = require('crypto');
+
+class SessionRegistry {
+  /**
+   * @param {Object} options
+   * @param {number} options.grace - 断开后保留会话的时长（毫秒）
+   * @param {number} options.replayMax - 每个会话最多缓冲的消息数，超出时丢弃最早的
+   */
+  constructor(options) {
+    this.options = options;
+    // Map<token, { token, nodeId, socketId, memberships: Map<streamId, membership>, buffer, timer }>
+    // membership: { streamId, identity, identityKey, fingerprint, exchangeKey, exchangeKeySig, epoch, closed }
+    this.sessions = new Map();
+    // 断开中及正在恢复、需要缓冲消息的会话按 Stream 索引：Map<streamId, Set<session>>
+    this.detached = new Map();
+  }
+
+  /**
+   * 为新连接创建会话
+   * @returns {Object} - 会话，token 为下发给客户端的令牌
+   */
+  create(nodeId, socketId) {
+    const session = {
+      token: crypto.randomBytes(32).toString('base64url'),
+      nodeId,
+      socketId,
+      memberships: new Map(),
+      buffer: [],
+      timer: null
+    };
+    this.sessions.set(session.token, session);
+    return session;
+  }
+
+  /**
+   * 按令牌查找会话
+   */
+  get(token) {
+    return typeof token === 'string' ? this.sessions.get(token) || null : null;
+  }
+
+  /**
+   * 新连接接管断开中的会话（成员身份恢复前仍继续缓冲消息）
+   */
+  resume(session, socketId) {
+    clearTimeout(session.timer);
+    session.timer = null;
+    session.socketId = socketId;
+  }
+
+  /**
+   * 停止缓冲某个 Stream 的消息，并取出宽限期内缓冲的部分
+   * @returns {Object[]}
+   */
+  drain(session, streamId) {
+    this.unindex(session, streamId);
+
+    const drained = session.buffer.filter(message => message.streamId === streamId);
+    session.buffer = session.buffer.filter(message => message.streamId !== streamId);
+    return drained;
+  }
+
+  /**
+   * 连接断开后记录其各 Stream 的成员状态并开始宽限期，到期后删除会话
+   * @param {Object[]} memberships - [{ streamId, identity, identityKey, fingerprint, exchangeKey, exchangeKeySig, epoch }]
+   */
+  detach(session, memberships) {
+    for (const streamId of session.memberships.keys()) {
+      this.unindex(session, streamId);
+    }
+
+    session.socketId = null;
+    session.buffer = [];
+    session.memberships = new Map();
+
+    for (const membership of memberships) {
+      session.memberships.set(membership.streamId, { ...membership, closed: null });
+
+      let sessions = this.detached.get(membership.streamId);
+      if (!sessions) {
+        sessions = new Set();
+        this.detached.set(membership.streamId, sessions);
+      }
+      sessions.add(session);
+    }
+
+    clearTimeout(session.timer);
+    session.timer = setTimeout(() => this.delete(session), this.options.grace);
+    session.timer.unref();
+  }
+
+  /**
+   * 删除会话（主动断开或宽限期结束）
+   */
+  delete(session) {
+    for (const streamId of session.memberships.keys()) {
+      this.unindex(session, streamId);
+    }
+    clearTimeout(session.timer);
+    this.sessions.delete(session.token);
+  }
+
+  /**
+   * 将消息写入该 Stream 上所有断开中会话的回放缓冲
+   */
+  buffer(streamId, message) {
+    const sessions = this.detached.get(streamId);
+    if (!sessions) return;
+
+    for (const session of sessions) {
+      session.buffer.push(message);
+      if (session.buffer.length > this.options.replayMax) {
+        session.buffer.shift();
+      }
+    }
+  }
+
+  /**
+   * Stream 关闭后，断开中的会话恢复时只收到关闭原因
+   * @param {string} reason - 同 stream:closed 的 reason
+   */
+  closeStream(streamId, reason) {
+    const sessions = this.detached.get(streamId);
+    if (!sessions) return;
+
+    for (const session of sessions) {
+      session.memberships.get(streamId).closed = reason;
+      session.buffer = session.buffer.filter(message => message.streamId !== streamId);
+    }
+    this.detached.delete(streamId);
+  }
+
+  unindex(session, streamId) {
+    const sessions = this.detached.get(streamId);
+    if (!sessions) return;
+
+    sessions.delete(session);
+    if (sessions.size === 0) {
+      this.detached.delete(streamId);
+    }
+  }
+
+  /**
+   * 断开中的会话数
+   */
+  detachedCount() {
+    let count = 0;
+    for (const session of this.sessions.values()) {
+      if (!session.socketId) count += 1;
+    }
+    return count;
+  }
+}
+
+module.exports = { SessionRegistry };
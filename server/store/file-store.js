@@ -0,0 +1,270 @@
+/**
+ * LogTrace Panel - 文件 Stream 存储
+ *
+ * 每个 Stream 一个 JSON 文件，每个在线成员一个 JSON 文件：
+ *   <dir>/streams/<streamId>.json
+ *   <dir>/members/<streamId>/<socketId>.json
+ *   <dir>/seq/<streamId>              最近分配的消息序号
+ *   <dir>/invites/<inviteId>.json     邀请（使用次数的更新通过锁文件串行化）
+ *   <dir>/tokens/<tokenId>.json       写入令牌
+ * 写入先写临时文件再重命名；成员增删只涉及各自的文件，多个实例共享同一目录时不会互相覆盖
+ * 序号分配通过锁文件串行化，保证多个实例间单调递增
+ * Stream 记录可能包含认证密钥（未设置 STREAM_SECRET 时为明文），目录与文件只允许运行服务的用户访问
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// 锁文件的重试间隔，以及视为残留（持有进程已退出）的时长
+const LOCK_RETRY_DELAY = 5;
+const LOCK_STALE_AFTER = 5000;
+
+// 新建目录与文件的权限（仅属主可读写）
+const DIR_MODE = 0o700;
+const FILE_MODE = 0o600;
+
+// 过滤文件名，防止路径穿越（streamId 为 UUID，socketId 为 URL 安全的 Base64）
+function safeName(value) {
+  return String(value).replace(/[^a-zA-Z0-9_-]/g, '');
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+async function readDir(dir) {
+  try {
+    return await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+/**
+ * 持有锁文件期间执行 task
+ */
+async function withLock(lockFile, task) {
+  await fs.mkdir(path.dirname(lockFile), { recursive: true, mode: DIR_MODE });
+
+  let handle;
+  for (;;) {
+    try {
+      handle = await fs.open(lockFile, 'wx');
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      const stat = await fs.stat(lockFile).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > LOCK_STALE_AFTER) {
+        await fs.rm(lockFile, { force: true });
+        continue;
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY));
+    }
+  }
+
+  try {
+    return await task();
+  } finally {
+    await handle.close();
+    await fs.rm(lockFile, { force: true });
+  }
+}
+
+async function writeJson(file, value) {
+  await fs.mkdir(path.dirname(file), { recursive: true, mode: DIR_MODE });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(value), { mode: FILE_MODE });
+  await fs.rename(tmp, file);
+}
+
+class FileStreamStore {
+  /**
+   * @param {{dir: string}} options - 存储目录
+   */
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  streamPath(streamId) {
+    return path.join(this.dir, 'streams', safeName(streamId) + '.json');
+  }
+
+  membersDir(streamId) {
+    return path.join(this.dir, 'members', safeName(streamId));
+  }
+
+  seqPath(streamId) {
+    return path.join(this.dir, 'seq', safeName(streamId));
+  }
+
+  invitePath(inviteId) {
+    return path.join(this.dir, 'invites', safeName(inviteId) + '.json');
+  }
+
+  tokenPath(tokenId) {
+    return path.join(this.dir, 'tokens', safeName(tokenId) + '.json');
+  }
+
+  async list() {
+    const files = await readDir(path.join(this.dir, 'streams'));
+    const records = [];
+
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      const record = await readJson(path.join(this.dir, 'streams', file));
+      if (record) records.push(record);
+    }
+    return records;
+  }
+
+  async get(streamId) {
+    return readJson(this.streamPath(streamId));
+  }
+
+  async save(record) {
+    await writeJson(this.streamPath(record.id), record);
+  }
+
+  async delete(streamId) {
+    await fs.rm(this.streamPath(streamId), { force: true });
+    await fs.rm(this.membersDir(streamId), { recursive: true, force: true });
+    await fs.rm(this.seqPath(streamId), { force: true });
+
+    for (const invite of await this.listInvites(streamId)) {
+      await this.deleteInvite(invite.id);
+    }
+    for (const token of await this.listTokens(streamId)) {
+      await this.deleteToken(token.id);
+    }
+  }
+
+  async count() {
+    const files = await readDir(path.join(this.dir, 'streams'));
+    return files.filter(file => file.endsWith('.json')).length;
+  }
+
+  async addMember(streamId, member) {
+    await writeJson(path.join(this.membersDir(streamId), safeName(member.socketId) + '.json'), member);
+  }
+
+  async removeMember(streamId, socketId) {
+    await fs.rm(path.join(this.membersDir(streamId), safeName(socketId) + '.json'), { force: true });
+  }
+
+  async listMembers(streamId) {
+    const dir = this.membersDir(streamId);
+    const members = [];
+
+    for (const file of await readDir(dir)) {
+      if (!file.endsWith('.json')) continue;
+      const member = await readJson(path.join(dir, file));
+      if (member) members.push(member);
+    }
+    return members;
+  }
+
+  async nextSeq(streamId) {
+    const file = this.seqPath(streamId);
+
+    return withLock(file + '.lock', async () => {
+      let seq = 0;
+      try {
+        seq = parseInt(await fs.readFile(file, 'utf8'), 10) || 0;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+
+      seq += 1;
+      await fs.writeFile(file, String(seq), { mode: FILE_MODE });
+      return seq;
+    });
+  }
+
+  async saveInvite(invite) {
+    await writeJson(this.invitePath(invite.id), invite);
+  }
+
+  async getInvite(inviteId) {
+    return readJson(this.invitePath(inviteId));
+  }
+
+  async listInvites(streamId) {
+    const dir = path.join(this.dir, 'invites');
+    const invites = [];
+
+    for (const file of await readDir(dir)) {
+      if (!file.endsWith('.json')) continue;
+      const invite = await readJson(path.join(dir, file));
+      if (invite && invite.streamId === streamId) invites.push(invite);
+    }
+    return invites;
+  }
+
+  async redeemInvite(inviteId, now) {
+    const file = this.invitePath(inviteId);
+
+    return withLock(file + '.lock', async () => {
+      const invite = await readJson(file);
+      if (!invite || invite.expiresAt <= now || invite.uses >= invite.maxUses) {
+        return null;
+      }
+
+      invite.uses += 1;
+      if (invite.uses >= invite.maxUses) {
+        await fs.rm(file, { force: true });
+      } else {
+        await writeJson(file, invite);
+      }
+      return invite;
+    });
+  }
+
+  async deleteInvite(inviteId) {
+    await fs.rm(this.invitePath(inviteId), { force: true });
+  }
+
+  async saveToken(token) {
+    await writeJson(this.tokenPath(token.id), token);
+  }
+
+  async getToken(tokenId) {
+    return readJson(this.tokenPath(tokenId));
+  }
+
+  async listTokens(streamId) {
+    const dir = path.join(this.dir, 'tokens');
+    const tokens = [];
+
+    for (const file of await readDir(dir)) {
+      if (!file.endsWith('.json')) continue;
+      const token = await readJson(path.join(dir, file));
+      if (token && token.streamId === streamId) tokens.push(token);
+    }
+    return tokens;
+  }
+
+  async deleteToken(tokenId) {
+    await fs.rm(this.tokenPath(tokenId), { force: true });
+  }
+
+  async removeInstance(instanceId) {
+    const root = path.join(this.dir, 'members');
+
+    for (const streamDir of await readDir(root)) {
+      for (const member of await this.listMembers(streamDir)) {
+        if (member.instanceId === instanceId) {
+          await this.removeMember(streamDir, member.socketId);
+        }
+      }
+    }
+  }
+}
+
+module.exports = FileStreamStore;
@@ -0,0 +1,53 @@
+/**
+ * LogTrace Panel - Stream 与成员存储
+ *
+ * 存储接口（所有方法返回 Promise）：
+ * - list()                             所有 Stream 记录
+ * - get(streamId)                      读取 Stream 记录，不存在时返回 null
+ * - save(record)                       新建或覆盖 Stream 记录
+ * - delete(streamId)                   删除 Stream 及其成员
+ * - count()                            Stream 数量
+ * - addMember(streamId, member)        记录在线成员
+ * - removeMember(streamId, socketId)   移除在线成员
+ * - listMembers(streamId)              Stream 的在线成员（包括其他实例上的连接）
+ * - removeInstance(instanceId)         移除某个实例的全部成员（实例启动或关闭时）
+ * - nextSeq(streamId)                  分配下一个消息序号（从 1 开始，多个实例共享时同样单调递增）
+ * - saveInvite(invite)                 新建邀请
+ * - getInvite(inviteId)                读取邀请，不存在时返回 null
+ * - listInvites(streamId)              Stream 的全部邀请（包括已过期的）
+ * - redeemInvite(inviteId, now)        使用一次邀请，返回使用后的邀请；不存在、已过期或次数用尽时返回 null
+ *                                      （次数用尽的邀请随即删除，多个实例同时使用时不会超出次数）
+ * - deleteInvite(inviteId)             删除邀请
+ * - saveToken(token)                   新建写入令牌
+ * - getToken(tokenId)                  读取写入令牌，不存在时返回 null
+ * - listTokens(streamId)               Stream 的全部写入令牌（包括已过期的）
+ * - deleteToken(tokenId)               删除写入令牌
+ *
+ * record: { id, name, authKey (Base64) | sealedAuthKey（用 STREAM_SECRET 加密，见 secret-box.js）, kdf, ownerIdentity,
+ *           admins[], bans[], muted[], approval, approved[], epoch, retention, createdAt, expiresAt }
+ * member: { socketId, nodeId, instanceId, exchangeKey, exchangeKeySig, identityKey, identity, fingerprint }
+ * invite: { id（邀请令牌的 SHA-256，存储中不保存令牌本身）, streamId, createdBy, createdAt, expiresAt, maxUses, uses }
+ * token: { id（写入令牌的 SHA-256）, streamId, nodeId（写入的消息使用的节点 ID）, label, createdBy, createdAt, expiresAt | null }
+ * delete(streamId) 同时删除该 Stream 的邀请与写入令牌
+ */
+
+const MemoryStreamStore = require('./memory-store');
+const FileStreamStore = require('./file-store');
+
+/**
+ * 创建 Stream 存储
+ * @param {string} type - 'memory' | 'file'
+ * @param {Object} options - file 类型需要 { dir }
+ */
+function createStreamStore(type, options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryStreamStore();
+    case 'file':
+      return new FileStreamStore(options);
+    default:
+      throw new Error(`Unknown stream store: ${type}`);
+  }
+}
+
+module.exports = { createStreamStore };
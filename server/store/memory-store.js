@@ -0,0 +1,142 @@
+/**
+ * LogTrace Panel - 内存 Stream 存储
+ *
+ * 只在当前进程内有效，重启后清空，也无法在多个实例间共享
+ */
+
+class MemoryStreamStore {
+  constructor() {
+    // Map<streamId, record>
+    this.records = new Map();
+    // Map<streamId, Map<socketId, member>>
+    this.members = new Map();
+    // Map<streamId, number>，最近分配的消息序号
+    this.seqs = new Map();
+    // Map<inviteId, invite>
+    this.invites = new Map();
+    // Map<tokenId, token>
+    this.tokens = new Map();
+  }
+
+  async list() {
+    return Array.from(this.records.values(), record => ({ ...record }));
+  }
+
+  async get(streamId) {
+    const record = this.records.get(streamId);
+    return record ? { ...record } : null;
+  }
+
+  async save(record) {
+    this.records.set(record.id, { ...record });
+  }
+
+  async delete(streamId) {
+    this.records.delete(streamId);
+    this.members.delete(streamId);
+    this.seqs.delete(streamId);
+
+    for (const [id, invite] of this.invites) {
+      if (invite.streamId === streamId) this.invites.delete(id);
+    }
+    for (const [id, token] of this.tokens) {
+      if (token.streamId === streamId) this.tokens.delete(id);
+    }
+  }
+
+  async count() {
+    return this.records.size;
+  }
+
+  async addMember(streamId, member) {
+    let members = this.members.get(streamId);
+    if (!members) {
+      members = new Map();
+      this.members.set(streamId, members);
+    }
+    members.set(member.socketId, { ...member });
+  }
+
+  async removeMember(streamId, socketId) {
+    const members = this.members.get(streamId);
+    if (!members) return;
+
+    members.delete(socketId);
+    if (members.size === 0) {
+      this.members.delete(streamId);
+    }
+  }
+
+  async listMembers(streamId) {
+    const members = this.members.get(streamId);
+    return members ? Array.from(members.values(), member => ({ ...member })) : [];
+  }
+
+  async nextSeq(streamId) {
+    const seq = (this.seqs.get(streamId) || 0) + 1;
+    this.seqs.set(streamId, seq);
+    return seq;
+  }
+
+  async saveInvite(invite) {
+    this.invites.set(invite.id, { ...invite });
+  }
+
+  async getInvite(inviteId) {
+    const invite = this.invites.get(inviteId);
+    return invite ? { ...invite } : null;
+  }
+
+  async listInvites(streamId) {
+    return Array.from(this.invites.values())
+      .filter(invite => invite.streamId === streamId)
+      .map(invite => ({ ...invite }));
+  }
+
+  async redeemInvite(inviteId, now) {
+    const invite = this.invites.get(inviteId);
+    if (!invite || invite.expiresAt <= now || invite.uses >= invite.maxUses) {
+      return null;
+    }
+
+    invite.uses += 1;
+    if (invite.uses >= invite.maxUses) {
+      this.invites.delete(inviteId);
+    }
+    return { ...invite };
+  }
+
+  async deleteInvite(inviteId) {
+    this.invites.delete(inviteId);
+  }
+
+  async saveToken(token) {
+    this.tokens.set(token.id, { ...token });
+  }
+
+  async getToken(tokenId) {
+    const token = this.tokens.get(tokenId);
+    return token ? { ...token } : null;
+  }
+
+  async listTokens(streamId) {
+    return Array.from(this.tokens.values())
+      .filter(token => token.streamId === streamId)
+      .map(token => ({ ...token }));
+  }
+
+  async deleteToken(tokenId) {
+    this.tokens.delete(tokenId);
+  }
+
+  async removeInstance(instanceId) {
+    for (const [streamId, members] of this.members) {
+      for (const [socketId, member] of members) {
+        if (member.instanceId === instanceId) members.delete(socketId);
+      }
+      if (members.size === 0) this.members.delete(streamId);
+    }
+  }
+}
+
+module.exports = MemoryStreamStore;
@@ -0,0 +1,23 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig } = require('../config');
+
+describe('loadConfig', () => {
+  test('未设置或无法解析时使用默认值', () => {
+    const defaults = loadConfig({});
+    assert.equal(defaults.JOIN_CLIENT_POLICY.freeAttempts, 3);
+    assert.equal(loadConfig({ JOIN_FREE_ATTEMPTS: 'many' }).JOIN_CLIENT_POLICY.freeAttempts, 3);
+    assert.equal(loadConfig({ JOIN_FREE_ATTEMPTS: '' }).JOIN_CLIENT_POLICY.freeAttempts, 3);
+  });
+
+  test('0 是有效值', () => {
+    const config = loadConfig({
+      JOIN_FREE_ATTEMPTS: '0',
+      JOIN_STREAM_LOCKOUT_THRESHOLD: '0',
+      RATE_JOIN_PER_MIN: '0'
+    });
+    assert.equal(config.JOIN_CLIENT_POLICY.freeAttempts, 0);
+    assert.equal(config.JOIN_STREAM_POLICY.lockoutThreshold, 0);
+    assert.equal(config.RATE_LIMITS.join.socket.perMinute, 0);
+  });
+});
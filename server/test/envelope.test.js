@@ -0,0 +1,183 @@
+const { describe, test, before, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+if (!globalThis.crypto) {
+  globalThis.crypto = require('crypto').webcrypto;
+}
+const LogCrypto = require('../../extension/lib/crypto');
+
+const CONTEXT = { streamId: 'stream-a', nodeId: 'node-a' };
+
+// 固定头部 7 字节 + IV 12 字节 + 密文长度 4 字节
+const PREFIX_LENGTH = 23;
+
+function generateKey() {
+  return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+}
+
+describe('消息信封', () => {
+  let key;
+
+  before(async () => {
+    key = await generateKey();
+  });
+
+  beforeEach(() => {
+    // 解密失败时的错误日志
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('编码后解码得到相同字段', () => {
+    const envelope = {
+      epoch: 7,
+      flags: 0x02,
+      iv: new Uint8Array(12).fill(1),
+      ciphertext: new Uint8Array([1, 2, 3, 4])
+    };
+    const bytes = LogCrypto.encodeEnvelope(envelope);
+    assert.equal(bytes.length, PREFIX_LENGTH + 4);
+
+    const decoded = LogCrypto.decodeEnvelope(bytes);
+    assert.equal(decoded.version, 1);
+    assert.equal(decoded.suite, 1);
+    assert.equal(decoded.flags, 0x02);
+    assert.equal(decoded.epoch, 7);
+    assert.deepEqual(decoded.iv, envelope.iv);
+    assert.deepEqual(decoded.ciphertext, envelope.ciphertext);
+    assert.equal(decoded.signature, null);
+  });
+
+  test('编码时不写入旧版信封签名', () => {
+    const bytes = LogCrypto.encodeEnvelope({ epoch: 0, flags: 0x03, iv: new Uint8Array(12), ciphertext: new Uint8Array(1) });
+    assert.equal(LogCrypto.decodeEnvelope(bytes).flags, 0x02);
+  });
+
+  test('解码 Buffer 与带偏移的视图', () => {
+    const bytes = LogCrypto.encodeEnvelope({ epoch: 1, iv: new Uint8Array(12), ciphertext: new Uint8Array([9]) });
+    const shifted = new Uint8Array(bytes.length + 3);
+    shifted.set(bytes, 3);
+
+    assert.equal(LogCrypto.decodeEnvelope(Buffer.from(bytes)).epoch, 1);
+    assert.deepEqual(LogCrypto.decodeEnvelope(shifted.subarray(3)).ciphertext, new Uint8Array([9]));
+  });
+
+  test('截断的信封', () => {
+    const bytes = LogCrypto.encodeEnvelope({ epoch: 0, iv: new Uint8Array(12), ciphertext: new Uint8Array(16) });
+
+    assert.throws(() => LogCrypto.decodeEnvelope(bytes.subarray(0, PREFIX_LENGTH - 1)), /too short/);
+    assert.throws(() => LogCrypto.decodeEnvelope(bytes.subarray(0, bytes.length - 1)), /Truncated envelope/);
+  });
+
+  test('截断的旧版信封签名', () => {
+    const bytes = LogCrypto.encodeEnvelope({ epoch: 0, iv: new Uint8Array(12), ciphertext: new Uint8Array(4) });
+    const legacy = new Uint8Array(bytes.length + 2 + 8);
+    legacy.set(bytes, 0);
+    legacy[2] |= 0x01;
+    new DataView(legacy.buffer).setUint16(bytes.length, 8);
+
+    assert.equal(LogCrypto.decodeEnvelope(legacy).signature.length, 8);
+    assert.throws(() => LogCrypto.decodeEnvelope(legacy.subarray(0, legacy.length - 1)), /signature/);
+  });
+
+  test('不支持的版本与算法套件', () => {
+    const bytes = LogCrypto.encodeEnvelope({ epoch: 0, iv: new Uint8Array(12), ciphertext: new Uint8Array(1) });
+
+    const version = bytes.slice();
+    version[0] = 2;
+    assert.throws(() => LogCrypto.decodeEnvelope(version), /envelope version/);
+
+    const suite = bytes.slice();
+    suite[1] = 9;
+    assert.throws(() => LogCrypto.decodeEnvelope(suite), /cipher suite/);
+  });
+
+  test('加密后解密得到原文', async () => {
+    const payload = await LogCrypto.encrypt('hello', key, { epoch: 3, context: CONTEXT });
+    assert.equal(LogCrypto.decodeEnvelope(payload).epoch, 3);
+    assert.equal(await LogCrypto.decrypt(payload, key, CONTEXT), 'hello');
+  });
+
+  test('按密钥纪元从密钥环选择密钥', async () => {
+    const payload = await LogCrypto.encrypt('hello', key, { epoch: 3, context: CONTEXT });
+    assert.equal(await LogCrypto.decrypt(payload, new Map([[3, key]]), CONTEXT), 'hello');
+    assert.equal(await LogCrypto.decrypt(payload, new Map([[2, key]]), CONTEXT), null);
+  });
+
+  test('AAD 绑定数据流、发送节点与头部', async () => {
+    const payload = await LogCrypto.encrypt('hello', key, { epoch: 3, context: CONTEXT });
+
+    assert.equal(await LogCrypto.decrypt(payload, key, { ...CONTEXT, streamId: 'stream-b' }), null);
+    assert.equal(await LogCrypto.decrypt(payload, key, { ...CONTEXT, nodeId: 'node-b' }), null);
+
+    // 改写纪元后用同一密钥也无法解开
+    const tampered = payload.slice();
+    new DataView(tampered.buffer).setUint32(3, 4);
+    assert.equal(await LogCrypto.decrypt(tampered, new Map([[4, key]]), CONTEXT), null);
+  });
+
+  test('截断或篡改的密文解密失败', async () => {
+    const payload = await LogCrypto.encrypt('hello', key, { context: CONTEXT });
+
+    assert.equal(await LogCrypto.decrypt(payload.subarray(0, payload.length - 1), key, CONTEXT), null);
+    assert.equal(await LogCrypto.decrypt(payload.subarray(0, 10), key, CONTEXT), null);
+
+    const tampered = payload.slice();
+    tampered[tampered.length - 1] ^= 1;
+    assert.equal(await LogCrypto.decrypt(tampered, key, CONTEXT), null);
+  });
+});
+
+describe('签名消息记录', () => {
+  let key;
+  let identity;
+
+  before(async () => {
+    key = await generateKey();
+    identity = await LogCrypto.importIdentity(await LogCrypto.generateIdentity());
+  });
+
+  beforeEach(() => {
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('签名位于密文内部并可验证', async () => {
+    const payload = await LogCrypto.sealMessage('hello', key, identity, { ...CONTEXT, epoch: 2 });
+    assert.equal(LogCrypto.decodeEnvelope(payload).flags & 0x01, 0);
+
+    const message = await LogCrypto.openMessage(payload, new Map([[2, key]]), CONTEXT);
+    assert.equal(message.body, 'hello');
+    assert.equal(message.verified, true);
+    assert.equal(message.fingerprint, identity.fingerprint);
+    assert.equal(message.chaff, false);
+
+    const record = JSON.parse(await LogCrypto.decrypt(payload, new Map([[2, key]]), CONTEXT));
+    assert.equal(record.v, 3);
+    assert.equal(typeof record.sig, 'string');
+  });
+
+  test('替换发送者公钥后验证失败', async () => {
+    const other = await LogCrypto.importIdentity(await LogCrypto.generateIdentity());
+    const payload = await LogCrypto.sealMessage('hello', key, identity, CONTEXT);
+    const record = JSON.parse(await LogCrypto.decrypt(payload, key, CONTEXT));
+
+    const forged = await LogCrypto.encrypt(JSON.stringify({ ...record, pub: other.publicKey }), key, { context: CONTEXT });
+    const message = await LogCrypto.openMessage(forged, key, CONTEXT);
+    assert.equal(message.verified, false);
+    assert.equal(message.fingerprint, other.fingerprint);
+  });
+
+  test('非记录格式的明文按原文返回且未验证', async () => {
+    const payload = await LogCrypto.encrypt('plain text', key, { context: CONTEXT });
+    assert.deepEqual(await LogCrypto.openMessage(payload, key, CONTEXT), {
+      body: 'plain text', verified: false, fingerprint: null, chaff: false, attachment: null
+    });
+  });
+});
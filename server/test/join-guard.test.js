@@ -0,0 +1,182 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { FailureTracker, JoinGuard } = require('../join-guard');
+
+const OPTIONS = {
+  freeAttempts: 2,
+  baseDelay: 1000,
+  maxDelay: 4000,
+  lockoutThreshold: 6,
+  lockoutDuration: 60000,
+  window: 10 * 60 * 1000
+};
+
+describe('FailureTracker', () => {
+  let now;
+  let tracker;
+
+  beforeEach(() => {
+    now = 1000000;
+    mock.method(Date, 'now', () => now);
+    tracker = new FailureTracker(OPTIONS);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('免费次数内不产生延迟', () => {
+    assert.deepEqual(tracker.fail('a'), { count: 1, locked: false });
+    assert.deepEqual(tracker.fail('a'), { count: 2, locked: false });
+    assert.equal(tracker.check('a'), 0);
+  });
+
+  test('超过免费次数后延迟指数增长并有上限', () => {
+    const tracker = new FailureTracker({ ...OPTIONS, lockoutThreshold: 100 });
+    tracker.fail('a');
+    tracker.fail('a');
+
+    const delays = [];
+    for (let i = 0; i < 3; i++) {
+      tracker.fail('a');
+      delays.push(tracker.check('a'));
+      now += delays[i];
+    }
+    assert.deepEqual(delays, [1000, 2000, 4000]);
+
+    tracker.fail('a');
+    assert.equal(tracker.check('a'), 4000);
+  });
+
+  test('延迟随时间减少', () => {
+    tracker.fail('a');
+    tracker.fail('a');
+    tracker.fail('a');
+
+    now += 400;
+    assert.equal(tracker.check('a'), 600);
+    now += 600;
+    assert.equal(tracker.check('a'), 0);
+  });
+
+  test('达到锁定阈值后在锁定时长内拒绝', () => {
+    for (let i = 1; i < OPTIONS.lockoutThreshold; i++) {
+      assert.equal(tracker.fail('a').locked, false);
+    }
+    assert.deepEqual(tracker.fail('a'), { count: OPTIONS.lockoutThreshold, locked: true });
+    assert.equal(tracker.check('a'), OPTIONS.lockoutDuration);
+
+    now += OPTIONS.lockoutDuration - 1;
+    assert.equal(tracker.check('a'), 1);
+    now += 1;
+    assert.equal(tracker.check('a'), 0);
+  });
+
+  test('锁定后继续失败会再次锁定', () => {
+    for (let i = 0; i < OPTIONS.lockoutThreshold; i++) tracker.fail('a');
+    now += OPTIONS.lockoutDuration;
+
+    for (let i = 1; i < OPTIONS.lockoutThreshold; i++) {
+      assert.equal(tracker.fail('a').locked, false);
+    }
+    assert.equal(tracker.fail('a').locked, true);
+  });
+
+  test('免费次数为 0 时第一次失败就延迟，锁定阈值为 0 时不锁定', () => {
+    const tracker = new FailureTracker({ ...OPTIONS, freeAttempts: 0, lockoutThreshold: 0 });
+    for (let i = 0; i < 20; i++) {
+      assert.equal(tracker.fail('a').locked, false);
+    }
+    assert.equal(tracker.check('a'), OPTIONS.maxDelay);
+
+    tracker.reset('a');
+    tracker.fail('a');
+    assert.equal(tracker.check('a'), OPTIONS.baseDelay);
+  });
+
+  test('超过统计窗口没有新的失败时清零', () => {
+    tracker.fail('a');
+    tracker.fail('a');
+    tracker.fail('a');
+
+    now += OPTIONS.window + 1;
+    assert.equal(tracker.check('a'), 0);
+    assert.deepEqual(tracker.fail('a'), { count: 1, locked: false });
+  });
+
+  test('锁定期间不因统计窗口清零', () => {
+    const tracker = new FailureTracker({ ...OPTIONS, lockoutDuration: OPTIONS.window * 2 });
+    for (let i = 0; i < OPTIONS.lockoutThreshold; i++) tracker.fail('a');
+
+    now += OPTIONS.window + 1;
+    assert.equal(tracker.check('a'), OPTIONS.window - 1);
+  });
+
+  test('reset 与 sweep', () => {
+    tracker.fail('a');
+    tracker.fail('b');
+    tracker.reset('a');
+    assert.deepEqual(Array.from(tracker.records.keys()), ['b']);
+
+    now += OPTIONS.window + 1;
+    tracker.sweep();
+    assert.equal(tracker.records.size, 0);
+  });
+});
+
+describe('JoinGuard', () => {
+  const STREAM_POLICY = { ...OPTIONS, freeAttempts: 3, lockoutThreshold: 5 };
+  let now;
+  let guard;
+
+  beforeEach(() => {
+    now = 1000000;
+    mock.method(Date, 'now', () => now);
+    guard = new JoinGuard(OPTIONS, STREAM_POLICY);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('一个 IP 触发 Stream 锁定后，其他没有失败记录的 IP 仍可加入', () => {
+    let result;
+    for (let i = 0; i < STREAM_POLICY.lockoutThreshold; i++) {
+      result = guard.fail('10.0.0.1', 'stream-a');
+    }
+    assert.equal(result.stream.locked, true);
+    assert.ok(guard.check('10.0.0.1', 'stream-a') > 0);
+
+    assert.equal(guard.check('10.0.0.2', 'stream-a'), 0);
+  });
+
+  test('分布式猜测：Stream 的延迟作用于已有失败记录的其他 IP', () => {
+    for (let i = 0; i < STREAM_POLICY.lockoutThreshold - 1; i++) {
+      guard.fail(`10.0.1.${i}`, 'stream-a');
+    }
+    assert.equal(guard.fail('10.0.1.99', 'stream-a').stream.locked, true);
+
+    // 各 IP 自身只失败一次，没有延迟，但 Stream 已锁定
+    assert.equal(guard.clients.check('10.0.1.0|stream-a'), 0);
+    assert.equal(guard.check('10.0.1.0', 'stream-a'), STREAM_POLICY.lockoutDuration);
+    assert.equal(guard.check('10.0.2.1', 'stream-a'), 0);
+  });
+
+  test('验证成功后清除该客户端的记录，不再受 Stream 锁定影响', () => {
+    for (let i = 0; i < STREAM_POLICY.lockoutThreshold; i++) {
+      guard.fail('10.0.0.1', 'stream-a');
+    }
+    guard.reset('10.0.0.1', 'stream-a');
+
+    assert.equal(guard.check('10.0.0.1', 'stream-a'), 0);
+    assert.equal(guard.streams.has('stream-a'), true);
+  });
+
+  test('不同 Stream 互不影响', () => {
+    for (let i = 0; i < STREAM_POLICY.lockoutThreshold; i++) {
+      guard.fail('10.0.0.1', 'stream-a');
+    }
+    guard.fail('10.0.0.1', 'stream-b');
+    assert.equal(guard.check('10.0.0.1', 'stream-b'), 0);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, test, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+if (!globalThis.crypto) {
+  globalThis.crypto = require('crypto').webcrypto;
+}
+const LogCrypto = require('../../extension/lib/crypto');
+
+const CONTEXT = { streamId: 'stream-a', nodeId: 'node-a' };
+const TAG_LENGTH = 16;
+
+describe('明文填充', () => {
+  let key;
+
+  before(async () => {
+    key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+  });
+
+  afterEach(() => {
+    // 恢复默认设置
+    LogCrypto.setPadding({ scheme: 'pow2', minSize: 256, blockSize: 256 });
+  });
+
+  /**
+   * 加密指定长度的明文，返回填充后的明文长度
+   */
+  async function paddedSize(length) {
+    const payload = await LogCrypto.encrypt('x'.repeat(length), key, { context: CONTEXT });
+    assert.equal(await LogCrypto.decrypt(payload, key, CONTEXT), 'x'.repeat(length));
+    return LogCrypto.decodeEnvelope(payload).ciphertext.length - TAG_LENGTH;
+  }
+
+  test('pow2：填充到不小于 minSize 的 2 的幂', async () => {
+    assert.equal(await paddedSize(0), 256);
+    assert.equal(await paddedSize(255), 256);
+    assert.equal(await paddedSize(256), 512);
+    assert.equal(await paddedSize(1000), 1024);
+    assert.equal(await paddedSize(1024), 2048);
+  });
+
+  test('block：填充到 blockSize 的整数倍', async () => {
+    LogCrypto.setPadding({ scheme: 'block', minSize: 100, blockSize: 64 });
+    assert.equal(await paddedSize(0), 128);
+    assert.equal(await paddedSize(127), 128);
+    assert.equal(await paddedSize(128), 192);
+    assert.equal(await paddedSize(500), 512);
+  });
+
+  test('none：不填充且不设置填充标记', async () => {
+    LogCrypto.setPadding({ scheme: 'none' });
+    assert.equal(await paddedSize(5), 5);
+
+    const payload = await LogCrypto.encrypt('hello', key, { context: CONTEXT });
+    assert.equal(LogCrypto.decodeEnvelope(payload).flags & 0x02, 0);
+  });
+
+  test('同一分桶内的消息长度相同', async () => {
+    const short = await LogCrypto.encrypt('ok', key, { context: CONTEXT });
+    const long = await LogCrypto.encrypt('a longer message that still fits the first bucket', key, { context: CONTEXT });
+    assert.equal(short.length, long.length);
+  });
+
+  test('保留末尾的零字节与二进制数据', async () => {
+    const data = new Uint8Array([0x80, 0, 1, 0x80, 0, 0]);
+    const payload = await LogCrypto.encrypt(data, key, { context: CONTEXT });
+    assert.deepEqual(await LogCrypto.decryptBytes(payload, key, CONTEXT), data);
+  });
+
+  test('不支持的填充方式', () => {
+    assert.throws(() => LogCrypto.setPadding({ scheme: 'random' }), /Unsupported padding scheme/);
+  });
+
+  test('忽略无效的长度参数', async () => {
+    LogCrypto.setPadding({ minSize: 0, blockSize: -1 });
+    assert.equal(await paddedSize(10), 256);
+  });
+});
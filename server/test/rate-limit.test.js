@@ -0,0 +1,85 @@
+const { describe, test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimiter } = require('../rate-limit');
+
+describe('RateLimiter', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    mock.method(Date, 'now', () => now);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  test('桶满时允许突发 burst 次', () => {
+    const limiter = new RateLimiter({ perMinute: 60, burst: 3 });
+    assert.equal(limiter.take('a'), 0);
+    assert.equal(limiter.take('a'), 0);
+    assert.equal(limiter.take('a'), 0);
+    assert.equal(limiter.take('a'), 1000);
+  });
+
+  test('按速率补充令牌', () => {
+    const limiter = new RateLimiter({ perMinute: 60, burst: 2 });
+    limiter.take('a', 2);
+
+    now += 400;
+    assert.equal(limiter.take('a'), 600);
+    now += 600;
+    assert.equal(limiter.take('a'), 0);
+    assert.equal(limiter.take('a'), 1000);
+  });
+
+  test('补充不超过容量', () => {
+    const limiter = new RateLimiter({ perMinute: 60, burst: 2 });
+    limiter.take('a');
+
+    now += 60 * 1000;
+    assert.equal(limiter.take('a', 2), 0);
+    assert.equal(limiter.take('a'), 1000);
+  });
+
+  test('令牌不足时不扣减', () => {
+    const limiter = new RateLimiter({ perMinute: 60, burst: 2 });
+    limiter.take('a');
+    assert.equal(limiter.take('a', 2), 1000);
+    assert.equal(limiter.take('a'), 0);
+  });
+
+  test('单次消耗超过容量时按容量计算', () => {
+    const limiter = new RateLimiter({ perMinute: 60, burst: 2 });
+    assert.equal(limiter.take('a', 10), 0);
+    assert.equal(limiter.take('a', 10), 2000);
+  });
+
+  test('补充速率为 0 时用完后按一分钟提示重试', () => {
+    const limiter = new RateLimiter({ perMinute: 0, burst: 1 });
+    assert.equal(limiter.take('a'), 0);
+    assert.equal(limiter.take('a'), 60000);
+    now += 60 * 60 * 1000;
+    assert.equal(limiter.take('a'), 60000);
+  });
+
+  test('各键互不影响', () => {
+    const limiter = new RateLimiter({ perMinute: 60, burst: 1 });
+    assert.equal(limiter.take('a'), 0);
+    assert.equal(limiter.take('b'), 0);
+    assert.ok(limiter.take('a') > 0);
+  });
+
+  test('sweep 只清理已补满的桶', () => {
+    const limiter = new RateLimiter({ perMinute: 60, burst: 2 });
+    limiter.take('a');
+    limiter.take('b', 2);
+
+    now += 1000;
+    limiter.sweep();
+    assert.deepEqual(Array.from(limiter.buckets.keys()), ['b']);
+
+    limiter.delete('b');
+    assert.equal(limiter.buckets.size, 0);
+  });
+});
@@ -0,0 +1,135 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EVENT_SCHEMAS, INGEST_SCHEMA, validate, echoFields } = require('../schema');
+
+const KEY = 'A'.repeat(44);
+const KDF = { version: 2, salt: 'A'.repeat(24), iterations: 310000, hash: 'SHA-256' };
+
+function createData(overrides = {}) {
+  return {
+    streamName: 'build',
+    authKey: KEY,
+    identityKey: KEY,
+    identityProof: KEY,
+    kdf: KDF,
+    ...overrides
+  };
+}
+
+describe('validate', () => {
+  const create = EVENT_SCHEMAS['stream:create'];
+
+  test('通过校验时返回 null', () => {
+    assert.equal(validate(create, createData()), null);
+  });
+
+  test('数据不是对象', () => {
+    assert.deepEqual(validate(create, 'build'), { field: null, reason: 'type' });
+    assert.deepEqual(validate(create, null), { field: null, reason: 'type' });
+    assert.deepEqual(validate(create, [createData()]), { field: null, reason: 'type' });
+  });
+
+  test('所有字段均可省略的事件允许不带数据', () => {
+    assert.equal(validate(EVENT_SCHEMAS['stream:leave'], undefined), null);
+    assert.deepEqual(validate(create, undefined), { field: null, reason: 'type' });
+  });
+
+  test('缺少必填字段', () => {
+    const data = createData();
+    delete data.identityProof;
+    assert.deepEqual(validate(create, data), { field: 'identityProof', reason: 'required' });
+  });
+
+  test('类型不符', () => {
+    assert.deepEqual(validate(create, createData({ approval: 'yes' })), { field: 'approval', reason: 'type' });
+    assert.deepEqual(validate(create, createData({ expiresIn: 1.5 })), { field: 'expiresIn', reason: 'type' });
+  });
+
+  test('字符串长度', () => {
+    assert.deepEqual(validate(create, createData({ streamName: '' })), { field: 'streamName', reason: 'length' });
+    assert.deepEqual(
+      validate(create, createData({ streamName: 'x'.repeat(257) })),
+      { field: 'streamName', reason: 'length' }
+    );
+  });
+
+  test('nullable 字段允许 null', () => {
+    assert.equal(validate(create, createData({ retention: null, expiresIn: null })), null);
+  });
+
+  test('新建 Stream 只接受 v2 KDF 参数', () => {
+    const data = createData();
+    delete data.kdf;
+    assert.deepEqual(validate(create, data), { field: 'kdf', reason: 'required' });
+    assert.deepEqual(validate(create, createData({ kdf: null })), { field: 'kdf', reason: 'type' });
+    assert.deepEqual(validate(create, createData({ kdf: { version: 1 } })), { field: 'kdf.version', reason: 'enum' });
+  });
+
+  test('嵌套对象的字段路径', () => {
+    assert.deepEqual(
+      validate(create, createData({ retention: { ttl: 0 } })),
+      { field: 'retention.ttl', reason: 'range' }
+    );
+  });
+
+  test('enum', () => {
+    const role = EVENT_SCHEMAS['stream:role'];
+    assert.deepEqual(
+      validate(role, { streamId: 's', nodeId: 'n', role: 'owner' }),
+      { field: 'role', reason: 'enum' }
+    );
+  });
+
+  test('pattern', () => {
+    const ingest = { payload: 'not base64!' };
+    assert.deepEqual(validate(INGEST_SCHEMA, ingest), { field: 'payload', reason: 'pattern' });
+    assert.equal(validate(INGEST_SCHEMA, { payload: 'AAAA' }), null);
+  });
+
+  test('多类型字段', () => {
+    const push = EVENT_SCHEMAS['log:push'];
+    assert.equal(validate(push, { payload: Buffer.from('x') }), null);
+    assert.equal(validate(push, { payload: 'eA==' }), null);
+    assert.deepEqual(validate(push, { payload: 1 }), { field: 'payload', reason: 'type' });
+  });
+
+  test('数组元素与数量上限', () => {
+    const rotate = EVENT_SCHEMAS['stream:rotate'];
+    const grants = count => Array.from({ length: count }, (_, i) => ({ nodeId: `node-${i}`, wrapped: 'x' }));
+    const data = count => ({ streamId: 's', kdf: { version: 2 }, authKey: KEY, grants: grants(count) });
+
+    assert.equal(validate(rotate, data(rotate.fields.grants.maxItems)), null);
+    assert.deepEqual(
+      validate(rotate, data(rotate.fields.grants.maxItems + 1)),
+      { field: 'grants', reason: 'length' }
+    );
+    assert.deepEqual(
+      validate(rotate, { ...data(0), grants: [{ nodeId: 'a', wrapped: 'x' }, { nodeId: 'b' }] }),
+      { field: 'grants[1].wrapped', reason: 'required' }
+    );
+  });
+
+  test('写入令牌有效期的上限', () => {
+    const token = EVENT_SCHEMAS['token:create'];
+    const max = token.fields.expiresIn.max;
+    assert.equal(validate(token, { streamId: 's', expiresIn: max }), null);
+    assert.deepEqual(validate(token, { streamId: 's', expiresIn: max + 1 }), { field: 'expiresIn', reason: 'range' });
+  });
+
+  test('忽略未声明的字段', () => {
+    assert.equal(validate(create, createData({ extra: { nested: true } })), null);
+  });
+});
+
+describe('echoFields', () => {
+  test('只带回声明的基本类型字段', () => {
+    const schema = EVENT_SCHEMAS['stream:join'];
+    assert.deepEqual(echoFields(schema, { streamId: 's', invite: 'i', proof: 'p' }), { streamId: 's', invite: 'i' });
+    assert.deepEqual(echoFields(schema, { streamId: { $gt: '' }, invite: 3 }), { invite: 3 });
+  });
+
+  test('数据不是对象或未声明 echo', () => {
+    assert.deepEqual(echoFields(EVENT_SCHEMAS['stream:join'], 'x'), {});
+    assert.deepEqual(echoFields(EVENT_SCHEMAS['stream:create'], createData()), {});
+  });
+});
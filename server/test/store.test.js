@@ -0,0 +1,189 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { createStreamStore } = require('../store');
+const { SecretBox } = require('../secret-box');
+
+function streamRecord(id, overrides = {}) {
+  return {
+    id,
+    name: 'build',
+    sealedAuthKey: 'v1:AAAA',
+    kdf: { version: 2, salt: 'c2FsdA==', iterations: 600000, hash: 'SHA-256' },
+    ownerIdentity: 'owner',
+    admins: ['admin'],
+    bans: [],
+    muted: ['muted'],
+    approval: true,
+    approved: ['owner', 'admin'],
+    epoch: 3,
+    retention: { ttl: 60000, maxCount: 100 },
+    createdAt: 1000,
+    expiresAt: null,
+    ...overrides
+  };
+}
+
+function member(socketId, instanceId) {
+  return { socketId, nodeId: `node-${socketId}`, instanceId, exchangeKey: null, identity: 'id', fingerprint: 'fp' };
+}
+
+/**
+ * 两种存储实现共用的行为
+ */
+function storeContract(name, createStore) {
+  describe(`${name} store`, () => {
+    let store;
+
+    before(async () => {
+      store = await createStore();
+    });
+
+    test('Stream 记录保存后原样读回', async () => {
+      const record = streamRecord('stream-a');
+      await store.save(record);
+
+      assert.deepEqual(await store.get('stream-a'), record);
+      assert.deepEqual(await store.list(), [record]);
+      assert.equal(await store.count(), 1);
+      assert.equal(await store.get('missing'), null);
+    });
+
+    test('读出的记录是副本', async () => {
+      const record = await store.get('stream-a');
+      record.epoch = 99;
+      assert.equal((await store.get('stream-a')).epoch, 3);
+    });
+
+    test('覆盖保存', async () => {
+      await store.save(streamRecord('stream-a', { epoch: 4 }));
+      assert.equal((await store.get('stream-a')).epoch, 4);
+      assert.equal(await store.count(), 1);
+    });
+
+    test('成员按实例移除', async () => {
+      await store.addMember('stream-a', member('s1', 'i1'));
+      await store.addMember('stream-a', member('s2', 'i2'));
+      assert.deepEqual(
+        (await store.listMembers('stream-a')).map(m => m.socketId).sort(),
+        ['s1', 's2']
+      );
+
+      await store.removeInstance('i1');
+      assert.deepEqual(await store.listMembers('stream-a'), [member('s2', 'i2')]);
+
+      await store.removeMember('stream-a', 's2');
+      assert.deepEqual(await store.listMembers('stream-a'), []);
+    });
+
+    test('序号从 1 开始递增', async () => {
+      assert.equal(await store.nextSeq('stream-a'), 1);
+      assert.equal(await store.nextSeq('stream-a'), 2);
+      assert.equal(await store.nextSeq('stream-b'), 1);
+    });
+
+    test('邀请用尽次数后删除', async () => {
+      const invite = { id: 'a'.repeat(64), streamId: 'stream-a', createdBy: 'owner', createdAt: 0, expiresAt: 5000, maxUses: 2, uses: 0 };
+      await store.saveInvite(invite);
+      assert.deepEqual(await store.getInvite(invite.id), invite);
+
+      assert.equal((await store.redeemInvite(invite.id, 1000)).uses, 1);
+      assert.equal((await store.redeemInvite(invite.id, 1000)).uses, 2);
+      assert.equal(await store.redeemInvite(invite.id, 1000), null);
+      assert.equal(await store.getInvite(invite.id), null);
+    });
+
+    test('过期的邀请无法使用', async () => {
+      const invite = { id: 'b'.repeat(64), streamId: 'stream-a', createdBy: 'owner', createdAt: 0, expiresAt: 5000, maxUses: 1, uses: 0 };
+      await store.saveInvite(invite);
+      assert.equal(await store.redeemInvite(invite.id, 5000), null);
+      assert.deepEqual(await store.listInvites('stream-a'), [invite]);
+    });
+
+    test('写入令牌', async () => {
+      const token = { id: 'c'.repeat(64), streamId: 'stream-a', nodeId: 'ci', label: 'ci', createdBy: 'owner', createdAt: 0, expiresAt: null };
+      await store.saveToken(token);
+      assert.deepEqual(await store.getToken(token.id), token);
+      assert.deepEqual(await store.listTokens('stream-a'), [token]);
+      assert.deepEqual(await store.listTokens('stream-b'), []);
+    });
+
+    test('删除 Stream 同时删除成员、邀请与写入令牌', async () => {
+      await store.addMember('stream-a', member('s3', 'i1'));
+      await store.delete('stream-a');
+
+      assert.equal(await store.get('stream-a'), null);
+      assert.equal(await store.count(), 0);
+      assert.deepEqual(await store.listMembers('stream-a'), []);
+      assert.deepEqual(await store.listInvites('stream-a'), []);
+      assert.deepEqual(await store.listTokens('stream-a'), []);
+      assert.equal(await store.nextSeq('stream-a'), 1);
+    });
+  });
+}
+
+storeContract('memory', () => createStreamStore('memory'));
+
+describe('file store', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'logtrace-store-'));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  storeContract('file', () => createStreamStore('file', { dir: path.join(dir, 'contract') }));
+
+  test('文件与目录只允许属主访问', { skip: process.platform === 'win32' }, async () => {
+    const root = path.join(dir, 'modes');
+    const store = createStreamStore('file', { dir: root });
+    await store.save(streamRecord('stream-a'));
+
+    assert.equal((await fs.stat(path.join(root, 'streams'))).mode & 0o777, 0o700);
+    assert.equal((await fs.stat(path.join(root, 'streams', 'stream-a.json'))).mode & 0o777, 0o600);
+  });
+
+  test('不允许路径穿越', async () => {
+    const root = path.join(dir, 'traversal');
+    const store = createStreamStore('file', { dir: root });
+    await store.save(streamRecord('../../escape'));
+
+    assert.deepEqual(await fs.readdir(path.join(root, 'streams')), ['escape.json']);
+  });
+});
+
+describe('SecretBox', () => {
+  const box = new SecretBox('server-secret');
+  const authKey = Buffer.from('0123456789abcdef0123456789abcdef');
+
+  test('加密后原样解开', () => {
+    const sealed = box.seal(authKey, 'stream-a');
+    assert.match(sealed, /^v1:/);
+    assert.ok(!sealed.includes(authKey.toString('base64')));
+    assert.deepEqual(box.open(sealed, 'stream-a'), authKey);
+  });
+
+  test('每次加密使用不同的 IV', () => {
+    assert.notEqual(box.seal(authKey, 'stream-a'), box.seal(authKey, 'stream-a'));
+  });
+
+  test('密钥、记录 ID 不符或内容被篡改时抛出异常', () => {
+    const sealed = box.seal(authKey, 'stream-a');
+    assert.throws(() => new SecretBox('other-secret').open(sealed, 'stream-a'));
+    assert.throws(() => box.open(sealed, 'stream-b'));
+
+    const data = Buffer.from(sealed.slice(3), 'base64');
+    data[data.length - 1] ^= 1;
+    assert.throws(() => box.open(`v1:${data.toString('base64')}`, 'stream-a'));
+  });
+
+  test('不支持的格式或截断的内容', () => {
+    assert.throws(() => box.open('v2:AAAA', 'stream-a'), /Unsupported/);
+    assert.throws(() => box.open('v1:AAAA', 'stream-a'), /truncated/);
+  });
+});